@@ -44,8 +44,67 @@ const connectDB = async () => {
 
             // Création des index pour optimiser les requêtes
             await db.collection('articles').createIndex({ author: 1 });
+            await db.collection('articles').createIndex({ authorId: 1, createdAt: -1 });
             await db.collection('articles').createIndex({ title: 1 });
+            await db.collection('articles').createIndex({ status: 1, createdAt: -1, _id: -1 }); // Listes publiques (articles publiés), pagination par curseur
+            await db.collection('articles').createIndex({ status: 1, publishAt: 1 }); // Planificateur de publication
+            await db.collection('articles').createIndex({ reviewers: 1 });
+            await db.collection('articles').createIndex({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }); // Articles antérieurs aux slugs exclus jusqu'à la migration
+            await db.collection('articles').createIndex({ previousSlugs: 1 });
+            await db.collection('articles').createIndex({ status: 1, category: 1 }); // Filtres et facettes des listes
+            await db.collection('articles').createIndex({ status: 1, journalName: 1 });
+            // Recherche plein texte : le titre pèse plus que la description, elle-même plus que les catégories
+            await db.collection('articles').createIndex(
+                { title: 'text', description: 'text', category: 'text', journalName: 'text', author: 'text' },
+                {
+                    name: 'articles_text',
+                    weights: { title: 10, description: 5, category: 3, journalName: 1, author: 1 },
+                    default_language: 'french',
+                    language_override: 'searchLanguage' // Le champ 'language' par défaut pourrait exister dans les articles
+                }
+            );
             await db.collection('users').createIndex({ email: 1 }, { unique: true });
+            await db.collection('users').createIndex({ createdAt: -1 });
+            await db.collection('users').createIndex({ role: 1, createdAt: -1 });
+            await db.collection('users').createIndex({ active: 1 });
+            // Noms d'utilisateur uniques : des doublons antérieurs empêchent sa création jusqu'à `npm run migrate`
+            await db.collection('users').createIndex({ username: 1 }, { unique: true })
+                .catch(err => console.warn('⚠️ Index unique des noms d\'utilisateur non créé (lancer npm run migrate):', err.message));
+            await db.collection('refresh_tokens').createIndex({ tokenHash: 1 }, { unique: true });
+            await db.collection('refresh_tokens').createIndex({ family: 1 });
+            await db.collection('refresh_tokens').createIndex({ userId: 1 });
+            await db.collection('refresh_tokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique
+            await db.collection('revoked_tokens').createIndex({ key: 1 }, { unique: true });
+            await db.collection('revoked_tokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique
+            await db.collection('password_resets').createIndex({ tokenHash: 1 }, { unique: true });
+            await db.collection('password_resets').createIndex({ userId: 1 });
+            await db.collection('password_resets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique
+            await db.collection('invites').createIndex({ codeHash: 1 }, { unique: true });
+            await db.collection('role_changes').createIndex({ userId: 1, changedAt: -1 });
+            await db.collection('login_attempts').createIndex({ key: 1 }, { unique: true });
+            await db.collection('login_attempts').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique
+            await db.collection('two_factor').createIndex({ userId: 1 }, { unique: true });
+            await db.collection('api_keys').createIndex({ keyHash: 1 }, { unique: true });
+            await db.collection('api_keys').createIndex({ userId: 1 });
+            await db.collection('roles').createIndex({ name: 1 }, { unique: true });
+            await db.collection('sessions').createIndex({ userId: 1, lastSeenAt: -1 });
+            await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique des sessions expirées
+            await db.collection('oidc_states').createIndex({ state: 1 }, { unique: true });
+            await db.collection('oidc_states').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge automatique des demandes abandonnées
+            await db.collection('user_identities').createIndex({ provider: 1, subject: 1 }, { unique: true });
+            await db.collection('user_identities').createIndex({ userId: 1 });
+            await db.collection('audit_log').createIndex({ at: -1 });
+            await db.collection('audit_log').createIndex({ 'actor.userId': 1, at: -1 });
+            await db.collection('audit_log').createIndex({ 'target.id': 1, at: -1 });
+            await db.collection('audit_log').createIndex({ 'target.ids': 1 });
+            await db.collection('audit_log').createIndex({ action: 1, at: -1 });
+            await db.collection('audit_log').createIndex({ requestId: 1 });
+            await db.collection('signing_keys').createIndex({ kid: 1 }, { unique: true });
+            await db.collection('signing_keys').createIndex({ alg: 1, generation: 1 }, { unique: true }); // Une seule clé par génération, même à plusieurs instances
+            await db.collection('signing_keys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Purge des clés hors période de grâce
+            await db.collection('article_reviews').createIndex({ articleId: 1, createdAt: 1 });
+            await db.collection('article_reviews').createIndex({ authorId: 1 });
+            await db.collection('article_revisions').createIndex({ articleId: 1, revision: -1 }, { unique: true }); // Un numéro par révision d'un article
             
             isConnecting = false;
             resolve(db);
@@ -70,4 +129,15 @@ const getDB = () => {
     return db;
 };
 
-module.exports = { connectDB, getDB };
\ No newline at end of file
+/**
+ * Ferme la connexion à MongoDB (scripts ponctuels, ex: migrations)
+ * @returns {Promise<void>}
+ */
+const closeDB = async () => {
+    if (client) await client.close();
+    client = null;
+    db = null;
+    connectionPromise = null;
+};
+
+module.exports = { connectDB, getDB, closeDB };
\ No newline at end of file
@@ -36,6 +36,11 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       },
       // Définition des modèles de données
@@ -49,7 +54,27 @@ const options = {
             },
             author: { 
               type: 'string',
-              example: 'Auteur de l\'article' 
+              readOnly: true,
+              description: 'Nom d\'utilisateur du compte auteur (renseigné par le serveur, suit les renommages)',
+              example: 'john_doe' 
+            },
+            authorId: {
+              type: 'string',
+              readOnly: true,
+              nullable: true,
+              description: 'ID du compte auteur ; null si le compte a été supprimé ou si la signature ne correspond à aucun compte'
+            },
+            authorInfo: {
+              type: 'object',
+              readOnly: true,
+              nullable: true,
+              description: 'Profil public de l\'auteur, ajouté en lecture',
+              properties: {
+                _id: { type: 'string' },
+                username: { type: 'string' },
+                displayName: { type: 'string' },
+                avatarUrl: { type: 'string', nullable: true }
+              }
             },
             journalName: { 
               type: 'string',
@@ -69,6 +94,44 @@ const options = {
             imageUrl: { 
               type: 'string',
               example: 'http://example.com/image.jpg' 
+            },
+            slug: {
+              type: 'string',
+              readOnly: true,
+              description: 'Identifiant lisible tiré du titre, unique (GET /api/v1/articles/slug/{slug})',
+              example: 'elections-a-paris'
+            },
+            previousSlugs: {
+              type: 'array',
+              readOnly: true,
+              items: { type: 'string' },
+              description: 'Anciens slugs, redirigés vers le slug actuel'
+            },
+            status: {
+              type: 'string',
+              readOnly: true,
+              enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
+              description: 'Étape du circuit éditorial (modifiée via POST /api/v1/articles/id/{articleId}/status)'
+            },
+            reviewers: {
+              type: 'array',
+              readOnly: true,
+              items: { type: 'string' },
+              description: 'IDs des relecteurs assignés ; vide si tout relecteur peut relire'
+            },
+            publishAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+              nullable: true,
+              description: 'Date de publication programmée'
+            },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+              nullable: true,
+              description: 'Date de publication'
             }
           }
         },
@@ -89,7 +152,7 @@ const options = {
             },
             role: { 
               type: 'string',
-              enum: ['admin', 'member'],
+              description: 'Nom du rôle (member, author, editor, admin ou rôle personnalisé)',
               example: 'member' 
             }
           }
@@ -112,8 +175,113 @@ const options = {
       example: 15
     }
   }
-}
-        
+},
+        // Nombre d'articles publiés par valeur de facette (chaque facette ignore son propre filtre)
+        ArticleFacets: {
+          type: 'object',
+          properties: {
+            category: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string' },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            journalName: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string' },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            author: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string' },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }
+      },
+      // Paramètres communs aux lectures d'articles : mise en forme, pagination par curseur et filtres des listes
+      parameters: {
+        ArticleFields: {
+          in: 'query',
+          name: 'fields',
+          description: 'Champs à renvoyer, séparés par des virgules (_id toujours inclus) : title, slug, author, authorId, journalName, category, description, imageUrl, status, publishAt, publishedAt, createdAt, updatedAt. Sans ce paramètre, l\'article est renvoyé en entier avec authorInfo',
+          schema: { type: 'string', example: 'title,imageUrl,createdAt' }
+        },
+        ArticleExpand: {
+          in: 'query',
+          name: 'expand',
+          description: 'Données jointes avec fields : author ajoute authorInfo, le profil public de l\'auteur',
+          schema: { type: 'string', enum: ['author'] }
+        },
+        ArticleSort: {
+          in: 'query',
+          name: 'sort',
+          description: 'Tri, champs séparés par des virgules, préfixés par - pour l\'ordre décroissant : createdAt, updatedAt, publishedAt, title, journalName, author (indisponible avec cursor)',
+          schema: { type: 'string', example: '-updatedAt,title' }
+        },
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          description: 'Pagination par curseur : vide pour la première page, puis nextCursor ou prevCursor de la réponse (page est alors ignoré)',
+          schema: { type: 'string' },
+          allowEmptyValue: true
+        },
+        FilterCategory: {
+          in: 'query',
+          name: 'category',
+          description: 'Catégories (plusieurs valeurs : paramètre répété ou séparé par des virgules)',
+          schema: { type: 'string', example: 'science,santé' }
+        },
+        FilterJournalName: {
+          in: 'query',
+          name: 'journalName',
+          description: 'Journaux (plusieurs valeurs possibles)',
+          schema: { type: 'string', example: 'Le Monde' }
+        },
+        FilterAuthor: {
+          in: 'query',
+          name: 'author',
+          description: 'Auteurs, par nom d\'utilisateur (plusieurs valeurs possibles)',
+          schema: { type: 'string', example: 'john_doe' }
+        },
+        FilterCreatedFrom: {
+          in: 'query',
+          name: 'createdFrom',
+          description: 'Créé à partir de cette date (incluse)',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        FilterCreatedTo: {
+          in: 'query',
+          name: 'createdTo',
+          description: 'Créé jusqu\'à cette date (incluse)',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        FilterUpdatedFrom: {
+          in: 'query',
+          name: 'updatedFrom',
+          description: 'Modifié à partir de cette date (incluse)',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        FilterUpdatedTo: {
+          in: 'query',
+          name: 'updatedTo',
+          description: 'Modifié jusqu\'à cette date (incluse)',
+          schema: { type: 'string', format: 'date-time' }
+        }
       }
     }
   },
@@ -1,6 +1,9 @@
 // Contrôleurs pour la gestion des articles
 
 const articleService = require('../services/article.services');
+const auditService = require('../services/audit.services'); // Journal d'audit
+const workflowService = require('../services/workflow.services'); // Visibilité selon le statut
+const articleViewService = require('../services/articleView.services'); // Champs et données jointes (?fields=, ?expand=)
 const { ObjectId } = require('mongodb'); // Importe ObjectId de MongoDB
 const fs = require('fs'); // Module de gestion des fichiers
 
@@ -14,7 +17,8 @@ const createArticle = async (req, res) => {
             req.body.imageUrl = 'http://192.168.1.194:3000' + '/api/v1/uploads/' + req.file.filename;
         }
 
-        const requiredFields = ['title', 'author', 'journalName', 'category', 'description'];
+        // L'auteur n'est pas demandé : l'article est rattaché au compte authentifié
+        const requiredFields = ['title', 'journalName', 'category', 'description'];
         const missingFields = requiredFields.filter(field => !req.body[field]);
         
         if (missingFields.length > 0) {
@@ -24,24 +28,24 @@ const createArticle = async (req, res) => {
             });
         }
 
-        const articleId = await articleService.createArticleService(req.body);
+        const articleId = await articleService.createArticleService(req.body, req.user.userId);
         
-        // Récupère l'article créé pour l'envoyer dans la notification
+        // Récupère l'article créé pour le journal d'audit
         const newArticle = await articleService.getArticleByIdService(articleId);
+
+        // Trace la création dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.create',
+            target: { type: 'article', id: articleId },
+            after: newArticle
+        });
         
-        // Envoie une notification WebSocket à tous les clients connectés
-        if (req.app.locals.wsBroadcast) {
-    req.app.locals.wsBroadcast({
-        type: 'article.created',
-        message: 'Nouvel article créé',
-        article: newArticle,
-        at: new Date().toISOString()
-    });
-}
+        // Pas de notification WebSocket : l'article est un brouillon, il sera annoncé à sa publication
         
         return res.status(201).json({
             message: '✅ Article créé avec succès',
-            articleId
+            articleId,
+            slug: newArticle.slug
         });
         
     } catch (err) {
@@ -57,29 +61,69 @@ const getImage = (req, res) => {
     imageStream.pipe(res);
 };
 
-// Récupère tous les articles (paginés)
+/**
+ * Ajoute l'en-tête Link (RFC 8288) vers les pages suivante et précédente
+ * L'URL de la requête est reprise (filtres compris), seul cursor ou page change
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Object} result - Page renvoyée (nextCursor/prevCursor, ou currentPage/totalPages)
+ */
+const setPaginationLinks = (req, res, result) => {
+    const links = {};
+    if (req.query.cursor !== undefined) {
+        if (result.nextCursor) links.next = { cursor: result.nextCursor };
+        if (result.prevCursor) links.prev = { cursor: result.prevCursor };
+    } else {
+        if (result.currentPage < result.totalPages) links.next = { page: result.currentPage + 1 };
+        if (result.currentPage > 1) links.prev = { page: result.currentPage - 1 };
+    }
+
+    const header = Object.entries(links).map(([rel, params]) => {
+        const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+        for (const [name, value] of Object.entries(params)) {
+            url.searchParams.set(name, value);
+        }
+        return `<${url}>; rel="${rel}"`;
+    });
+    if (header.length > 0) res.set('Link', header.join(', '));
+};
+
+// Récupère tous les articles (paginés par numéro de page ou par curseur)
 const getAllArticles = async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 5;
+        const view = articleViewService.parseArticleView(req.query);
         
-        const result = await articleService.getArticlesService(page, limit);
+        // Filtres (catégorie, journal, auteur, dates), curseur et tri lus dans la query string
+        const result = await articleService.getArticlesService(page, limit, req.query, { projection: view.projection });
+        // Ajoute les informations publiques des auteurs et ne garde que les champs demandés
+        result.articles = await articleService.presentArticlesService(result.articles, view);
+        setPaginationLinks(req, res, result);
         res.json(result);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
     }
 };
 
-// Récupère un article par ID
+// Récupère un article par ID (non publié : réservé à l'auteur, aux relecteurs et aux éditeurs)
 const getArticleById = async (req, res) => {
     try {
-        const article = await articleService.getArticleByIdService(new ObjectId(req.params.articleId));
+        const view = articleViewService.parseArticleView(req.query);
+        const article = await articleService.getArticleByIdService(new ObjectId(req.params.articleId), { projection: view.projection });
         
-        if (!article) {
+        if (!article || !await workflowService.canViewArticle(article, req.user || null)) {
             return res.status(404).json({ message: '❌ Article introuvable' });
         }
-        res.json(article);
+        const [articleWithAuthor] = await articleService.presentArticlesService([article], view);
+        res.json(articleWithAuthor);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         if (err.message.includes('BSONError')) {
             return res.status(400).json({ message: '❌ Format ID invalide' });
         }
@@ -87,11 +131,36 @@ const getArticleById = async (req, res) => {
     }
 };
 
+// Récupère un article par slug (un ancien slug redirige vers le slug actuel)
+const getArticleBySlug = async (req, res) => {
+    try {
+        const view = articleViewService.parseArticleView(req.query);
+        const result = await articleService.getArticleBySlugService(req.params.slug, { projection: view.projection });
+        
+        if (!result || !await workflowService.canViewArticle(result.article, req.user || null)) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        if (result.redirect) {
+            // La query string (?fields=, ?expand=) est conservée
+            const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+            return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(result.article.slug)}${queryString}`);
+        }
+        const [articleWithAuthor] = await articleService.presentArticlesService([result.article], view);
+        res.json(articleWithAuthor);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
+        res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
+    }
+};
+
 // Récupère des articles par titre
 const getArticlesByTitle = async (req, res) => {
     try {
         const title = decodeURIComponent(req.params.title);
-        const articles = await articleService.getArticlesByTitleService(title);
+        const view = articleViewService.parseArticleView(req.query);
+        const articles = await articleService.getArticlesByTitleService(title, { publishedOnly: true, sort: req.query.sort, projection: view.projection });
         
         if (!articles || articles.length === 0) {
             return res.status(404).json({ 
@@ -99,8 +168,11 @@ const getArticlesByTitle = async (req, res) => {
             });
         }
         
-        res.json(articles);
+        res.json(await articleService.presentArticlesService(articles, view));
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ 
             message: 'Erreur serveur',
             error: err.message 
@@ -112,7 +184,8 @@ const getArticlesByTitle = async (req, res) => {
 const getArticlesByAuthor = async (req, res) => {
     try {
         const author = decodeURIComponent(req.params.author);
-        const articles = await articleService.getArticlesByAuthorService(author);
+        const view = articleViewService.parseArticleView(req.query);
+        const articles = await articleService.getArticlesByAuthorService(author, { publishedOnly: true, sort: req.query.sort, projection: view.projection });
         
         if (!articles || articles.length === 0) {
             return res.status(404).json({ 
@@ -120,8 +193,11 @@ const getArticlesByAuthor = async (req, res) => {
             });
         }
         
-        res.json(articles);
+        res.json(await articleService.presentArticlesService(articles, view));
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ 
             message: '❌ Erreur serveur',
             error: err.message 
@@ -132,9 +208,17 @@ const getArticlesByAuthor = async (req, res) => {
 // Met à jour un article par ID (admin)
 const updateArticle = async (req, res) => {
     try {
+        // Un ID mal formé ne désigne aucun article (évite une erreur BSON plus loin)
+        if (!ObjectId.isValid(req.params.articleId)) {
+            return res.status(400).json({ message: '❌ Format ID invalide' });
+        }
+        // État avant modification (journal d'audit)
+        const before = await articleService.getArticleByIdService(req.params.articleId);
         const modifiedCount = await articleService.updateArticleService(
             req.params.articleId, 
-            req.body
+            req.body,
+            // Sans article.publish ni article.update.any, un article validé n'est plus modifiable
+            { userId: req.user.userId, statuses: await workflowService.getEditableStatuses(req.user) }
         );
         
         if (modifiedCount === 0) {
@@ -143,9 +227,18 @@ const updateArticle = async (req, res) => {
         
         // Récupère l'article mis à jour pour l'envoyer dans la notification
         const updatedArticle = await articleService.getArticleByIdService(req.params.articleId);
+
+        // Trace la modification dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.update',
+            target: { type: 'article', id: req.params.articleId },
+            before,
+            after: updatedArticle,
+            metadata: { fields: Object.keys(req.body) }
+        });
         
-        // Envoie une notification WebSocket à tous les clients connectés
-        if (req.app.locals.wsBroadcast) {
+        // Envoie une notification WebSocket à tous les clients connectés (articles publiés uniquement)
+        if (req.app.locals.wsBroadcast && updatedArticle.status === 'published') {
     req.app.locals.wsBroadcast({
         type: 'article.updated',
         message: 'Article mis à jour',
@@ -157,6 +250,9 @@ const updateArticle = async (req, res) => {
         res.json({ message: '✅ Article modifié' });
        
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
     }
 };
@@ -165,13 +261,25 @@ const updateArticle = async (req, res) => {
 const updateArticlesByTitle = async (req, res) => {
     try {
         const title = decodeURIComponent(req.params.title);
-        const modifiedCount = await articleService.updateArticlesByTitleService(title, req.body);
+        // État avant modification (journal d'audit)
+        const before = await articleService.getArticlesByTitleService(title);
+        const modifiedCount = await articleService.updateArticlesByTitleService(title, req.body, { userId: req.user.userId });
         
         if (modifiedCount === 0) {
             return res.status(404).json({ 
                 message: `Aucun article trouvé avec le titre: ${title} ou aucune modification nécessaire` 
             });
         }
+
+        // Trace la modification groupée dans le journal d'audit
+        const ids = before.map(article => article._id);
+        await auditService.recordFromRequest(req, {
+            action: 'articles.update',
+            target: { type: 'article', ids, criteria: { title } },
+            before,
+            after: await articleService.getArticlesByIdsService(ids),
+            metadata: { fields: Object.keys(req.body), count: modifiedCount }
+        });
         
         // Envoie une notification WebSocket pour les mises à jour multiples
         if (req.app.locals.wsBroadcast) {
@@ -201,9 +309,20 @@ const updateArticlesByTitle = async (req, res) => {
 const updateArticlesByAuthor = async (req, res) => {
     try {
         const author = decodeURIComponent(req.params.author);
+        // Les articles sont retrouvés par compte (authorId), pas par signature
+        const account = await articleService.findAuthorAccountService(author);
+        if (!account) {
+            return res.status(404).json({ message: `❌ Aucun compte auteur: ${author}` });
+        }
+        // Sans article.publish ni article.update.any, seuls les articles non validés sont modifiés
+        const statuses = await workflowService.getEditableStatuses(req.user);
+        // État avant modification (journal d'audit)
+        const before = (await articleService.getArticlesByAuthorIdService(account._id))
+            .filter(article => !statuses || statuses.includes(article.status));
         const modifiedCount = await articleService.updateArticlesByAuthorService(
-            author, 
-            req.body
+            account._id, 
+            req.body,
+            { userId: req.user.userId, statuses }
         );
         
         if (modifiedCount === 0) {
@@ -211,6 +330,16 @@ const updateArticlesByAuthor = async (req, res) => {
                 message: `❌ Aucun article trouvé pour l'auteur: ${author} ou aucune modification nécessaire` 
             });
         }
+
+        // Trace la modification groupée dans le journal d'audit
+        const ids = before.map(article => article._id);
+        await auditService.recordFromRequest(req, {
+            action: 'articles.update',
+            target: { type: 'article', ids, criteria: { author, authorId: account._id } },
+            before,
+            after: await articleService.getArticlesByIdsService(ids),
+            metadata: { fields: Object.keys(req.body), count: modifiedCount }
+        });
         
         // Envoie une notification WebSocket pour les mises à jour multiples
         if (req.app.locals.wsBroadcast) {
@@ -239,14 +368,23 @@ const updateArticlesByAuthor = async (req, res) => {
 // Supprime un article par ID (admin)
 const deleteArticle = async (req, res) => {
     try {
+        // État avant suppression (journal d'audit)
+        const before = await articleService.getArticleByIdService(req.params.articleId);
         const deletedCount = await articleService.deleteArticleService(req.params.articleId);
         
         if (deletedCount === 0) {
             return res.status(404).json({ message: 'Article introuvable' });
         }
+
+        // Trace la suppression dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.delete',
+            target: { type: 'article', id: req.params.articleId },
+            before
+        });
         
-        // Envoie une notification WebSocket pour la suppression
-        if (req.app.locals.wsBroadcast) {
+        // Envoie une notification WebSocket pour la suppression (articles publiés uniquement)
+        if (req.app.locals.wsBroadcast && before && before.status === 'published') {
             req.app.locals.wsBroadcast({
                 type: 'article.deleted',
                 message: 'Article supprimé avec succès',
@@ -271,6 +409,8 @@ const deleteArticle = async (req, res) => {
 const deleteArticlesByTitle = async (req, res) => {
     try {
         const title = decodeURIComponent(req.params.title);
+        // État avant suppression (journal d'audit)
+        const before = await articleService.getArticlesByTitleService(title);
         const deletedCount = await articleService.deleteArticlesByTitleService(title);
         
         if (deletedCount === 0) {
@@ -278,6 +418,14 @@ const deleteArticlesByTitle = async (req, res) => {
                 message: `Aucun article trouvé avec le titre: ${title}` 
             });
         }
+
+        // Trace la suppression groupée dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'articles.delete',
+            target: { type: 'article', ids: before.map(article => article._id), criteria: { title } },
+            before,
+            metadata: { count: deletedCount }
+        });
         
         // Envoie une notification WebSocket pour les suppressions multiples
         if (req.app.locals.wsBroadcast) {
@@ -306,13 +454,28 @@ const deleteArticlesByTitle = async (req, res) => {
 const deleteArticlesByAuthor = async (req, res) => {
     try {
         const author = decodeURIComponent(req.params.author);
-        const deletedCount = await articleService.deleteArticlesByAuthorService(author);
+        // Les articles sont retrouvés par compte (authorId), pas par signature
+        const account = await articleService.findAuthorAccountService(author);
+        if (!account) {
+            return res.status(404).json({ message: `Aucun compte auteur: ${author}` });
+        }
+        // État avant suppression (journal d'audit)
+        const before = await articleService.getArticlesByAuthorIdService(account._id);
+        const deletedCount = await articleService.deleteArticlesByAuthorService(account._id);
         
         if (deletedCount === 0) {
             return res.status(404).json({ 
                 message: `Aucun article trouvé pour l'auteur: ${author}` 
             });
         }
+
+        // Trace la suppression groupée dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'articles.delete',
+            target: { type: 'article', ids: before.map(article => article._id), criteria: { author, authorId: account._id } },
+            before,
+            metadata: { count: deletedCount }
+        });
         
         // Envoie une notification WebSocket pour les suppressions multiples
         if (req.app.locals.wsBroadcast) {
@@ -349,22 +512,25 @@ const searchArticles = async (req, res) => {
         const query = req.query.q; // Terme de recherche
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
+        const view = articleViewService.parseArticleView(req.query, { search: true }); // Champs et données jointes
         
-        // Validation du terme de recherche
-        if (!query || query.trim().length < 2) {
+        // Validation du terme de recherche (un paramètre répété, ?q=a&q=b, arrive sous forme de tableau)
+        if (typeof query !== 'string' || query.trim().length < 2) {
             return res.status(400).json({ 
-                message: 'La requête de recherche doit contenir au moins 2 caractères'
+                message: 'La requête de recherche doit contenir au moins 2 caractères',
+                code: 'INVALID_SEARCH'
             });
         }
         
         // Appel du service de recherche
-        const searchResults = await articleService.searchArticlesService(query, page, limit);
+        const searchResults = await articleService.searchArticlesService(query, page, limit, req.query, { projection: view.projection });
         
-        // Vérification si des résultats ont été trouvés
+        // Vérification si des résultats ont été trouvés (en mode curseur, une page vide marque la fin de la liste)
         if (searchResults.totalArticles === 0) {
             return res.status(404).json({ 
                 message: `❌ Aucun article trouvé pour la recherche: "${query}"`,
                 searchQuery: query,
+                facets: searchResults.facets, // Les autres valeurs de filtre restent proposées
                 suggestions: [
                     'Vérifiez l\'orthographe des mots',
                     'Essayez des termes plus généraux',
@@ -373,7 +539,17 @@ const searchArticles = async (req, res) => {
             });
         }
         
+        // Ajoute les informations publiques des auteurs et ne garde que les champs demandés
+        searchResults.articles = await articleService.presentArticlesService(searchResults.articles, view);
+
         // Réponse avec les résultats de la recherche
+        setPaginationLinks(req, res, searchResults);
+        if (req.query.cursor !== undefined) {
+            return res.json({
+                message: `✅ ${searchResults.articles.length} article(s) trouvé(s) pour "${query}"`,
+                ...searchResults
+            });
+        }
         res.json({
             message: `✅ ${searchResults.totalArticles} article(s) trouvé(s) pour "${query}"`,
             ...searchResults,
@@ -382,11 +558,9 @@ const searchArticles = async (req, res) => {
         });
         
     } catch (err) {
-        // Gestion des erreurs spécifiques
-        if (err.message.includes('requête de recherche')) {
-            return res.status(400).json({ 
-                message: err.message 
-            });
+        // Requête, pagination ou filtre invalide
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
         }
         
         // Erreur serveur générique
@@ -402,6 +576,7 @@ module.exports = {
     createArticle,
     getAllArticles,
     getArticleById,
+    getArticleBySlug,
     getArticlesByTitle,
     getArticlesByAuthor,
     updateArticle,
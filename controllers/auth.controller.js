@@ -22,8 +22,8 @@ const register = async (req, res) => {
             userId
         });
     } catch (err) {
-        if (err.code === 11000) {
-            return res.status(400).json({ message: '❌ Cet email est déjà utilisé' });
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
         }
         res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
     }
@@ -50,12 +50,15 @@ const logout = (req, res) => {
     res.json({ message: '✅ Déconnecté - Supprimez votre jeton côté client' });
 };
 
-// Récupère tous les utilisateurs (admin)
+// Récupère les utilisateurs paginés, filtrés et triés (admin)
 const getAllUsers = async (req, res) => {
     try {
-        const users = await authService.getAllUsers();
-        res.json(users);
+        const result = await authService.getUsers(req.query);
+        res.json(result);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
     }
 };
@@ -0,0 +1,114 @@
+// Contrôleurs de l'historique des versions des articles (liste, comparaison, restauration)
+
+const revisionService = require('../services/revision.services');
+const articleService = require('../services/article.services');
+const auditService = require('../services/audit.services'); // Journal d'audit
+const workflowService = require('../services/workflow.services'); // Statuts modifiables par l'appelant
+
+/**
+ * Renvoie l'erreur d'un service : statut et code métier si présents, sinon erreur serveur
+ * @param {Object} res - Réponse Express
+ * @param {Error} err - Erreur levée par le service
+ */
+const sendRevisionError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
+};
+
+// Liste les révisions d'un article
+const getRevisions = async (req, res) => {
+    try {
+        const revisions = await revisionService.listRevisions(req.params.articleId);
+
+        if (!revisions) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        res.json(revisions);
+    } catch (err) {
+        sendRevisionError(res, err);
+    }
+};
+
+// Récupère une révision avec son contenu
+const getRevision = async (req, res) => {
+    try {
+        const revision = await revisionService.getRevision(req.params.articleId, req.params.revision);
+
+        if (!revision) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        res.json(revision);
+    } catch (err) {
+        sendRevisionError(res, err);
+    }
+};
+
+// Compare deux révisions (ou une révision et la version actuelle) champ par champ
+const diffRevisions = async (req, res) => {
+    try {
+        const diff = await revisionService.diffRevisions(req.params.articleId, req.query.from, req.query.to);
+
+        if (!diff) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        res.json(diff);
+    } catch (err) {
+        sendRevisionError(res, err);
+    }
+};
+
+// Restaure le contenu d'un article depuis une révision
+const restoreRevision = async (req, res) => {
+    try {
+        const result = await articleService.restoreRevisionService(
+            req.params.articleId,
+            req.params.revision,
+            { userId: req.user.userId, statuses: await workflowService.getEditableStatuses(req.user) }
+        );
+
+        if (!result) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        if (result.changes.length === 0) {
+            return res.json({
+                message: `L'article est déjà identique à la révision ${result.restoredFrom}`,
+                changes: []
+            });
+        }
+
+        // Trace la restauration dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.restore',
+            target: { type: 'article', id: req.params.articleId },
+            before: result.before,
+            after: result.article,
+            metadata: { revision: result.restoredFrom, fields: result.changes.map(change => change.field) }
+        });
+
+        // Envoie une notification WebSocket à tous les clients connectés (articles publiés uniquement)
+        if (req.app.locals.wsBroadcast && result.article.status === 'published') {
+            req.app.locals.wsBroadcast({
+                type: 'article.updated',
+                message: `Article restauré à la révision ${result.restoredFrom}`,
+                article: result.article,
+                at: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            message: `✅ Article restauré à la révision ${result.restoredFrom}`,
+            changes: result.changes
+        });
+    } catch (err) {
+        sendRevisionError(res, err);
+    }
+};
+
+module.exports = {
+    getRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
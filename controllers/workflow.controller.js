@@ -0,0 +1,144 @@
+// Contrôleurs du circuit éditorial des articles (statuts, relecteurs, commentaires de relecture)
+
+const workflowService = require('../services/workflow.services');
+const articleService = require('../services/article.services');
+const auditService = require('../services/audit.services'); // Journal d'audit
+
+/**
+ * Renvoie l'erreur d'un service : statut et code métier si présents, sinon erreur serveur
+ * @param {Object} res - Réponse Express
+ * @param {Error} err - Erreur levée par le service
+ */
+const sendWorkflowError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
+};
+
+// Notifications WebSocket associées à l'arrivée ou au départ d'un article de la partie publique
+const STATUS_NOTIFICATIONS = {
+    published: (article, before) => workflowService.publicationNotifications(before, article),
+    archived: (article) => [{
+        type: 'article.archived',
+        message: 'Article archivé',
+        articleId: article._id
+    }]
+};
+
+// Récupère la file éditoriale de l'appelant
+const getEditorialQueue = async (req, res) => {
+    try {
+        const result = await workflowService.getEditorialQueue(req.user, {
+            status: req.query.status,
+            page: parseInt(req.query.page) || 1,
+            limit: parseInt(req.query.limit) || 20
+        });
+        result.articles = await articleService.expandAuthorsService(result.articles);
+        res.json(result);
+    } catch (err) {
+        sendWorkflowError(res, err);
+    }
+};
+
+// Change le statut d'un article
+const changeStatus = async (req, res) => {
+    try {
+        const { status, publishAt, comment } = req.body || {};
+        const result = await workflowService.transitionArticle(req.params.articleId, req.user, { status, publishAt, comment });
+
+        if (!result) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+
+        // Trace le changement de statut dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.status',
+            target: { type: 'article', id: req.params.articleId },
+            before: result.before,
+            after: result.article,
+            metadata: { from: result.from, to: result.to, reviewId: result.review ? result.review._id : null }
+        });
+
+        // Envoie une notification WebSocket si l'article entre dans la partie publique ou en sort
+        const notifications = STATUS_NOTIFICATIONS[result.to];
+        if (notifications && req.app.locals.wsBroadcast) {
+            for (const notification of notifications(result.article, result.before)) {
+                req.app.locals.wsBroadcast({ ...notification, at: new Date().toISOString() });
+            }
+        }
+
+        res.json({
+            message: `✅ Statut modifié : ${result.from} → ${result.to}`,
+            article: result.article,
+            review: result.review
+        });
+    } catch (err) {
+        sendWorkflowError(res, err);
+    }
+};
+
+// Assigne les relecteurs d'un article
+const assignReviewers = async (req, res) => {
+    try {
+        const result = await workflowService.assignReviewers(req.params.articleId, (req.body || {}).reviewers);
+
+        if (!result) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+
+        // Trace l'assignation dans le journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'article.reviewers',
+            target: { type: 'article', id: req.params.articleId },
+            before: { reviewers: result.before.reviewers || [] },
+            after: { reviewers: result.article.reviewers }
+        });
+
+        res.json({
+            message: '✅ Relecteurs assignés',
+            reviewers: result.article.reviewers
+        });
+    } catch (err) {
+        sendWorkflowError(res, err);
+    }
+};
+
+// Liste les commentaires de relecture d'un article
+const getReviews = async (req, res) => {
+    try {
+        const reviews = await workflowService.listReviewComments(req.params.articleId, req.user);
+
+        if (!reviews) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        res.json(reviews);
+    } catch (err) {
+        sendWorkflowError(res, err);
+    }
+};
+
+// Ajoute un commentaire de relecture
+const addReview = async (req, res) => {
+    try {
+        const review = await workflowService.addReviewComment(req.params.articleId, req.user, (req.body || {}).comment);
+
+        if (!review) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        res.status(201).json({
+            message: '✅ Commentaire ajouté',
+            review
+        });
+    } catch (err) {
+        sendWorkflowError(res, err);
+    }
+};
+
+module.exports = {
+    getEditorialQueue,
+    changeStatus,
+    assignReviewers,
+    getReviews,
+    addReview
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration : rattache les articles existants à leur compte auteur (authorId)
+ * Les articles référençaient leur auteur par son nom d'utilisateur uniquement. Chaque signature est
+ * rapprochée du compte portant ce nom ; les signatures sans compte, ou partagées par plusieurs comptes,
+ * reçoivent authorId null et sont listées dans le résultat pour un rattachement manuel.
+ */
+
+module.exports = {
+    description: 'Ajoute authorId aux articles à partir du nom d\'utilisateur de l\'auteur',
+
+    /**
+     * @param {Db} db - Base de données
+     * @returns {Promise<Object>} Nombre d'articles rattachés et signatures sans compte
+     */
+    up: async (db) => {
+        const articles = db.collection('articles');
+        const authors = await articles.distinct('author', { authorId: { $exists: false } });
+
+        let linked = 0;
+        const unmatchedAuthors = [];
+        for (const author of authors) {
+            // Deux comptes au plus suffisent pour détecter une ambiguïté
+            const users = await db.collection('users')
+                .find({ username: author }, { projection: { _id: 1 } })
+                .limit(2)
+                .toArray();
+            if (users.length !== 1) {
+                unmatchedAuthors.push({ author, accounts: users.length });
+                continue;
+            }
+            const result = await articles.updateMany(
+                { author, authorId: { $exists: false } },
+                { $set: { authorId: users[0]._id } }
+            );
+            linked += result.modifiedCount;
+        }
+
+        // Articles restants (sans signature ou sans compte unique) : explicitement sans propriétaire
+        const orphans = await articles.updateMany(
+            { authorId: { $exists: false } },
+            { $set: { authorId: null } }
+        );
+
+        return { linked, unlinked: orphans.modifiedCount, unmatchedAuthors };
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration : rend les noms d'utilisateur uniques
+ * Les comptes partageant un nom sont traités du plus ancien au plus récent : le premier garde son nom,
+ * les suivants reçoivent un suffixe numérique (leurs articles suivent). L'ancien index non unique est
+ * ensuite remplacé par l'index unique.
+ */
+
+module.exports = {
+    description: 'Renomme les comptes en double et crée l\'index unique des noms d\'utilisateur',
+
+    /**
+     * @param {Db} db - Base de données
+     * @returns {Promise<Object>} Comptes renommés (ancien et nouveau nom)
+     */
+    up: async (db) => {
+        const users = db.collection('users');
+        const duplicates = await users.aggregate([
+            { $group: { _id: '$username', count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ]).toArray();
+
+        const renamed = [];
+        for (const { _id: username } of duplicates) {
+            const accounts = await users
+                .find({ username }, { projection: { _id: 1 } })
+                .sort({ createdAt: 1, _id: 1 })
+                .toArray();
+            let n = 2;
+            for (const account of accounts.slice(1)) {
+                while (await users.countDocuments({ username: `${username}-${n}` }, { limit: 1 })) n++;
+                const newName = `${username}-${n}`;
+                await users.updateOne({ _id: account._id }, { $set: { username: newName, updatedAt: new Date() } });
+                await db.collection('articles').updateMany({ authorId: account._id }, { $set: { author: newName } });
+                renamed.push({ userId: account._id, from: username, to: newName });
+                n++;
+            }
+        }
+
+        // L'index non unique créé par les versions précédentes porte le même nom par défaut
+        const indexes = await users.indexes();
+        if (indexes.some(index => index.name === 'username_1' && !index.unique)) {
+            await users.dropIndex('username_1');
+        }
+        await users.createIndex({ username: 1 }, { unique: true });
+
+        return { renamed };
+    }
+};
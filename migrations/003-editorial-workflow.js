@@ -0,0 +1,45 @@
+/**
+ * Migration : introduit le circuit éditorial
+ * Les articles existants étaient tous publics : ils passent au statut 'published' (publishedAt = date de création).
+ * Les rôles intégrés author et editor reçoivent les nouvelles permissions du circuit, les rôles existants
+ * n'étant pas recréés au démarrage.
+ */
+
+// Permissions ajoutées aux rôles intégrés (même répartition que DEFAULT_ROLES)
+const ROLE_PERMISSIONS = {
+    author: ['article.submit.own'],
+    editor: ['article.submit.any', 'article.review', 'article.publish']
+};
+
+module.exports = {
+    description: 'Publie les articles existants et ajoute les permissions du circuit éditorial aux rôles author et editor',
+
+    /**
+     * @param {Db} db - Base de données
+     * @returns {Promise<Object>} Nombre d'articles publiés et de rôles complétés
+     */
+    up: async (db) => {
+        const articles = await db.collection('articles').updateMany(
+            { status: { $exists: false } },
+            [{
+                $set: {
+                    status: 'published',
+                    publishedAt: '$createdAt',
+                    publishAt: null,
+                    reviewers: []
+                }
+            }]
+        );
+
+        let rolesUpdated = 0;
+        for (const [name, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+            const result = await db.collection('roles').updateOne(
+                { name },
+                { $addToSet: { permissions: { $each: permissions } }, $set: { updatedAt: new Date() } }
+            );
+            rolesUpdated += result.modifiedCount;
+        }
+
+        return { publishedArticles: articles.modifiedCount, rolesUpdated };
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration : attribue un slug aux articles existants
+ * Les articles sont traités du plus ancien au plus récent : en cas de titres identiques,
+ * le premier publié garde le slug sans suffixe.
+ */
+
+const { slugify } = require('../services/slug.services'); // Construction des slugs
+
+module.exports = {
+    description: 'Ajoute un slug unique aux articles qui n\'en ont pas',
+
+    /**
+     * @param {Db} db - Base de données
+     * @returns {Promise<Object>} Nombre d'articles complétés
+     */
+    up: async (db) => {
+        const articles = db.collection('articles');
+
+        // Slugs déjà attribués (actuels et anciens)
+        const taken = new Set();
+        const existing = await articles
+            .find({ slug: { $type: 'string' } }, { projection: { slug: 1, previousSlugs: 1 } })
+            .toArray();
+        for (const article of existing) {
+            taken.add(article.slug);
+            (article.previousSlugs || []).forEach(slug => taken.add(slug));
+        }
+
+        let slugged = 0;
+        const cursor = articles
+            .find({ slug: { $not: { $type: 'string' } } }, { projection: { title: 1 } })
+            .sort({ createdAt: 1, _id: 1 });
+        for await (const article of cursor) {
+            const base = slugify(article.title);
+            let slug = base;
+            for (let n = 2; taken.has(slug); n++) {
+                slug = `${base}-${n}`;
+            }
+            taken.add(slug);
+            await articles.updateOne({ _id: article._id }, { $set: { slug, previousSlugs: [] } });
+            slugged++;
+        }
+
+        return { slugged };
+    }
+};
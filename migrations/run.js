@@ -0,0 +1,50 @@
+/**
+ * Exécution des migrations de données (npm run migrate)
+ * Chaque fichier NNN-nom.js de ce dossier exporte { description, up(db) }. Les migrations sont appliquées
+ * dans l'ordre de leur numéro puis enregistrées dans la collection 'migrations' : elles ne sont jamais rejouées.
+ */
+
+const fs = require('fs'); // Lecture du dossier des migrations
+const path = require('path'); // Noms des fichiers
+const { connectDB, closeDB } = require('../configs/db'); // Connexion à MongoDB
+
+/**
+ * Applique les migrations qui ne l'ont pas encore été
+ * @returns {Promise<number>} Nombre de migrations appliquées
+ */
+const runMigrations = async () => {
+    const db = await connectDB();
+    const applied = new Set(
+        (await db.collection('migrations').find({}, { projection: { _id: 1 } }).toArray()).map(migration => migration._id)
+    );
+    const files = fs.readdirSync(__dirname)
+        .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+        .sort();
+
+    let count = 0;
+    for (const file of files) {
+        const name = path.basename(file, '.js');
+        if (applied.has(name)) continue;
+
+        const migration = require(path.join(__dirname, file));
+        console.log(`▶️  ${name} : ${migration.description}`);
+        const result = await migration.up(db);
+        await db.collection('migrations').insertOne({
+            _id: name,
+            description: migration.description,
+            result: result || null,
+            appliedAt: new Date()
+        });
+        console.log(`✅ ${name}`, result || '');
+        count++;
+    }
+    return count;
+};
+
+runMigrations()
+    .then(count => console.log(count ? `✅ ${count} migration(s) appliquée(s)` : '✅ Aucune migration en attente'))
+    .catch(err => {
+        console.error('❌ Échec de la migration:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => closeDB());
@@ -0,0 +1,169 @@
+/**
+ * Fournisseur OpenID Connect factice pour le développement et les tests du SSO
+ * Approuve automatiquement toute demande d'autorisation et signe des id_token RS256
+ *
+ * Utilisation :
+ *   node mockOidcProvider.js
+ *   OIDC_PROVIDERS='{"mock":{"issuer":"http://localhost:4000","clientId":"news-api","autoProvision":true}}' npm start
+ *   Ouvrir http://localhost:3000/api/v1/auth/oidc/mock/login?login_hint=journaliste@example.com
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Configuration du fournisseur factice
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'news-api';
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || null; // Client public (PKCE seul) si absent
+const defaultEmail = process.env.MOCK_OIDC_EMAIL || 'journaliste@example.com';
+const emailVerified = process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false';
+
+// Paire de clés de signature générée à chaque démarrage
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Codes d'autorisation en attente d'échange : code -> demande
+const codes = new Map();
+
+/**
+ * Envoie une réponse JSON
+ */
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Lit le corps d'une requête x-www-form-urlencoded
+ */
+const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+});
+
+/**
+ * Page d'autorisation : approuve immédiatement et redirige vers le client avec un code
+ * L'email de l'utilisateur simulé peut être choisi avec le paramètre login_hint
+ */
+const authorize = (url, res) => {
+    const params = url.searchParams;
+    if (params.get('client_id') !== clientId) {
+        return sendJson(res, 400, { error: 'unauthorized_client' });
+    }
+    if (params.get('response_type') !== 'code' || !params.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+    }
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE S256 requis' });
+    }
+
+    const email = params.get('login_hint') || defaultEmail;
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        email,
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        scope: params.get('scope'),
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+    console.log(`🔑 Autorisation accordée à ${email}`);
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+};
+
+/**
+ * Token endpoint : échange un code contre un id_token après vérification PKCE
+ */
+const token = async (req, res) => {
+    const form = await readForm(req);
+    const pending = codes.get(form.get('code'));
+    codes.delete(form.get('code')); // Usage unique
+
+    if (form.get('grant_type') !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    if (form.get('client_id') !== clientId || (clientSecret && form.get('client_secret') !== clientSecret)) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+    }
+    if (form.get('redirect_uri') !== pending.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri différente' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'code_verifier invalide' });
+    }
+
+    const claims = {
+        sub: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+        email: pending.email,
+        email_verified: emailVerified,
+        preferred_username: pending.email.split('@')[0],
+        name: pending.email.split('@')[0]
+    };
+    if (pending.nonce) claims.nonce = pending.nonce;
+
+    const idToken = jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: 300
+    });
+
+    sendJson(res, 200, {
+        access_token: crypto.randomBytes(24).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        scope: pending.scope,
+        id_token: idToken
+    });
+};
+
+// Serveur HTTP du fournisseur
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256'],
+                token_endpoint_auth_methods_supported: ['none', 'client_secret_post']
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/jwks') {
+            return sendJson(res, 200, {
+                keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/authorize') {
+            return authorize(url, res);
+        }
+        if (req.method === 'POST' && url.pathname === '/token') {
+            return await token(req, res);
+        }
+        sendJson(res, 404, { error: 'not_found' });
+    } catch (err) {
+        console.error('❌ Erreur du fournisseur factice:', err);
+        sendJson(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`🪪 Fournisseur OIDC factice démarré sur ${issuer} (client_id: ${clientId})`);
+});
@@ -0,0 +1,97 @@
+/**
+ * Modèle pour les clés API personnelles
+ * Interagit avec la collection 'api_keys' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre une clé API (hachée)
+ * @param {Object} keyData - Données de la clé (userId, name, prefix, keyHash, scopes, expiresAt)
+ * @returns {Promise<string>} ID de la clé créée
+ */
+const createApiKey = async (keyData) => {
+    const db = getDB();
+    const result = await db.collection('api_keys').insertOne({
+        ...keyData,
+        userId: new ObjectId(keyData.userId),
+        lastUsedAt: null,
+        lastUsedIp: null,
+        revokedAt: null,
+        createdAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Trouve une clé API par son empreinte
+ * @param {string} keyHash - Empreinte SHA-256 de la clé
+ * @returns {Promise<Object|null>} Clé trouvée ou null
+ */
+const findApiKeyByHash = async (keyHash) => {
+    const db = getDB();
+    return await db.collection('api_keys').findOne({ keyHash });
+};
+
+/**
+ * Liste les clés API d'un utilisateur (sans empreinte)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Clés de l'utilisateur, plus récentes en premier
+ */
+const findApiKeysByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('api_keys')
+        .find({ userId: new ObjectId(userId) }, { projection: { keyHash: 0 } }) // Exclut l'empreinte
+        .sort({ createdAt: -1 })
+        .toArray();
+};
+
+/**
+ * Révoque une clé API appartenant à un utilisateur
+ * @param {string} keyId - ID de la clé
+ * @param {string} userId - ID du propriétaire
+ * @returns {Promise<number>} Nombre de clés révoquées
+ */
+const revokeApiKey = async (keyId, userId) => {
+    const db = getDB();
+    const result = await db.collection('api_keys').updateOne(
+        { _id: new ObjectId(keyId), userId: new ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Enregistre la dernière utilisation d'une clé API
+ * @param {ObjectId} keyId - ID de la clé
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (keyId, ip) => {
+    const db = getDB();
+    await db.collection('api_keys').updateOne(
+        { _id: keyId },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } }
+    );
+};
+
+/**
+ * Supprime les clés API d'un utilisateur (suppression du compte)
+ * @param {string} userId - ID du propriétaire
+ * @returns {Promise<number>} Nombre de clés supprimées
+ */
+const deleteApiKeysByUser = async (userId) => {
+    const db = getDB();
+    const result = await db.collection('api_keys').deleteMany({ userId: new ObjectId(userId) });
+    return result.deletedCount;
+};
+
+module.exports = {
+    createApiKey,
+    findApiKeyByHash,
+    findApiKeysByUser,
+    revokeApiKey,
+    touchApiKey,
+    deleteApiKeysByUser
+};
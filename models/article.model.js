@@ -8,34 +8,34 @@ const { ObjectId } = require('mongodb'); // Pour les ObjectId MongoDB
 
 
 /**
- * Recherche des articles par mots-clés dans le titre, description ou catégories
+ * Recherche plein texte dans le titre, la description, les catégories, le journal et l'auteur
+ * Utilise l'index texte pondéré de la collection (voir configs/db.js) : la syntaxe
+ * "expression exacte" et -exclusion est interprétée par MongoDB, jamais convertie en RegExp
  * @param {string} query - Terme de recherche
  * @param {number} page - Numéro de page
  * @param {number} limit - Nombre d'articles par page
- * @returns {Promise<Object>} Objet avec les articles et info de pagination
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: 'published' })
+ * @param {Object} [sort] - Tri MongoDB ; par défaut, pertinence puis date
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
+ * @returns {Promise<Object>} Objet avec les articles (et leur score de pertinence) et info de pagination
  */
-const searchArticles = async (query, page = 1, limit = 10) => {
+const searchArticles = async (query, page = 1, limit = 10, filter = {}, sort = null, projection = null) => {
     const db = getDB();
     const skip = (page - 1) * limit;
     
-    // Création de la requête de recherche avec opérateur $regex pour une recherche insensible à la casse
+    // Recherche via l'index texte
     const searchQuery = {
-        $or: [
-            { title: { $regex: new RegExp(query, 'i') } }, // Recherche dans le titre
-            { description: { $regex: new RegExp(query, 'i') } }, // Recherche dans la description
-            { category: { $in: [new RegExp(query, 'i')] } }, // Recherche dans les catégories
-            { journalName: { $regex: new RegExp(query, 'i') } }, // Recherche dans le nom du journal
-            { author: { $regex: new RegExp(query, 'i') } } // Recherche dans l'auteur
-        ]
+        ...filter,
+        $text: { $search: query }
     };
     
     // Compte le nombre total de résultats pour la pagination
     const totalArticles = await db.collection('articles').countDocuments(searchQuery);
     
-    // Exécute la recherche avec pagination et tri par date de création (plus récents en premier)
+    // Exécute la recherche avec pagination, par défaut les plus pertinents d'abord puis les plus récents
     const articles = await db.collection('articles')
-        .find(searchQuery)
-        .sort({ createdAt: -1 })
+        .find(searchQuery, { projection: { ...projection, score: { $meta: 'textScore' } } })
+        .sort(sort || { score: { $meta: 'textScore' }, createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .toArray();
@@ -66,19 +66,22 @@ const createArticle = async (articleData) => {
 };
 
 /**
- * Récupère tous les articles avec pagination
+ * Récupère les articles avec pagination
  * @param {number} page - Numéro de page
  * @param {number} limit - Nombre d'articles par page
+ * @param {Object} [filter] - Critère de sélection (ex: { status: 'published' })
+ * @param {Object} [sort] - Tri MongoDB ; par défaut, plus récents en premier
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
  * @returns {Promise<Object>} Objet avec les articles et info de pagination
  */
-const getAllArticles = async (page = 1, limit = 10) => {
+const getAllArticles = async (page = 1, limit = 10, filter = {}, sort = null, projection = null) => {
     const db = getDB();
     const skip = (page - 1) * limit;
-    const totalArticles = await db.collection('articles').countDocuments();
+    const totalArticles = await db.collection('articles').countDocuments(filter);
     
     const articles = await db.collection('articles')
-        .find()
-        .sort({ createdAt: -1 }) // Plus récents en premier
+        .find(filter, { projection })
+        .sort(sort || { createdAt: -1 }) // Plus récents en premier par défaut
         .skip(skip)
         .limit(limit)
         .toArray();
@@ -91,39 +94,195 @@ const getAllArticles = async (page = 1, limit = 10) => {
     };
 };
 
+/**
+ * Récupère les articles situés après une position (createdAt, _id), sans skip ni comptage
+ * @param {Object} filter - Critère de sélection (peut contenir une recherche $text)
+ * @param {Object|null} position - { createdAt, _id, direction } ; null pour les plus récents
+ * @param {number} limit - Nombre d'articles à lire
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
+ * @returns {Promise<Array>} Articles, dans le sens de lecture (plus anciens d'abord si direction = 'prev')
+ */
+const getArticlesByCursor = async (filter, position, limit, projection = null) => {
+    const db = getDB();
+    const order = position && position.direction === 'prev' ? 1 : -1;
+    const operator = order === 1 ? '$gt' : '$lt';
+    const query = position
+        ? {
+            ...filter,
+            $or: [
+                { createdAt: { [operator]: position.createdAt } },
+                { createdAt: position.createdAt, _id: { [operator]: position._id } }
+            ]
+        }
+        : filter;
+    // Score de pertinence conservé pour une recherche plein texte
+    const fields = filter.$text ? { ...projection, score: { $meta: 'textScore' } } : projection;
+
+    return await db.collection('articles')
+        .find(query, { projection: fields })
+        .sort({ createdAt: order, _id: order })
+        .limit(limit)
+        .toArray();
+};
+
+/**
+ * Compte les articles par valeur de facette en une seule agrégation ($facet)
+ * Le critère commun est appliqué en premier (obligatoire pour une recherche $text), puis
+ * chaque facette applique son propre critère ; les champs tableaux (catégories) sont dépliés.
+ * @param {Object} match - Critère commun à toutes les facettes
+ * @param {Object} facetMatches - Critère propre à chaque facette (ex: { category: { author: { $in: [...] } } })
+ * @param {number} limit - Nombre maximal de valeurs par facette
+ * @returns {Promise<Object>} Valeurs par facette, les plus fréquentes d'abord ({ category: [{ value, count }] })
+ */
+const getArticleFacets = async (match, facetMatches, limit) => {
+    const db = getDB();
+    const facets = Object.fromEntries(Object.entries(facetMatches).map(([field, facetMatch]) => [field, [
+        { $match: facetMatch },
+        { $unwind: `$${field}` },
+        { $match: { [field]: { $nin: [null, ''] } } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+    ]]));
+
+    const [result] = await db.collection('articles')
+        .aggregate([{ $match: match }, { $facet: facets }])
+        .toArray();
+    return result;
+};
+
 /**
  * Récupère un article par ID
  * @param {string} articleId - ID de l'article
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
  * @returns {Promise<Object|null>} Article trouvé ou null
  */
-const getArticleById = async (articleId) => {
+const getArticleById = async (articleId, projection = null) => {
     const db = getDB();
     return await db.collection('articles').findOne({ 
         _id: new ObjectId(articleId) 
-    });
+    }, { projection });
+};
+
+/**
+ * Récupère un article par son slug actuel ou par un ancien slug
+ * @param {string} slug - Slug recherché
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
+ * @returns {Promise<Object|null>} Article trouvé ou null
+ */
+const findArticleBySlug = async (slug, projection = null) => {
+    const db = getDB();
+    return await db.collection('articles').findOne({ $or: [{ slug }, { previousSlugs: slug }] }, { projection });
 };
 
 /**
  * Récupère des articles par titre (recherche insensible à la casse)
  * @param {string} title - Titre ou partie du titre
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: 'published' })
+ * @param {Object} [sort] - Tri MongoDB ; par défaut, ordre naturel
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
  * @returns {Promise<Array>} Liste des articles correspondants
  */
-const getArticlesByTitle = async (title) => {
+const getArticlesByTitle = async (title, filter = {}, sort = null, projection = null) => {
     const db = getDB();
     return await db.collection('articles')
-        .find({ title: { $regex: new RegExp(title, 'i') } })
+        .find({ ...filter, title: { $regex: new RegExp(title, 'i') } }, { projection })
+        .sort(sort || {})
         .toArray();
 };
 
 /**
  * Récupère des articles par auteur
  * @param {string} author - Nom de l'auteur
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: 'published' })
+ * @param {Object} [sort] - Tri MongoDB ; par défaut, ordre naturel
+ * @param {Object} [projection] - Champs à lire (projection MongoDB) ; par défaut, tous
  * @returns {Promise<Array>} Liste des articles de l'auteur
  */
-const getArticlesByAuthor = async (author) => {
+const getArticlesByAuthor = async (author, filter = {}, sort = null, projection = null) => {
+    const db = getDB();
+    return await db.collection('articles')
+        .find({ ...filter, author }, { projection })
+        .sort(sort || {})
+        .toArray();
+};
+
+/**
+ * Récupère les articles liés à un compte
+ * @param {string} authorId - ID du compte auteur
+ * @returns {Promise<Array>} Liste des articles du compte
+ */
+const getArticlesByAuthorId = async (authorId) => {
+    const db = getDB();
+    return await db.collection('articles')
+        .find({ authorId: new ObjectId(authorId) })
+        .toArray();
+};
+
+/**
+ * Compte les articles liés à un compte
+ * @param {string} authorId - ID du compte auteur
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: 'published' })
+ * @returns {Promise<number>} Nombre d'articles
+ */
+const countArticlesByAuthorId = async (authorId, filter = {}) => {
+    const db = getDB();
+    return await db.collection('articles').countDocuments({ ...filter, authorId: new ObjectId(authorId) });
+};
+
+/**
+ * Récupère les derniers articles d'un compte (résumé, sans le contenu)
+ * @param {string} authorId - ID du compte auteur
+ * @param {number} limit - Nombre maximal d'articles
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: 'published' })
+ * @returns {Promise<Array>} Articles, plus récents en premier
+ */
+const getRecentArticlesByAuthorId = async (authorId, limit, filter = {}) => {
+    const db = getDB();
+    return await db.collection('articles')
+        .find({ ...filter, authorId: new ObjectId(authorId) }, { projection: { title: 1, category: 1, imageUrl: 1, createdAt: 1 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+};
+
+/**
+ * Met à jour les articles liés à un compte (renommage, réattribution, anonymisation)
+ * @param {string} authorId - ID du compte auteur
+ * @param {Object} updateData - Données à mettre à jour
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: { $in: ['draft'] } })
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+const updateArticlesByAuthorId = async (authorId, updateData, filter = {}) => {
+    const db = getDB();
+    const result = await db.collection('articles').updateMany(
+        { ...filter, authorId: new ObjectId(authorId) },
+        { $set: updateData }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Supprime les articles liés à un compte
+ * @param {string} authorId - ID du compte auteur
+ * @returns {Promise<number>} Nombre d'articles supprimés
+ */
+const deleteArticlesByAuthorId = async (authorId) => {
+    const db = getDB();
+    const result = await db.collection('articles').deleteMany({ authorId: new ObjectId(authorId) });
+    return result.deletedCount;
+};
+
+/**
+ * Récupère des articles à partir de leurs IDs
+ * @param {Array<ObjectId>} articleIds - IDs des articles
+ * @returns {Promise<Array>} Liste des articles trouvés
+ */
+const getArticlesByIds = async (articleIds) => {
     const db = getDB();
     return await db.collection('articles')
-        .find({ author })
+        .find({ _id: { $in: articleIds } })
         .toArray();
 };
 
@@ -131,47 +290,94 @@ const getArticlesByAuthor = async (author) => {
  * Met à jour un article par ID
  * @param {string} articleId - ID de l'article
  * @param {Object} updateData - Données à mettre à jour
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: { $in: ['draft'] } })
  * @returns {Promise<number>} Nombre d'articles modifiés
  */
-const updateArticle = async (articleId, updateData) => {
+const updateArticle = async (articleId, updateData, filter = {}) => {
     const db = getDB();
     updateData.updatedAt = new Date();
     const result = await db.collection('articles').updateOne(
-        { _id: new ObjectId(articleId) },
+        { ...filter, _id: new ObjectId(articleId) },
         { $set: updateData }
     );
     return result.modifiedCount;
 };
 
 /**
- * Met à jour des articles par titre
- * @param {string} title - Titre ou partie du titre
+ * Remplace le contenu d'un article (restauration d'une révision)
+ * @param {string} articleId - ID de l'article
+ * @param {Object} content - Champs à rétablir
+ * @param {Array<string>} removedFields - Champs absents de la révision, à retirer
+ * @param {Object} [filter] - Critère supplémentaire (ex: { status: { $in: ['draft'] } })
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+const restoreArticleContent = async (articleId, content, removedFields, filter = {}) => {
+    const db = getDB();
+    const update = { $set: { ...content, updatedAt: new Date() } };
+    if (removedFields.length > 0) {
+        update.$unset = Object.fromEntries(removedFields.map(field => [field, '']));
+    }
+    const result = await db.collection('articles').updateOne({ ...filter, _id: new ObjectId(articleId) }, update);
+    return result.modifiedCount;
+};
+
+/**
+ * Met à jour un article seulement s'il est encore dans le statut attendu (changement de statut sans conflit)
+ * @param {string} articleId - ID de l'article
+ * @param {string} expectedStatus - Statut attendu
  * @param {Object} updateData - Données à mettre à jour
+ * @returns {Promise<number>} Nombre d'articles modifiés (0 si le statut a changé entre-temps)
+ */
+const updateArticleIfStatus = async (articleId, expectedStatus, updateData) => {
+    const db = getDB();
+    const result = await db.collection('articles').updateOne(
+        { _id: new ObjectId(articleId), status: expectedStatus },
+        { $set: { ...updateData, updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Récupère les articles programmés dont la date de publication est atteinte
+ * @param {Date} now - Date de référence
+ * @param {number} limit - Nombre maximal d'articles
+ * @returns {Promise<Array>} Articles à publier, plus anciens d'abord
+ */
+const findDueScheduledArticles = async (now, limit) => {
+    const db = getDB();
+    return await db.collection('articles')
+        .find({ status: 'scheduled', publishAt: { $lte: now } })
+        .sort({ publishAt: 1 })
+        .limit(limit)
+        .toArray();
+};
+
+/**
+ * Retire un relecteur de tous les articles auxquels il est assigné (compte supprimé)
+ * @param {string} userId - ID du relecteur
  * @returns {Promise<number>} Nombre d'articles modifiés
  */
-const updateArticlesByTitle = async (title, updateData) => {
+const removeReviewerFromArticles = async (userId) => {
     const db = getDB();
-    updateData.updatedAt = new Date();
-    const result = await db.collection('articles')
-        .updateMany(
-            { title: { $regex: new RegExp(title, 'i') } },
-            { $set: updateData }
-        );
+    const result = await db.collection('articles').updateMany(
+        { reviewers: new ObjectId(userId) },
+        { $pull: { reviewers: new ObjectId(userId) } }
+    );
     return result.modifiedCount;
 };
 
 /**
- * Met à jour des articles par auteur
- * @param {string} author - Nom de l'auteur
+ * Met à jour des articles par titre
+ * @param {string} title - Titre ou partie du titre
  * @param {Object} updateData - Données à mettre à jour
  * @returns {Promise<number>} Nombre d'articles modifiés
  */
-const updateArticlesByAuthor = async (author, updateData) => {
+const updateArticlesByTitle = async (title, updateData) => {
     const db = getDB();
     updateData.updatedAt = new Date();
     const result = await db.collection('articles')
         .updateMany(
-            { author },
+            { title: { $regex: new RegExp(title, 'i') } },
             { $set: updateData }
         );
     return result.modifiedCount;
@@ -201,29 +407,28 @@ const deleteArticlesByTitle = async (title) => {
     return result.deletedCount;
 };
 
-/**
- * Supprime des articles par auteur
- * @param {string} author - Nom de l'auteur
- * @returns {Promise<number>} Nombre d'articles supprimés
- */
-const deleteArticlesByAuthor = async (author) => {
-    const db = getDB();
-    const result = await db.collection('articles')
-        .deleteMany({ author });
-    return result.deletedCount;
-};
-
 module.exports = {
     createArticle,
     getAllArticles,
+    getArticlesByCursor,
+    getArticleFacets,
     getArticleById,
+    findArticleBySlug,
     getArticlesByTitle,
     getArticlesByAuthor,
+    getArticlesByAuthorId,
+    countArticlesByAuthorId,
+    getRecentArticlesByAuthorId,
+    updateArticlesByAuthorId,
+    deleteArticlesByAuthorId,
+    getArticlesByIds,
     updateArticle,
+    restoreArticleContent,
+    updateArticleIfStatus,
+    findDueScheduledArticles,
+    removeReviewerFromArticles,
     updateArticlesByTitle,
-    updateArticlesByAuthor,
     deleteArticle,
     deleteArticlesByTitle,
-    deleteArticlesByAuthor,
     searchArticles
 };
\ No newline at end of file
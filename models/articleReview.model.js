@@ -0,0 +1,71 @@
+/**
+ * Modèle pour les commentaires de relecture des articles
+ * Interagit avec la collection 'article_reviews' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre un commentaire de relecture
+ * @param {Object} reviewData - Données du commentaire (articleId, authorId, author, comment, transition)
+ * @returns {Promise<Object>} Commentaire créé
+ */
+const createReview = async (reviewData) => {
+    const db = getDB();
+    const review = {
+        ...reviewData,
+        articleId: new ObjectId(reviewData.articleId),
+        authorId: reviewData.authorId ? new ObjectId(reviewData.authorId) : null,
+        transition: reviewData.transition || null,
+        createdAt: new Date()
+    };
+    const result = await db.collection('article_reviews').insertOne(review);
+    return { _id: result.insertedId, ...review };
+};
+
+/**
+ * Récupère les commentaires de relecture d'un article
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<Array>} Commentaires, plus anciens d'abord
+ */
+const findReviewsByArticle = async (articleId) => {
+    const db = getDB();
+    return await db.collection('article_reviews')
+        .find({ articleId: new ObjectId(articleId) })
+        .sort({ createdAt: 1 })
+        .toArray();
+};
+
+/**
+ * Récupère les commentaires de relecture rédigés par un utilisateur
+ * @param {string} authorId - ID de l'utilisateur
+ * @returns {Promise<Array>} Commentaires, plus récents d'abord
+ */
+const findReviewsByAuthor = async (authorId) => {
+    const db = getDB();
+    return await db.collection('article_reviews')
+        .find({ authorId: new ObjectId(authorId) })
+        .sort({ createdAt: -1 })
+        .toArray();
+};
+
+/**
+ * Supprime les commentaires de relecture de plusieurs articles
+ * @param {Array<string>} articleIds - IDs des articles
+ * @returns {Promise<number>} Nombre de commentaires supprimés
+ */
+const deleteReviewsByArticles = async (articleIds) => {
+    const db = getDB();
+    const result = await db.collection('article_reviews').deleteMany({
+        articleId: { $in: articleIds.map(id => new ObjectId(id)) }
+    });
+    return result.deletedCount;
+};
+
+module.exports = {
+    createReview,
+    findReviewsByArticle,
+    findReviewsByAuthor,
+    deleteReviewsByArticles
+};
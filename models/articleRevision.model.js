@@ -0,0 +1,96 @@
+/**
+ * Modèle pour l'historique des versions des articles
+ * Interagit avec la collection 'article_revisions' dans MongoDB
+ * Chaque révision est l'état complet d'un article juste avant une modification
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Récupère le dernier numéro de révision d'un article
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<number>} Dernier numéro, 0 si l'article n'a pas encore de révision
+ */
+const findLastRevisionNumber = async (articleId) => {
+    const db = getDB();
+    const last = await db.collection('article_revisions').findOne(
+        { articleId: new ObjectId(articleId) },
+        { sort: { revision: -1 }, projection: { revision: 1 } }
+    );
+    return last ? last.revision : 0;
+};
+
+/**
+ * Enregistre une révision (le couple articleId/revision est unique)
+ * @param {Object} revisionData - Données de la révision (articleId, revision, snapshot, createdBy, reason, fields)
+ * @returns {Promise<Object>} Révision créée
+ */
+const createRevision = async (revisionData) => {
+    const db = getDB();
+    const revision = {
+        ...revisionData,
+        articleId: new ObjectId(revisionData.articleId),
+        createdBy: revisionData.createdBy ? new ObjectId(revisionData.createdBy) : null,
+        createdAt: new Date()
+    };
+    const result = await db.collection('article_revisions').insertOne(revision);
+    return { _id: result.insertedId, ...revision };
+};
+
+/**
+ * Liste les révisions d'un article, sans leur contenu
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<Array>} Révisions, plus récentes en premier
+ */
+const findRevisionsByArticle = async (articleId) => {
+    const db = getDB();
+    return await db.collection('article_revisions')
+        .find({ articleId: new ObjectId(articleId) }, { projection: { snapshot: 0 } })
+        .sort({ revision: -1 })
+        .toArray();
+};
+
+/**
+ * Récupère une révision d'un article avec son contenu
+ * @param {string} articleId - ID de l'article
+ * @param {number} revision - Numéro de révision
+ * @returns {Promise<Object|null>} Révision trouvée ou null
+ */
+const findRevision = async (articleId, revision) => {
+    const db = getDB();
+    return await db.collection('article_revisions').findOne({ articleId: new ObjectId(articleId), revision });
+};
+
+/**
+ * Supprime les révisions de plusieurs articles
+ * @param {Array<string>} articleIds - IDs des articles
+ * @returns {Promise<number>} Nombre de révisions supprimées
+ */
+const deleteRevisionsByArticles = async (articleIds) => {
+    const db = getDB();
+    const result = await db.collection('article_revisions').deleteMany({
+        articleId: { $in: articleIds.map(id => new ObjectId(id)) }
+    });
+    return result.deletedCount;
+};
+
+/**
+ * Supprime des révisions par leur ID
+ * @param {Array<ObjectId>} revisionIds - IDs des révisions
+ * @returns {Promise<number>} Nombre de révisions supprimées
+ */
+const deleteRevisionsByIds = async (revisionIds) => {
+    const db = getDB();
+    const result = await db.collection('article_revisions').deleteMany({ _id: { $in: revisionIds } });
+    return result.deletedCount;
+};
+
+module.exports = {
+    findLastRevisionNumber,
+    createRevision,
+    findRevisionsByArticle,
+    findRevision,
+    deleteRevisionsByArticles,
+    deleteRevisionsByIds
+};
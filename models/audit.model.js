@@ -0,0 +1,44 @@
+/**
+ * Modèle du journal d'audit
+ * Interagit avec la collection 'audit_log' dans MongoDB
+ * Le journal est en ajout seul : aucune fonction de modification ou de suppression n'est exposée
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+
+/**
+ * Ajoute une entrée au journal d'audit
+ * @param {Object} entry - Entrée (at, action, actor, target, before, after, ip, requestId, metadata)
+ * @returns {Promise<string>} ID de l'entrée créée
+ */
+const insertAuditEntry = async (entry) => {
+    const db = getDB();
+    const result = await db.collection('audit_log').insertOne(entry);
+    return result.insertedId;
+};
+
+/**
+ * Recherche des entrées du journal d'audit (plus récentes en premier)
+ * @param {Object} filter - Filtre MongoDB
+ * @param {number} page - Numéro de page
+ * @param {number} limit - Nombre d'entrées par page
+ * @returns {Promise<Object>} Entrées et nombre total d'entrées correspondantes
+ */
+const findAuditEntries = async (filter, page, limit) => {
+    const db = getDB();
+    const [entries, total] = await Promise.all([
+        db.collection('audit_log')
+            .find(filter)
+            .sort({ at: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray(),
+        db.collection('audit_log').countDocuments(filter)
+    ]);
+    return { entries, total };
+};
+
+module.exports = {
+    insertAuditEntry,
+    findAuditEntries
+};
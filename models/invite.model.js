@@ -0,0 +1,88 @@
+/**
+ * Modèle pour les codes d'invitation
+ * Interagit avec la collection 'invites' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Crée un code d'invitation (haché)
+ * @param {Object} inviteData - Données de l'invitation (codeHash, role, createdBy, expiresAt)
+ * @returns {Promise<string>} ID de l'invitation créée
+ */
+const createInvite = async (inviteData) => {
+    const db = getDB();
+    const result = await db.collection('invites').insertOne({
+        ...inviteData,
+        createdBy: new ObjectId(inviteData.createdBy),
+        usedAt: null,
+        usedBy: null,
+        revokedAt: null,
+        createdAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Trouve une invitation utilisable par l'empreinte de son code
+ * @param {string} codeHash - Empreinte SHA-256 du code
+ * @returns {Promise<Object|null>} Invitation trouvée ou null si inconnue, expirée, utilisée ou révoquée
+ */
+const findValidInviteByHash = async (codeHash) => {
+    const db = getDB();
+    return await db.collection('invites').findOne({
+        codeHash,
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Consomme une invitation (opération atomique)
+ * @param {ObjectId} inviteId - ID de l'invitation
+ * @param {string} userId - ID de l'utilisateur qui utilise le code
+ * @returns {Promise<Object|null>} Invitation consommée ou null si elle n'est plus utilisable
+ */
+const consumeInvite = async (inviteId, userId) => {
+    const db = getDB();
+    return await db.collection('invites').findOneAndUpdate(
+        { _id: inviteId, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date(), usedBy: new ObjectId(userId) } }
+    );
+};
+
+/**
+ * Liste les invitations (sans empreinte des codes)
+ * @returns {Promise<Array>} Liste des invitations, plus récentes en premier
+ */
+const findAllInvites = async () => {
+    const db = getDB();
+    return await db.collection('invites')
+        .find({}, { projection: { codeHash: 0 } }) // Exclut l'empreinte du code
+        .sort({ createdAt: -1 })
+        .toArray();
+};
+
+/**
+ * Révoque une invitation non utilisée
+ * @param {string} inviteId - ID de l'invitation
+ * @returns {Promise<number>} Nombre d'invitations révoquées
+ */
+const revokeInvite = async (inviteId) => {
+    const db = getDB();
+    const result = await db.collection('invites').updateOne(
+        { _id: new ObjectId(inviteId), usedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createInvite,
+    findValidInviteByHash,
+    consumeInvite,
+    findAllInvites,
+    revokeInvite
+};
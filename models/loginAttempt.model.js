@@ -0,0 +1,98 @@
+/**
+ * Modèle pour le suivi des échecs de connexion
+ * Interagit avec la collection 'login_attempts' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+
+/**
+ * Trouve le suivi d'échecs associé à une clé
+ * @param {string} key - Clé suivie (ex: "account:<email>" ou "ip:<adresse>")
+ * @returns {Promise<Object|null>} Suivi trouvé ou null
+ */
+const findAttemptByKey = async (key) => {
+    const db = getDB();
+    return await db.collection('login_attempts').findOne(
+        { key, expiresAt: { $gt: new Date() } },
+        { projection: { _id: 0 } }
+    );
+};
+
+/**
+ * Ajoute un échec au suivi d'une clé, en une seule opération atomique
+ * Un suivi expiré, ou dont le verrou est levé, repart de zéro.
+ * @param {string} key - Clé suivie
+ * @param {Object} failure - Échec
+ * @param {Date} failure.now - Date de l'échec
+ * @param {Date} failure.expiresAt - Fin de la fenêtre de suivi ouverte par cet échec
+ * @returns {Promise<number>} Nombre d'échecs après celui-ci
+ */
+const incrementAttempt = async (key, { now, expiresAt }) => {
+    const db = getDB();
+    const restart = {
+        $or: [
+            { $lte: ['$expiresAt', now] }, // Absent (nouveau suivi) ou expiré
+            { $and: [{ $ne: [{ $ifNull: ['$lockedUntil', null] }, null] }, { $lte: ['$lockedUntil', now] }] }
+        ]
+    };
+    const attempt = await db.collection('login_attempts').findOneAndUpdate(
+        { key },
+        [{
+            $set: {
+                key,
+                failures: { $cond: [restart, 1, { $add: ['$failures', 1] }] },
+                lockedUntil: { $cond: [restart, null, '$lockedUntil'] },
+                nextAttemptAt: { $cond: [restart, null, '$nextAttemptAt'] },
+                expiresAt: { $cond: [restart, expiresAt, { $max: ['$expiresAt', expiresAt] }] },
+                lastFailureAt: now,
+                updatedAt: now
+            }
+        }],
+        { upsert: true, returnDocument: 'after', projection: { failures: 1 } }
+    );
+    return attempt.failures;
+};
+
+/**
+ * Prolonge le délai ou le verrou d'une clé, sans jamais raccourcir celui déjà enregistré
+ * (un échec simultané plus ancien peut être traité après un plus récent)
+ * @param {string} key - Clé suivie
+ * @param {Object} delays - Dates à atteindre (nextAttemptAt, lockedUntil, expiresAt), les absentes sont ignorées
+ * @returns {Promise<void>}
+ */
+const extendAttempt = async (key, delays) => {
+    const db = getDB();
+    const dates = Object.fromEntries(Object.entries(delays).filter(([, date]) => date));
+    await db.collection('login_attempts').updateOne({ key }, { $max: dates });
+};
+
+/**
+ * Supprime le suivi d'échecs d'une clé
+ * @param {string} key - Clé suivie
+ * @returns {Promise<number>} Nombre de suivis supprimés
+ */
+const deleteAttempt = async (key) => {
+    const db = getDB();
+    const result = await db.collection('login_attempts').deleteOne({ key });
+    return result.deletedCount;
+};
+
+/**
+ * Liste les suivis d'échecs encore actifs
+ * @returns {Promise<Array>} Suivis actifs, plus récents en premier
+ */
+const findActiveAttempts = async () => {
+    const db = getDB();
+    return await db.collection('login_attempts')
+        .find({ expiresAt: { $gt: new Date() } }, { projection: { _id: 0 } })
+        .sort({ updatedAt: -1 })
+        .toArray();
+};
+
+module.exports = {
+    findAttemptByKey,
+    incrementAttempt,
+    extendAttempt,
+    deleteAttempt,
+    findActiveAttempts
+};
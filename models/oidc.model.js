@@ -0,0 +1,110 @@
+/**
+ * Modèle pour la connexion via des fournisseurs OpenID Connect
+ * Interagit avec les collections 'oidc_states' (demandes en cours) et 'user_identities' (comptes liés) dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre une demande d'autorisation en cours (state, nonce et code_verifier PKCE)
+ * @param {Object} stateData - Données de la demande (state, provider, nonce, codeVerifier, expiresAt)
+ * @returns {Promise<string>} ID de la demande créée
+ */
+const createOidcState = async (stateData) => {
+    const db = getDB();
+    const result = await db.collection('oidc_states').insertOne({
+        ...stateData,
+        createdAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Consomme une demande d'autorisation (opération atomique, usage unique)
+ * @param {string} state - Valeur du paramètre state
+ * @returns {Promise<Object|null>} Demande consommée ou null si inconnue, déjà utilisée ou expirée
+ */
+const consumeOidcState = async (state) => {
+    const db = getDB();
+    return await db.collection('oidc_states').findOneAndDelete({
+        state,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Trouve une identité externe liée
+ * @param {string} provider - Identifiant du fournisseur
+ * @param {string} subject - Identifiant de l'utilisateur chez le fournisseur (claim sub)
+ * @returns {Promise<Object|null>} Identité trouvée ou null
+ */
+const findIdentity = async (provider, subject) => {
+    const db = getDB();
+    return await db.collection('user_identities').findOne({ provider, subject });
+};
+
+/**
+ * Lie une identité externe à un utilisateur
+ * @param {Object} identityData - Données de l'identité (userId, provider, subject, email)
+ * @returns {Promise<string>} ID de l'identité créée
+ */
+const createIdentity = async (identityData) => {
+    const db = getDB();
+    const now = new Date();
+    const result = await db.collection('user_identities').insertOne({
+        ...identityData,
+        userId: new ObjectId(identityData.userId),
+        createdAt: now,
+        lastLoginAt: now
+    });
+    return result.insertedId;
+};
+
+/**
+ * Met à jour la date de dernière connexion d'une identité
+ * @param {ObjectId} identityId - ID de l'identité
+ * @param {string} email - Email actuellement déclaré par le fournisseur
+ * @returns {Promise<void>}
+ */
+const touchIdentity = async (identityId, email) => {
+    const db = getDB();
+    await db.collection('user_identities').updateOne(
+        { _id: identityId },
+        { $set: { lastLoginAt: new Date(), email } }
+    );
+};
+
+/**
+ * Liste les identités externes d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Identités liées
+ */
+const findIdentitiesByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('user_identities')
+        .find({ userId: new ObjectId(userId) })
+        .sort({ createdAt: 1 })
+        .toArray();
+};
+
+/**
+ * Supprime les identités externes d'un utilisateur (suppression du compte)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre d'identités supprimées
+ */
+const deleteIdentitiesByUser = async (userId) => {
+    const db = getDB();
+    const result = await db.collection('user_identities').deleteMany({ userId: new ObjectId(userId) });
+    return result.deletedCount;
+};
+
+module.exports = {
+    createOidcState,
+    consumeOidcState,
+    findIdentity,
+    createIdentity,
+    touchIdentity,
+    findIdentitiesByUser,
+    deleteIdentitiesByUser
+};
@@ -0,0 +1,69 @@
+/**
+ * Modèle pour les jetons de réinitialisation de mot de passe
+ * Interagit avec la collection 'password_resets' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre un jeton de réinitialisation (haché)
+ * @param {Object} resetData - Données du jeton (userId, tokenHash, expiresAt)
+ * @returns {Promise<string>} ID du jeton créé
+ */
+const createPasswordReset = async (resetData) => {
+    const db = getDB();
+    const result = await db.collection('password_resets').insertOne({
+        ...resetData,
+        userId: new ObjectId(resetData.userId),
+        usedAt: null,
+        createdAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Trouve un jeton de réinitialisation valide sans le consommer
+ * @param {string} tokenHash - Empreinte SHA-256 du jeton
+ * @returns {Promise<Object|null>} Jeton ou null s'il est inconnu, expiré ou déjà utilisé
+ */
+const findValidPasswordReset = async (tokenHash) => {
+    const db = getDB();
+    return await db.collection('password_resets').findOne(
+        { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } }
+    );
+};
+
+/**
+ * Consomme un jeton de réinitialisation valide (opération atomique)
+ * @param {string} tokenHash - Empreinte SHA-256 du jeton
+ * @returns {Promise<Object|null>} Jeton consommé ou null s'il est inconnu, expiré ou déjà utilisé
+ */
+const consumePasswordReset = async (tokenHash) => {
+    const db = getDB();
+    return await db.collection('password_resets').findOneAndUpdate(
+        { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } }
+    );
+};
+
+/**
+ * Invalide tous les jetons de réinitialisation non utilisés d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de jetons invalidés
+ */
+const invalidatePasswordResetsByUser = async (userId) => {
+    const db = getDB();
+    const result = await db.collection('password_resets').updateMany(
+        { userId: new ObjectId(userId), usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createPasswordReset,
+    findValidPasswordReset,
+    consumePasswordReset,
+    invalidatePasswordResetsByUser
+};
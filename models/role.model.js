@@ -0,0 +1,94 @@
+/**
+ * Modèle pour les rôles et leurs permissions
+ * Interagit avec la collection 'roles' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+
+/**
+ * Crée un rôle
+ * @param {Object} roleData - Données du rôle (name, description, permissions, builtIn)
+ * @returns {Promise<string>} ID du rôle créé
+ */
+const createRole = async (roleData) => {
+    const db = getDB();
+    const result = await db.collection('roles').insertOne({
+        ...roleData,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Crée un rôle s'il n'existe pas encore (les permissions d'un rôle existant sont conservées)
+ * @param {Object} roleData - Données du rôle (name, description, permissions, builtIn)
+ * @returns {Promise<boolean>} true si le rôle a été créé
+ */
+const insertRoleIfMissing = async (roleData) => {
+    const db = getDB();
+    const result = await db.collection('roles').updateOne(
+        { name: roleData.name },
+        { $setOnInsert: { ...roleData, createdAt: new Date(), updatedAt: new Date() } },
+        { upsert: true }
+    );
+    return result.upsertedCount === 1;
+};
+
+/**
+ * Trouve un rôle par son nom
+ * @param {string} name - Nom du rôle
+ * @returns {Promise<Object|null>} Rôle trouvé ou null
+ */
+const findRoleByName = async (name) => {
+    const db = getDB();
+    return await db.collection('roles').findOne({ name });
+};
+
+/**
+ * Liste tous les rôles
+ * @returns {Promise<Array>} Rôles triés par nom
+ */
+const findAllRoles = async () => {
+    const db = getDB();
+    return await db.collection('roles')
+        .find()
+        .sort({ name: 1 })
+        .toArray();
+};
+
+/**
+ * Met à jour un rôle par son nom
+ * @param {string} name - Nom du rôle
+ * @param {Object} updateData - Données à mettre à jour
+ * @returns {Promise<number>} Nombre de rôles trouvés (0 ou 1)
+ */
+const updateRoleByName = async (name, updateData) => {
+    const db = getDB();
+    updateData.updatedAt = new Date();
+    const result = await db.collection('roles').updateOne(
+        { name },
+        { $set: updateData }
+    );
+    return result.matchedCount;
+};
+
+/**
+ * Supprime un rôle par son nom
+ * @param {string} name - Nom du rôle
+ * @returns {Promise<number>} Nombre de rôles supprimés
+ */
+const deleteRoleByName = async (name) => {
+    const db = getDB();
+    const result = await db.collection('roles').deleteOne({ name });
+    return result.deletedCount;
+};
+
+module.exports = {
+    createRole,
+    insertRoleIfMissing,
+    findRoleByName,
+    findAllRoles,
+    updateRoleByName,
+    deleteRoleByName
+};
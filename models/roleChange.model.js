@@ -0,0 +1,41 @@
+/**
+ * Modèle pour l'historique des changements de rôle
+ * Interagit avec la collection 'role_changes' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre un changement de rôle
+ * @param {Object} changeData - Données du changement (userId, from, to, changedBy, source, reason)
+ * @returns {Promise<string>} ID de l'entrée créée
+ */
+const recordRoleChange = async (changeData) => {
+    const db = getDB();
+    const result = await db.collection('role_changes').insertOne({
+        ...changeData,
+        userId: new ObjectId(changeData.userId),
+        changedBy: changeData.changedBy ? new ObjectId(changeData.changedBy) : null,
+        changedAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Récupère l'historique des changements de rôle d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Changements de rôle, plus récents en premier
+ */
+const findRoleChangesByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('role_changes')
+        .find({ userId: new ObjectId(userId) })
+        .sort({ changedAt: -1 })
+        .toArray();
+};
+
+module.exports = {
+    recordRoleChange,
+    findRoleChangesByUser
+};
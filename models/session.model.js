@@ -0,0 +1,137 @@
+/**
+ * Modèle pour la gestion des sessions de connexion
+ * Interagit avec la collection 'sessions' dans MongoDB
+ * L'ID d'une session est l'identifiant de la famille de jetons qu'elle a émise
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre une nouvelle session
+ * @param {Object} sessionData - Données de la session (_id, userId, userAgent, ip, authMethod, expiresAt)
+ * @returns {Promise<string>} ID de la session créée
+ */
+const createSession = async (sessionData) => {
+    const db = getDB();
+    const now = new Date();
+    const result = await db.collection('sessions').insertOne({
+        ...sessionData,
+        userId: new ObjectId(sessionData.userId),
+        createdAt: now,
+        lastSeenAt: now,
+        revokedAt: null
+    });
+    return result.insertedId;
+};
+
+/**
+ * Trouve une session par son ID
+ * @param {string} sessionId - ID de la session (famille de jetons)
+ * @returns {Promise<Object|null>} Session trouvée ou null
+ */
+const findSessionById = async (sessionId) => {
+    const db = getDB();
+    return await db.collection('sessions').findOne({ _id: sessionId });
+};
+
+/**
+ * Liste les sessions actives d'un utilisateur (non révoquées, non expirées)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Sessions triées de la plus récemment utilisée à la plus ancienne
+ */
+const findActiveSessionsByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('sessions')
+        .find({
+            userId: new ObjectId(userId),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+        .sort({ lastSeenAt: -1 })
+        .toArray();
+};
+
+/**
+ * Met à jour l'activité d'une session lors d'un renouvellement de jetons
+ * @param {string} sessionId - ID de la session
+ * @param {Object} activity - Activité (ip, userAgent, expiresAt)
+ * @returns {Promise<void>}
+ */
+const recordSessionRefresh = async (sessionId, { ip, userAgent, expiresAt }) => {
+    const db = getDB();
+    const update = { lastSeenAt: new Date(), expiresAt };
+    if (ip) update.ip = ip;
+    if (userAgent) update.userAgent = userAgent;
+    await db.collection('sessions').updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: update }
+    );
+};
+
+/**
+ * Met à jour la date de dernière activité si elle est plus ancienne que le seuil
+ * (évite une écriture à chaque requête)
+ * @param {string} sessionId - ID de la session
+ * @param {Date} staleBefore - Seuil en deçà duquel la date est rafraîchie
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Promise<void>}
+ */
+const touchSession = async (sessionId, staleBefore, ip) => {
+    const db = getDB();
+    const update = { lastSeenAt: new Date() };
+    if (ip) update.ip = ip;
+    await db.collection('sessions').updateOne(
+        { _id: sessionId, revokedAt: null, lastSeenAt: { $lt: staleBefore } },
+        { $set: update }
+    );
+};
+
+/**
+ * Marque une session comme révoquée
+ * @param {string} sessionId - ID de la session
+ * @returns {Promise<number>} Nombre de sessions révoquées
+ */
+const revokeSession = async (sessionId) => {
+    const db = getDB();
+    const result = await db.collection('sessions').updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Liste toutes les sessions d'un utilisateur, y compris révoquées (export des données)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Sessions, plus récentes en premier
+ */
+const findSessionsByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('sessions')
+        .find({ userId: new ObjectId(userId) })
+        .sort({ createdAt: -1 })
+        .toArray();
+};
+
+/**
+ * Supprime les sessions d'un utilisateur (suppression du compte)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de sessions supprimées
+ */
+const deleteSessionsByUser = async (userId) => {
+    const db = getDB();
+    const result = await db.collection('sessions').deleteMany({ userId: new ObjectId(userId) });
+    return result.deletedCount;
+};
+
+module.exports = {
+    createSession,
+    findSessionById,
+    findActiveSessionsByUser,
+    recordSessionRefresh,
+    touchSession,
+    revokeSession,
+    findSessionsByUser,
+    deleteSessionsByUser
+};
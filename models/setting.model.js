@@ -0,0 +1,38 @@
+/**
+ * Modèle pour les paramètres applicatifs modifiables à chaud
+ * Interagit avec la collection 'settings' dans MongoDB (un document par clé)
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+
+/**
+ * Récupère la valeur d'un paramètre
+ * @param {string} key - Clé du paramètre
+ * @returns {Promise<*>} Valeur du paramètre ou null s'il n'est pas défini
+ */
+const getSetting = async (key) => {
+    const db = getDB();
+    const setting = await db.collection('settings').findOne({ _id: key });
+    return setting ? setting.value : null;
+};
+
+/**
+ * Définit la valeur d'un paramètre
+ * @param {string} key - Clé du paramètre
+ * @param {*} value - Nouvelle valeur
+ * @param {string} [updatedBy] - ID de l'utilisateur à l'origine de la modification
+ * @returns {Promise<void>}
+ */
+const setSetting = async (key, value, updatedBy) => {
+    const db = getDB();
+    await db.collection('settings').updateOne(
+        { _id: key },
+        { $set: { value, updatedBy: updatedBy || null, updatedAt: new Date() } },
+        { upsert: true }
+    );
+};
+
+module.exports = {
+    getSetting,
+    setSetting
+};
@@ -0,0 +1,53 @@
+/**
+ * Modèle des clés de signature des access tokens
+ * Interagit avec la collection 'signing_keys' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+
+/**
+ * Enregistre une nouvelle clé de signature
+ * @param {Object} keyData - Clé (kid, alg, generation, publicJwk, privateKey chiffrée, dates de validité)
+ * @returns {Promise<string>} ID de la clé créée
+ */
+const createSigningKey = async (keyData) => {
+    const db = getDB();
+    const result = await db.collection('signing_keys').insertOne(keyData);
+    return result.insertedId;
+};
+
+/**
+ * Liste les clés non expirées (encore publiées et acceptées en vérification)
+ * @param {Date} now - Date de référence
+ * @returns {Promise<Array>} Clés, de la plus récente à la plus ancienne
+ */
+const findUnexpiredSigningKeys = async (now) => {
+    const db = getDB();
+    return await db.collection('signing_keys')
+        .find({ expiresAt: { $gt: now } })
+        .sort({ generation: -1, createdAt: -1 })
+        .toArray();
+};
+
+/**
+ * Retire de la signature les clés d'un algorithme encore actives ou à venir (rotation forcée)
+ * @param {string} alg - Algorithme concerné
+ * @param {string} exceptKid - Clé à conserver (la nouvelle clé)
+ * @param {Date} retiresAt - Date de fin de signature
+ * @param {Date} expiresAt - Date de fin de la période de grâce
+ * @returns {Promise<number>} Nombre de clés retirées
+ */
+const retireSigningKeys = async (alg, exceptKid, retiresAt, expiresAt) => {
+    const db = getDB();
+    const result = await db.collection('signing_keys').updateMany(
+        { alg, kid: { $ne: exceptKid }, retiresAt: { $gt: retiresAt } },
+        { $set: { retiresAt, expiresAt } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSigningKey,
+    findUnexpiredSigningKeys,
+    retireSigningKeys
+};
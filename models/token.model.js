@@ -0,0 +1,111 @@
+/**
+ * Modèle pour la gestion des jetons d'authentification
+ * Interagit avec les collections 'refresh_tokens' et 'revoked_tokens' dans MongoDB
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Enregistre un refresh token (haché)
+ * @param {Object} tokenData - Données du refresh token (tokenHash, userId, family, expiresAt)
+ * @returns {Promise<string>} ID du refresh token créé
+ */
+const createRefreshToken = async (tokenData) => {
+    const db = getDB();
+    const result = await db.collection('refresh_tokens').insertOne({
+        ...tokenData,
+        userId: new ObjectId(tokenData.userId),
+        usedAt: null,
+        revokedAt: null,
+        createdAt: new Date()
+    });
+    return result.insertedId;
+};
+
+/**
+ * Trouve un refresh token par son empreinte
+ * @param {string} tokenHash - Empreinte SHA-256 du refresh token
+ * @returns {Promise<Object|null>} Refresh token trouvé ou null
+ */
+const findRefreshTokenByHash = async (tokenHash) => {
+    const db = getDB();
+    return await db.collection('refresh_tokens').findOne({ tokenHash });
+};
+
+/**
+ * Marque un refresh token comme utilisé (opération atomique)
+ * @param {ObjectId} tokenId - ID du refresh token
+ * @returns {Promise<Object|null>} Refresh token marqué ou null s'il était déjà utilisé ou révoqué
+ */
+const markRefreshTokenUsed = async (tokenId) => {
+    const db = getDB();
+    return await db.collection('refresh_tokens').findOneAndUpdate(
+        { _id: tokenId, usedAt: null, revokedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+};
+
+/**
+ * Révoque tous les refresh tokens d'une même famille
+ * @param {string} family - Identifiant de la famille de jetons
+ * @returns {Promise<number>} Nombre de refresh tokens révoqués
+ */
+const revokeRefreshTokenFamily = async (family) => {
+    const db = getDB();
+    const result = await db.collection('refresh_tokens').updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Liste les familles de refresh tokens encore actives d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<string>>} Identifiants des familles actives
+ */
+const findActiveFamiliesByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('refresh_tokens').distinct('family', {
+        userId: new ObjectId(userId),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Ajoute une entrée à la liste de révocation des access tokens
+ * @param {string} key - Clé révoquée (ex: "jti:<id>" ou "fam:<famille>")
+ * @param {Date} expiresAt - Date à partir de laquelle l'entrée peut être purgée
+ * @returns {Promise<void>}
+ */
+const addRevokedToken = async (key, expiresAt) => {
+    const db = getDB();
+    await db.collection('revoked_tokens').updateOne(
+        { key },
+        { $set: { key, expiresAt }, $setOnInsert: { revokedAt: new Date() } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Vérifie si l'une des clés fournies figure dans la liste de révocation
+ * @param {Array<string>} keys - Clés à vérifier
+ * @returns {Promise<boolean>} true si au moins une clé est révoquée
+ */
+const isAnyTokenRevoked = async (keys) => {
+    const db = getDB();
+    const revoked = await db.collection('revoked_tokens').findOne({ key: { $in: keys } });
+    return !!revoked;
+};
+
+module.exports = {
+    createRefreshToken,
+    findRefreshTokenByHash,
+    markRefreshTokenUsed,
+    revokeRefreshTokenFamily,
+    findActiveFamiliesByUser,
+    addRevokedToken,
+    isAnyTokenRevoked
+};
@@ -0,0 +1,112 @@
+/**
+ * Modèle pour la double authentification (TOTP)
+ * Interagit avec la collection 'two_factor' dans MongoDB, séparée de 'users'
+ * pour que les secrets ne soient jamais renvoyés avec un profil
+ */
+
+const { getDB } = require('../configs/db'); // Accès à la base de données
+const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
+
+/**
+ * Trouve la configuration 2FA d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Configuration trouvée ou null
+ */
+const findTwoFactorByUser = async (userId) => {
+    const db = getDB();
+    return await db.collection('two_factor').findOne({ userId: new ObjectId(userId) });
+};
+
+/**
+ * Enregistre un secret en attente de confirmation (remplace un enrôlement non confirmé)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} pendingSecret - Secret chiffré
+ * @returns {Promise<void>}
+ */
+const savePendingSecret = async (userId, pendingSecret) => {
+    const db = getDB();
+    await db.collection('two_factor').updateOne(
+        { userId: new ObjectId(userId) },
+        {
+            $set: { pendingSecret, updatedAt: new Date() },
+            $setOnInsert: { enabled: false, createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Active la 2FA avec le secret confirmé et les empreintes des codes de secours
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} secret - Secret chiffré
+ * @param {Array<string>} recoveryCodeHashes - Empreintes des codes de secours
+ * @param {number} lastUsedStep - Pas TOTP du code de confirmation (anti-rejeu)
+ * @returns {Promise<void>}
+ */
+const enableTwoFactor = async (userId, secret, recoveryCodeHashes, lastUsedStep) => {
+    const db = getDB();
+    await db.collection('two_factor').updateOne(
+        { userId: new ObjectId(userId) },
+        {
+            $set: {
+                enabled: true,
+                secret,
+                recoveryCodes: recoveryCodeHashes,
+                lastUsedStep,
+                confirmedAt: new Date(),
+                updatedAt: new Date()
+            },
+            $unset: { pendingSecret: '' }
+        }
+    );
+};
+
+/**
+ * Enregistre le dernier pas TOTP accepté, uniquement s'il est plus récent (opération atomique)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {number} step - Pas TOTP utilisé
+ * @returns {Promise<boolean>} false si le pas a déjà été utilisé (rejeu)
+ */
+const markStepUsed = async (userId, step) => {
+    const db = getDB();
+    const result = await db.collection('two_factor').updateOne(
+        { userId: new ObjectId(userId), enabled: true, lastUsedStep: { $lt: step } },
+        { $set: { lastUsedStep: step } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Consomme un code de secours (opération atomique)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} codeHash - Empreinte du code de secours
+ * @returns {Promise<boolean>} true si le code existait et a été retiré
+ */
+const consumeRecoveryCode = async (userId, codeHash) => {
+    const db = getDB();
+    const result = await db.collection('two_factor').updateOne(
+        { userId: new ObjectId(userId), enabled: true, recoveryCodes: codeHash },
+        { $pull: { recoveryCodes: codeHash } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Supprime la configuration 2FA d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de configurations supprimées
+ */
+const deleteTwoFactor = async (userId) => {
+    const db = getDB();
+    const result = await db.collection('two_factor').deleteOne({ userId: new ObjectId(userId) });
+    return result.deletedCount;
+};
+
+module.exports = {
+    findTwoFactorByUser,
+    savePendingSecret,
+    enableTwoFactor,
+    markStepUsed,
+    consumeRecoveryCode,
+    deleteTwoFactor
+};
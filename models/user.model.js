@@ -6,6 +6,21 @@
 const { getDB } = require('../configs/db'); // Accès à la base de données
 const { ObjectId } = require('mongodb'); // Pour travailler avec les ObjectId
 
+// Projections par niveau de visibilité d'un compte
+const PROFILE_PROJECTIONS = {
+    // Profil public : visible par tous (aucune donnée de contact ni de sécurité)
+    public: { username: 1, displayName: 1, bio: 1, avatarUrl: 1, createdAt: 1 },
+    // Compte complet : propriétaire et administrateurs, sans le mot de passe
+    private: { password: 0 }
+};
+
+/**
+ * Construit les options de lecture pour un niveau de visibilité
+ * @param {string} [visibility] - 'public' ou 'private' ; document brut si absent (usage interne)
+ * @returns {Object} Options du driver MongoDB
+ */
+const readOptions = (visibility) => (visibility ? { projection: PROFILE_PROJECTIONS[visibility] } : {});
+
 /**
  * Crée un nouvel utilisateur
  * @param {Object} userData - Données de l'utilisateur
@@ -20,44 +35,103 @@ const createUser = async (userData) => {
 /**
  * Trouve un utilisateur par email
  * @param {string} email - Email de l'utilisateur
+ * @param {string} [visibility] - Champs renvoyés : 'public' ou 'private'
  * @returns {Promise<Object|null>} Utilisateur trouvé ou null
  */
-const findUserByEmail = async (email) => {
+const findUserByEmail = async (email, visibility) => {
     const db = getDB();
-    return await db.collection('users').findOne({ email });
+    return await db.collection('users').findOne({ email }, readOptions(visibility));
 };
 
 /**
  * Trouve un utilisateur par ID
  * @param {string} userId - ID de l'utilisateur
+ * @param {string} [visibility] - Champs renvoyés : 'public' ou 'private'
  * @returns {Promise<Object|null>} Utilisateur trouvé ou null
  */
-const findUserById = async (userId) => {
+const findUserById = async (userId, visibility) => {
     const db = getDB();
-    return await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    return await db.collection('users').findOne({ _id: new ObjectId(userId) }, readOptions(visibility));
 };
 
 /**
  * Trouve un utilisateur par username
  * @param {string} username - Nom d'utilisateur
+ * @param {string} [visibility] - Champs renvoyés : 'public' ou 'private'
  * @returns {Promise<Object|null>} Utilisateur trouvé ou null
  */
-const findUserByUsername = async (username) => {
+const findUserByUsername = async (username, visibility) => {
+    const db = getDB();
+    return await db.collection('users').findOne({ username }, readOptions(visibility));
+};
+
+/**
+ * Trouve le profil public d'un compte actif
+ * @param {string} username - Nom d'utilisateur
+ * @returns {Promise<Object|null>} Champs publics, ou null si le compte n'existe pas ou est désactivé
+ */
+const findPublicProfile = async (username) => {
     const db = getDB();
-    return await db.collection('users').findOne({ username });
+    return await db.collection('users').findOne(
+        { username, active: { $ne: false } },
+        readOptions('public')
+    );
 };
 
 /**
- * Liste tous les utilisateurs (sans mots de passe)
- * @returns {Promise<Array>} Liste des utilisateurs
+ * Trouve les profils publics de plusieurs comptes actifs (informations d'auteur des articles)
+ * @param {Array<string|ObjectId>} userIds - IDs des comptes
+ * @returns {Promise<Array>} Profils publics trouvés
  */
-const findAllUsers = async () => {
+const findPublicProfilesByIds = async (userIds) => {
     const db = getDB();
     return await db.collection('users')
-        .find({}, { projection: { password: 0 } }) // Exclut le password
+        .find(
+            { _id: { $in: userIds.map(id => new ObjectId(id)) }, active: { $ne: false } },
+            readOptions('public')
+        )
         .toArray();
 };
 
+/**
+ * Liste les utilisateurs (sans mots de passe) avec pagination
+ * @param {Object} filter - Filtre MongoDB
+ * @param {Object} sort - Tri MongoDB
+ * @param {number} page - Numéro de page
+ * @param {number} limit - Nombre d'utilisateurs par page
+ * @returns {Promise<Object>} Objet avec les utilisateurs et info de pagination
+ */
+const findUsers = async (filter, sort, page = 1, limit = 20) => {
+    const db = getDB();
+    const skip = (page - 1) * limit;
+    const [users, totalUsers] = await Promise.all([
+        db.collection('users')
+            .find(filter, { projection: { password: 0 } }) // Exclut le password
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+        db.collection('users').countDocuments(filter)
+    ]);
+
+    return {
+        users,
+        totalUsers,
+        totalPages: Math.ceil(totalUsers / limit),
+        currentPage: page
+    };
+};
+
+/**
+ * Compte les utilisateurs ayant un rôle donné
+ * @param {string} role - Rôle recherché
+ * @returns {Promise<number>} Nombre d'utilisateurs
+ */
+const countUsersByRole = async (role) => {
+    const db = getDB();
+    return await db.collection('users').countDocuments({ role });
+};
+
 /**
  * Supprime un utilisateur par ID
  * @param {string} userId - ID de l'utilisateur
@@ -101,10 +175,7 @@ const deleteUserByUsername = async (username) => {
  */
 const updateUserById = async (userId, updateData) => {
     const db = getDB();
-    // Hache le mot de passe s'il est fourni
-    if (updateData.password) {
-        updateData.password = await bcrypt.hash(updateData.password, 10);
-    }
+    // Le hachage du mot de passe est à la charge du service (auth.services.js)
     updateData.updatedAt = new Date();
     
     const result = await db.collection('users').updateOne(
@@ -151,7 +222,10 @@ module.exports = {
     findUserByEmail,
     findUserById,
     findUserByUsername,
-    findAllUsers,
+    findPublicProfile,
+    findPublicProfilesByIds,
+    findUsers,
+    countUsersByRole,
     deleteUserById,
     deleteUserByEmail,
     deleteUserByUsername,
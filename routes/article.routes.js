@@ -8,27 +8,81 @@ const express = require('express');
 const router = express.Router();
 const upload = require('../configs/multer.config');
 const articleController = require('../controllers/article.controller');
-const { authenticate, isAdmin, isAuthorOrAdmin } = require('./auth.routes');
+const workflowController = require('../controllers/workflow.controller');
+const revisionController = require('../controllers/revision.controller');
+const { ObjectId } = require('mongodb');
+const articleModel = require('../models/article.model');
+const userModel = require('../models/user.model');
+const { authenticate, authenticateOptional, requirePermission } = require('./auth.routes');
 
-// Routes publiques (lecture seule - accessibles à tous les utilisateurs)
+/**
+ * Résolveur de propriété : l'article ciblé par :articleId appartient-il à l'appelant ?
+ * @param {Object} req - Requête authentifiée
+ * @returns {Promise<boolean|null>} null si l'article n'existe pas
+ */
+const isArticleOwner = async (req) => {
+    if (!ObjectId.isValid(req.params.articleId)) return null;
+    const article = await articleModel.getArticleById(req.params.articleId);
+    if (!article) return null;
+    // Comparaison par identifiant de compte, jamais par signature : un nom d'utilisateur se renomme
+    // (authorId absent ou null : article non migré, compte supprimé ou signature sans compte, sans propriétaire)
+    return !!article.authorId && String(article.authorId) === String(req.user.userId);
+};
+
+/**
+ * Middleware des routes par slug : résout :slug (actuel ou ancien) en :articleId
+ * pour réutiliser les résolveurs de propriété et les contrôleurs par ID
+ */
+const resolveSlug = async (req, res, next) => {
+    try {
+        const article = await articleModel.findArticleBySlug(req.params.slug);
+        if (!article) {
+            return res.status(404).json({ message: '❌ Article introuvable' });
+        }
+        req.params.articleId = String(article._id);
+        next();
+    } catch (err) {
+        res.status(500).json({ message: '❌ Erreur serveur', error: err.message });
+    }
+};
+
+/**
+ * Résolveur de propriété : le compte désigné par :author est-il celui de l'appelant ?
+ * @param {Object} req - Requête authentifiée
+ * @returns {Promise<boolean|null>} true si l'appelant agit sur ses propres articles, null si le compte n'existe pas
+ */
+const isSameAuthor = async (req) => {
+    const account = await userModel.findUserByUsername(decodeURIComponent(req.params.author));
+    if (!account) return null;
+    return String(account._id) === String(req.user.userId);
+};
+
+// Routes publiques (lecture seule - accessibles à tous les utilisateurs, articles publiés uniquement)
 
 /**
  * @swagger
  * /api/v1/articles/search:
  *   get:
  *     tags: [Articles]
- *     summary: Recherche des articles par mots-clés
+ *     summary: Recherche plein texte des articles, triée par pertinence
  *     description: |
- *       Recherche des articles contenant les mots-clés spécifiés dans le titre,
- *       la description, les catégories, le nom du journal ou l'auteur.
+ *       Recherche des articles publiés dans le titre, la description, les catégories, le nom du journal
+ *       et l'auteur, le titre pesant plus que la description, elle-même plus que les catégories.
+ *       Les mots sont comparés sans tenir compte des accents ni des terminaisons (élection trouve élections).
+ *       Syntaxe : "expression exacte" pour une expression, -mot pour exclure un mot.
+ *       Chaque résultat porte son score de pertinence et des extraits mis en évidence (highlights),
+ *       échappés pour HTML, les passages trouvés entourés de <mark>.
+ *       Les filtres (catégorie, journal, auteur, dates) restreignent les résultats ; facets compte
+ *       les résultats par valeur, chaque facette sans tenir compte de son propre filtre.
+ *       Avec cursor, les résultats sont lus du plus récent au plus ancien (et non par pertinence).
  *     parameters:
  *       - in: query
  *         name: q
  *         required: true
- *         description: Terme(s) de recherche
+ *         description: Recherche (200 caractères au plus, au moins un mot ou une expression non exclus)
  *         schema:
  *           type: string
- *           example: "technologie"
+ *           example: "\"intelligence artificielle\" santé -crypto"
  *       - in: query
  *         name: page
  *         schema:
@@ -44,9 +98,25 @@ const { authenticate, isAdmin, isAuthorOrAdmin } = require('./auth.routes');
  *           maximum: 100
  *           default: 10
  *         description: Nombre d'articles par page
+ *       - $ref: '#/components/parameters/ArticleSort'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/FilterCategory'
+ *       - $ref: '#/components/parameters/FilterJournalName'
+ *       - $ref: '#/components/parameters/FilterAuthor'
+ *       - $ref: '#/components/parameters/FilterCreatedFrom'
+ *       - $ref: '#/components/parameters/FilterCreatedTo'
+ *       - $ref: '#/components/parameters/FilterUpdatedFrom'
+ *       - $ref: '#/components/parameters/FilterUpdatedTo'
  *     responses:
  *       200:
  *         description: Recherche réussie avec résultats
+ *         headers:
+ *           Link:
+ *             description: URL des pages suivante (rel="next") et précédente (rel="prev")
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -57,7 +127,26 @@ const { authenticate, isAdmin, isAuthorOrAdmin } = require('./auth.routes');
  *                 articles:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Article'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Article'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Pertinence (plus élevé = plus pertinent)
+ *                           highlights:
+ *                             type: object
+ *                             properties:
+ *                               title:
+ *                                 type: string
+ *                                 example: "Les progrès de l'<mark>intelligence artificielle</mark>"
+ *                               description:
+ *                                 type: string
+ *                                 description: Extrait autour du premier passage trouvé, '…' s'il est tronqué
+ *                               category:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
  *                 totalArticles:
  *                   type: integer
  *                 totalPages:
@@ -68,8 +157,18 @@ const { authenticate, isAdmin, isAuthorOrAdmin } = require('./auth.routes');
  *                   type: integer
  *                 searchQuery:
  *                   type: string
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Mode curseur ; null en fin de liste
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Mode curseur ; null en début de liste
+ *                 facets:
+ *                   $ref: '#/components/schemas/ArticleFacets'
  *       400:
- *         description: Requête de recherche invalide
+ *         description: Requête de recherche, filtre, curseur, champ, tri ou donnée jointe invalide
  *       404:
  *         description: Aucun article trouvé pour la recherche
  *       500:
@@ -82,7 +181,15 @@ router.get('/search', articleController.searchArticles);
  * /api/v1/articles:
  *   get:
  *     tags: [Articles]
- *     summary: Liste tous les articles (paginés)
+ *     summary: Liste les articles publiés (paginés, filtrables)
+ *     description: |
+ *       Plusieurs valeurs d'un même filtre se combinent en OU (?category=science,santé),
+ *       les différents filtres en ET. facets compte les articles par catégorie, journal et auteur,
+ *       chaque facette sans tenir compte de son propre filtre (ex: "Science (42)" reste affiché
+ *       quand une autre catégorie est sélectionnée).
+ *       Pagination par numéro de page (page, totalArticles, totalPages) ou, avec cursor, par curseur
+ *       (nextCursor, prevCursor) : stable quand des articles sont publiés pendant la lecture.
+ *       L'en-tête Link donne les URL des pages suivante et précédente.
  *     parameters:
  *       - in: query
  *         name: page
@@ -94,9 +201,55 @@ router.get('/search', articleController.searchArticles);
  *         schema:
  *           type: integer
  *           default: 10
+ *       - $ref: '#/components/parameters/ArticleSort'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/FilterCategory'
+ *       - $ref: '#/components/parameters/FilterJournalName'
+ *       - $ref: '#/components/parameters/FilterAuthor'
+ *       - $ref: '#/components/parameters/FilterCreatedFrom'
+ *       - $ref: '#/components/parameters/FilterCreatedTo'
+ *       - $ref: '#/components/parameters/FilterUpdatedFrom'
+ *       - $ref: '#/components/parameters/FilterUpdatedTo'
  *     responses:
  *       200:
  *         description: Liste des articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 articles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Article'
+ *                 totalArticles:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Mode curseur ; null en fin de liste
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Mode curseur ; null en début de liste
+ *                 limit:
+ *                   type: integer
+ *                   description: Mode curseur ; nombre d'articles par page
+ *                 facets:
+ *                   $ref: '#/components/schemas/ArticleFacets'
+ *         headers:
+ *           Link:
+ *             description: URL des pages suivante (rel="next") et précédente (rel="prev")
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Filtre, curseur, champ, tri ou donnée jointe invalide
  */
 router.get('/', articleController.getAllArticles);
 
@@ -106,33 +259,78 @@ router.get('/', articleController.getAllArticles);
  *   get:
  *     tags: [Articles]
  *     summary: Récupère un article par ID
+ *     description: |
+ *       Un article publié est accessible à tous. Les autres statuts ne sont renvoyés qu'à l'auteur,
+ *       aux relecteurs et aux éditeurs authentifiés (token ou clé API facultatifs) ; 404 pour les autres.
  *     parameters:
  *       - in: path
  *         name: articleId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
+ *     responses:
+ *       200:
+ *         description: Article trouvé
+ *       400:
+ *         description: Champ ou donnée jointe non autorisé
+ *       401:
+ *         description: Identifiants fournis mais invalides
+ *       404:
+ *         description: Article introuvable ou non visible
+ */
+router.get('/id/:articleId', authenticateOptional, articleController.getArticleById);
+
+/**
+ * @swagger
+ * /api/v1/articles/slug/{slug}:
+ *   get:
+ *     tags: [Articles]
+ *     summary: Récupère un article par son slug (permalien)
+ *     description: |
+ *       Le slug est tiré du titre (ex: elections-a-paris) et change avec lui. Un ancien slug répond
+ *       par une redirection permanente vers le slug actuel. Mêmes règles de visibilité que la lecture par ID.
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
  *     responses:
  *       200:
  *         description: Article trouvé
+ *       301:
+ *         description: Ancien slug, redirection vers /api/v1/articles/slug/{slug actuel} (paramètres conservés)
+ *       400:
+ *         description: Champ ou donnée jointe non autorisé
+ *       404:
+ *         description: Article introuvable ou non visible
  */
-router.get('/id/:articleId', articleController.getArticleById);
+router.get('/slug/:slug', authenticateOptional, articleController.getArticleBySlug);
 
 /**
  * @swagger
  * /api/v1/articles/title/{title}:
  *   get:
  *     tags: [Articles]
- *     summary: Récupère des articles par titre
+ *     summary: Récupère des articles publiés par titre
  *     parameters:
  *       - in: path
  *         name: title
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ArticleSort'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
  *     responses:
  *       200:
  *         description: Articles trouvés
+ *       400:
+ *         description: Champ, tri ou donnée jointe non autorisé
  */
 router.get('/title/:title', articleController.getArticlesByTitle);
 
@@ -141,22 +339,26 @@ router.get('/title/:title', articleController.getArticlesByTitle);
  * /api/v1/articles/author/{author}:
  *   get:
  *     tags: [Articles]
- *     summary: Récupère des articles par auteur
+ *     summary: Récupère des articles publiés par auteur
  *     parameters:
  *       - in: path
  *         name: author
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ArticleSort'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/ArticleExpand'
  *     responses:
  *       200:
  *         description: Articles trouvés
+ *       400:
+ *         description: Champ, tri ou donnée jointe non autorisé
  */
 router.get('/author/:author', articleController.getArticlesByAuthor);
 
-// Routes protégées (nécessitent un token admin valide)
-// Le middleware authenticate et isAdmin s'appliquera à toutes les routes suivantes
-router.use(authenticate, isAdmin);
+// Routes protégées : chaque route exige une permission (token valide ou clé API de portée articles:write)
+// Les permissions '.own' limitent l'appelant à ses propres articles, '.any' à tous les articles
 
 /**
  * @swagger
@@ -165,7 +367,7 @@ router.use(authenticate, isAdmin);
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Crée un nouvel article (admin seulement)
+ *     summary: Crée un nouvel article en brouillon (permission article.create)
  *     requestBody:
  *       required: true
  *       content:
@@ -176,10 +378,10 @@ router.use(authenticate, isAdmin);
  *       201:
  *         description: Article créé
  */
-router.post('/', upload.single('image'), articleController.createArticle);
+router.post('/', authenticate, requirePermission('article.create'), upload.single('image'), articleController.createArticle);
 
 // Route pour accéder aux images uploadées
-router.get('/uploads/:filename', articleController.getImage);
+router.get('/uploads/:filename', authenticate, requirePermission('article.create'), articleController.getImage);
 
 /**
  * @swagger
@@ -188,7 +390,10 @@ router.get('/uploads/:filename', articleController.getImage);
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Modifie un article par ID (admin seulement)
+ *     summary: Modifie un article par ID (article.update.any, ou article.update.own pour ses articles)
+ *     description: |
+ *       Avec article.update.own, seuls les brouillons et articles en relecture se modifient ; un article
+ *       programmé, publié ou archivé demande article.publish ou article.update.any.
  *     parameters:
  *       - in: path
  *         name: articleId
@@ -204,8 +409,44 @@ router.get('/uploads/:filename', articleController.getImage);
  *     responses:
  *       200:
  *         description: Article mis à jour
+ *       400:
+ *         description: Format d'ID invalide
+ *       403:
+ *         description: Permission manquante, ou article déjà validé pour un simple auteur (code ARTICLE_NOT_EDITABLE)
+ *       404:
+ *         description: Article introuvable ou aucune modification
+ */
+router.put('/id/:articleId', authenticate, requirePermission('article.update', { owner: isArticleOwner }), articleController.updateArticle);
+
+/**
+ * @swagger
+ * /api/v1/articles/slug/{slug}:
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Modifie un article par slug, actuel ou ancien (mêmes permissions que par ID)
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Article'
+ *     responses:
+ *       200:
+ *         description: Article mis à jour
+ *       403:
+ *         description: Permission manquante, ou article déjà validé pour un simple auteur (code ARTICLE_NOT_EDITABLE)
+ *       404:
+ *         description: Article introuvable
  */
-router.put('/id/:articleId', isAuthorOrAdmin, articleController.updateArticle);
+router.put('/slug/:slug', authenticate, resolveSlug, requirePermission('article.update', { owner: isArticleOwner }), articleController.updateArticle);
 
 /**
  * @swagger
@@ -214,7 +455,7 @@ router.put('/id/:articleId', isAuthorOrAdmin, articleController.updateArticle);
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Modifie des articles par titre (admin seulement)
+ *     summary: Modifie des articles par titre (permission article.update.any)
  *     parameters:
  *       - in: path
  *         name: title
@@ -231,7 +472,7 @@ router.put('/id/:articleId', isAuthorOrAdmin, articleController.updateArticle);
  *       200:
  *         description: Articles mis à jour
  */
-router.put('/title/:title', isAuthorOrAdmin, articleController.updateArticlesByTitle);
+router.put('/title/:title', authenticate, requirePermission('article.update'), articleController.updateArticlesByTitle);
 
 /**
  * @swagger
@@ -240,7 +481,12 @@ router.put('/title/:title', isAuthorOrAdmin, articleController.updateArticlesByT
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Modifie des articles par auteur (admin seulement)
+ *     summary: Modifie des articles par auteur (article.update.any, ou article.update.own pour ses articles)
+ *     description: |
+ *       {author} désigne un compte par son nom d'utilisateur ; seuls les articles liés à ce compte
+ *       (authorId) sont concernés, quelle que soit la signature affichée. Avec article.update.own,
+ *       les articles programmés, publiés ou archivés du compte sont laissés intacts (ils demandent
+ *       article.publish ou article.update.any).
  *     parameters:
  *       - in: path
  *         name: author
@@ -256,8 +502,10 @@ router.put('/title/:title', isAuthorOrAdmin, articleController.updateArticlesByT
  *     responses:
  *       200:
  *         description: Articles mis à jour
+ *       404:
+ *         description: Compte inconnu ou aucun article concerné
  */
-router.put('/author/:author', isAuthorOrAdmin, articleController.updateArticlesByAuthor);
+router.put('/author/:author', authenticate, requirePermission('article.update', { owner: isSameAuthor }), articleController.updateArticlesByAuthor);
 
 /**
  * @swagger
@@ -266,7 +514,7 @@ router.put('/author/:author', isAuthorOrAdmin, articleController.updateArticlesB
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Supprime un article par ID (admin seulement)
+ *     summary: Supprime un article par ID (article.delete.any, ou article.delete.own pour ses articles)
  *     parameters:
  *       - in: path
  *         name: articleId
@@ -277,7 +525,29 @@ router.put('/author/:author', isAuthorOrAdmin, articleController.updateArticlesB
  *       200:
  *         description: Article supprimé
  */
-router.delete('/id/:articleId', isAuthorOrAdmin, articleController.deleteArticle);
+router.delete('/id/:articleId', authenticate, requirePermission('article.delete', { owner: isArticleOwner }), articleController.deleteArticle);
+
+/**
+ * @swagger
+ * /api/v1/articles/slug/{slug}:
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Supprime un article par slug, actuel ou ancien (mêmes permissions que par ID)
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Article supprimé
+ *       404:
+ *         description: Article introuvable
+ */
+router.delete('/slug/:slug', authenticate, resolveSlug, requirePermission('article.delete', { owner: isArticleOwner }), articleController.deleteArticle);
 
 /**
  * @swagger
@@ -286,7 +556,7 @@ router.delete('/id/:articleId', isAuthorOrAdmin, articleController.deleteArticle
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Supprime des articles par titre (admin seulement)
+ *     summary: Supprime des articles par titre (permission article.delete.any)
  *     parameters:
  *       - in: path
  *         name: title
@@ -297,7 +567,7 @@ router.delete('/id/:articleId', isAuthorOrAdmin, articleController.deleteArticle
  *       200:
  *         description: Articles supprimés
  */
-router.delete('/title/:title', isAuthorOrAdmin, articleController.deleteArticlesByTitle);
+router.delete('/title/:title', authenticate, requirePermission('article.delete'), articleController.deleteArticlesByTitle);
 
 /**
  * @swagger
@@ -306,7 +576,10 @@ router.delete('/title/:title', isAuthorOrAdmin, articleController.deleteArticles
  *     security:
  *       - bearerAuth: []
  *     tags: [Articles]
- *     summary: Supprime des articles por auteur (admin seulement)
+ *     summary: Supprime des articles par auteur (article.delete.any, ou article.delete.own pour ses articles)
+ *     description: |
+ *       {author} désigne un compte par son nom d'utilisateur ; seuls les articles liés à ce compte
+ *       (authorId) sont concernés, quelle que soit la signature affichée.
  *     parameters:
  *       - in: path
  *         name: author
@@ -316,8 +589,329 @@ router.delete('/title/:title', isAuthorOrAdmin, articleController.deleteArticles
  *     responses:
  *       200:
  *         description: Articles supprimés
+ *       404:
+ *         description: Compte inconnu ou aucun article concerné
+ */
+router.delete('/author/:author', authenticate, requirePermission('article.delete', { owner: isSameAuthor }), articleController.deleteArticlesByAuthor);
+
+// Circuit éditorial : draft → in_review → scheduled → published → archived
+
+/**
+ * @swagger
+ * /api/v1/articles/editorial:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: File éditoriale de l'appelant
+ *     description: |
+ *       Éditeurs (article.publish ou article.update.any) : tous les articles.
+ *       Relecteurs (article.review) : leurs articles et les articles soumis qui leur sont assignés ou sans relecteur assigné.
+ *       Autres : leurs propres articles.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: Statut recherché (par défaut draft, in_review et scheduled)
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_review, scheduled, published, archived]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Articles et informations de pagination
+ *       400:
+ *         description: Statut ou pagination invalide
+ */
+router.get('/editorial', authenticate, workflowController.getEditorialQueue);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/status:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Change le statut d'un article
+ *     description: |
+ *       Transitions autorisées :
+ *       - draft → in_review : article.submit.own (ses articles) ou article.submit.any
+ *       - in_review → draft : article.review (renvoi pour corrections) ou article.submit (retrait)
+ *       - in_review → scheduled | published : article.publish
+ *       - scheduled → in_review | published : article.publish
+ *       - published → archived, archived → draft : article.publish
+ *
+ *       Si des relecteurs sont assignés, seuls eux (et les détenteurs de article.publish) relisent l'article.
+ *       Un article programmé est publié automatiquement à la date publishAt.
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, in_review, scheduled, published, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Date de publication future, obligatoire pour scheduled
+ *               comment:
+ *                 type: string
+ *                 description: Commentaire de relecture joint au changement
+ *     responses:
+ *       200:
+ *         description: Statut modifié
+ *       400:
+ *         description: Statut, date ou commentaire invalide
+ *       403:
+ *         description: Transition non autorisée pour l'appelant
+ *       404:
+ *         description: Article introuvable
+ *       409:
+ *         description: Transition impossible depuis le statut actuel, ou statut modifié entre-temps
+ */
+router.post('/id/:articleId/status', authenticate, workflowController.changeStatus);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/reviewers:
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Assigne les relecteurs d'un article (permission article.publish)
+ *     description: Remplace la liste. Une liste vide ouvre la relecture à tout détenteur de article.review.
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reviewers]
+ *             properties:
+ *               reviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs de comptes actifs disposant de article.review
+ *     responses:
+ *       200:
+ *         description: Relecteurs assignés
+ *       400:
+ *         description: Liste invalide ou compte ne pouvant pas relire
+ *       404:
+ *         description: Article introuvable
+ */
+router.put('/id/:articleId/reviewers', authenticate, requirePermission('article.publish'), workflowController.assignReviewers);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/reviews:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Liste les commentaires de relecture (auteur, relecteurs et éditeurs)
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commentaires, plus anciens d'abord
+ *       403:
+ *         description: L'appelant ne participe pas à la relecture
+ *       404:
+ *         description: Article introuvable
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Ajoute un commentaire de relecture (auteur, relecteurs et éditeurs)
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comment]
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Commentaire ajouté
+ *       400:
+ *         description: Commentaire vide ou trop long
+ *       403:
+ *         description: L'appelant ne participe pas à la relecture
+ *       404:
+ *         description: Article introuvable
+ */
+router.get('/id/:articleId/reviews', authenticate, workflowController.getReviews);
+router.post('/id/:articleId/reviews', authenticate, workflowController.addReview);
+
+// Historique des versions : chaque modification conserve la version précédente de l'article
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/revisions:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Liste les révisions d'un article (article.update.any, ou article.update.own pour ses articles)
+ *     description: |
+ *       Chaque révision est l'état de l'article juste avant une modification ou une restauration.
+ *       La liste n'inclut pas le contenu des révisions.
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Révisions, plus récentes en premier (revision, createdAt, createdBy, reason, fields, restoredFrom)
+ *       404:
+ *         description: Article introuvable
+ */
+router.get('/id/:articleId/revisions', authenticate, requirePermission('article.update', { owner: isArticleOwner }), revisionController.getRevisions);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/revisions/diff:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Compare deux versions d'un article champ par champ
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         description: Numéro de la révision de départ, ou current
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Numéro de la révision d'arrivée, ou current (par défaut)
+ *         schema:
+ *           type: string
+ *           default: current
+ *     responses:
+ *       200:
+ *         description: Différences (field, change added | removed | modified, from, to)
+ *       400:
+ *         description: Numéro de révision invalide
+ *       404:
+ *         description: Article ou révision introuvable
+ */
+router.get('/id/:articleId/revisions/diff', authenticate, requirePermission('article.update', { owner: isArticleOwner }), revisionController.diffRevisions);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/revisions/{revision}:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Récupère une révision avec son contenu (snapshot)
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Révision trouvée
+ *       400:
+ *         description: Numéro de révision invalide
+ *       404:
+ *         description: Article ou révision introuvable
+ */
+router.get('/id/:articleId/revisions/:revision', authenticate, requirePermission('article.update', { owner: isArticleOwner }), revisionController.getRevision);
+
+/**
+ * @swagger
+ * /api/v1/articles/id/{articleId}/revisions/{revision}/restore:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Articles]
+ *     summary: Restaure le contenu d'un article depuis une révision
+ *     description: |
+ *       Rétablit les champs de contenu de la révision ; l'auteur, le statut, les relecteurs et les dates
+ *       de publication ne changent pas. La version remplacée est conservée comme nouvelle révision.
+ *       Un article publié restauré est annoncé par l'événement WebSocket article.updated.
+ *       Comme pour une modification, un article programmé, publié ou archivé ne se restaure qu'avec
+ *       article.publish ou article.update.any.
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Article restauré (ou déjà identique), avec les champs rétablis
+ *       400:
+ *         description: Numéro de révision invalide
+ *       403:
+ *         description: Permission manquante, ou article déjà validé pour un simple auteur (code ARTICLE_NOT_EDITABLE)
+ *       404:
+ *         description: Article ou révision introuvable
  */
-router.delete('/author/:author', articleController.deleteArticlesByAuthor);
+router.post('/id/:articleId/revisions/:revision/restore', authenticate, requirePermission('article.update', { owner: isArticleOwner }), revisionController.restoreRevision);
 
 // Export du routeur
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Routes du journal d'audit
+ * Consultation filtrable et paginée des actions enregistrées (connexions, rôles, articles, utilisateurs)
+ */
+
+// Importation du framework Express pour créer le routeur
+const express = require('express');
+// Création d'une instance de routeur Express
+const router = express.Router();
+// Importation du service du journal d'audit
+const auditService = require('../services/audit.services');
+// Importation des middlewares d'authentification et de permission
+const { authenticate, requirePermission } = require('./auth.routes');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         action:
+ *           type: string
+ *           example: articles.delete
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             userId:
+ *               type: string
+ *             role:
+ *               type: string
+ *             authType:
+ *               type: string
+ *               enum: [jwt, apiKey]
+ *             apiKeyId:
+ *               type: string
+ *         target:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *             id:
+ *               type: string
+ *             ids:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             criteria:
+ *               type: object
+ *         before:
+ *           description: État avant l'action (document ou liste de documents)
+ *         after:
+ *           description: État après l'action
+ *         ip:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         metadata:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Audit]
+ *     summary: Consulte le journal d'audit (permission audit.read)
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         description: ID de l'utilisateur à l'origine des actions
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Action exacte ou préfixe suivi de * (ex. article*, auth.login*)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           example: article
+ *       - in: query
+ *         name: targetId
+ *         description: ID de la ressource, y compris dans les opérations groupées
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entrées du journal, plus récentes en premier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 totalEntries:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 itemsPerPage:
+ *                   type: integer
+ *       400:
+ *         description: Filtre invalide
+ *       403:
+ *         description: Accès refusé - permission requise
+ */
+router.get('/', authenticate, requirePermission('audit.read'), async (req, res) => {
+    try {
+        const { page, limit, ...filters } = req.query;
+
+        // Recherche via le service
+        const result = await auditService.searchAuditLog(filters, page, limit);
+        res.json(result);
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        if (err.status) {
+            return res.status(err.status).json({
+                message: err.message,
+                code: err.code
+            });
+        }
+        res.status(500).json({
+            message: 'Erreur serveur',
+            error: err.message
+        });
+    }
+});
+
+// Export du routeur
+module.exports = router;
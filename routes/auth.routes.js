@@ -11,12 +11,45 @@ const router = express.Router();
 const authService = require('../services/auth.services');
 // Importation du modèle utilisateur
 const userModel = require('../models/user.model');
+// Importation du service de double authentification
+const twoFactorService = require('../services/twoFactor.services');
+// Importation du service des clés API
+const apiKeyService = require('../services/apiKey.services');
+// Importation du service des rôles et permissions
+const roleService = require('../services/role.services');
+// Importation du service de connexion OpenID Connect
+const oidcService = require('../services/oidc.services');
+// Importation du service du journal d'audit
+const auditService = require('../services/audit.services');
+// Importation du service des clés de signature
+const signingKeyService = require('../services/signingKey.services');
+// Importation du service de politique des mots de passe
+const passwordPolicy = require('../services/passwordPolicy.services');
+// Importation du service du cycle de vie des comptes
+const accountService = require('../services/account.services');
 
 /**
  * Middleware d'authentification
- * Vérifie la présence et validité du token JWT
+ * Vérifie la présence et validité du token JWT, ou de la clé API fournie dans l'en-tête X-API-Key
  */
 const authenticate = async (req, res, next) => {
+    // Authentification par clé API (clients machines)
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+        try {
+            req.user = await apiKeyService.authenticateApiKey(apiKey, { ip: req.ip });
+        } catch (err) {
+            return res.status(500).json({ 
+                message: 'Erreur serveur', 
+                error: err.message 
+            });
+        }
+        if (!req.user) {
+            return res.status(401).json({ message: 'Clé API invalide, expirée ou révoquée' });
+        }
+        return next();
+    }
+
     // Récupération du header d'autorisation
     const authHeader = req.headers.authorization;
     // Extraction du token du format: Bearer <token>
@@ -30,8 +63,6 @@ const authenticate = async (req, res, next) => {
     try {
         // Vérification et décodage du token
         req.user = await authService.verifyToken(token);
-        // Passage au middleware suivant
-        next();
     } catch (err) {
         // Gestion des erreurs de token invalide
         return res.status(401).json({ 
@@ -39,22 +70,250 @@ const authenticate = async (req, res, next) => {
             error: err.message 
         });
     }
+
+    try {
+        // Vérification que le token n'a pas été révoqué (déconnexion, rotation compromise)
+        if (await authService.isTokenRevoked(req.user)) {
+            return res.status(401).json({ message: 'Token révoqué' });
+        }
+        // Mise à jour de la dernière activité de la session
+        await authService.touchSession(req.user, req.ip);
+    } catch (err) {
+        return res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+
+    // Passage au middleware suivant
+    next();
+};
+
+/**
+ * Middleware d'authentification facultative (routes publiques dont la réponse dépend de l'appelant)
+ * Sans en-tête Authorization ni X-API-Key, la requête continue en visiteur anonyme ;
+ * avec des identifiants, ils sont vérifiés comme par authenticate (401 s'ils sont invalides)
+ */
+const authenticateOptional = (req, res, next) => {
+    if (!req.headers.authorization && !req.headers['x-api-key']) {
+        return next();
+    }
+    return authenticate(req, res, next);
+};
+
+/**
+ * Middleware vérifiant qu'une clé API porte la portée requise
+ * Les requêtes authentifiées par JWT ne sont pas concernées
+ * @param {string} scope - Portée requise (ex: 'articles:write')
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (req.user?.authType === 'apiKey') {
+        if (!req.user.scopes.includes(scope)) {
+            return res.status(403).json({ 
+                message: `Accès refusé - Portée ${scope} requise pour cette clé API` 
+            });
+        }
+    }
+    next();
 };
 
 /**
- * Middleware pour vérifier le rôle admin
+ * Middleware réservant une route aux sessions interactives (refuse les clés API)
+ * Utilisé pour la gestion des identifiants : mot de passe, 2FA, clés API...
  */
-const isAdmin = (req, res, next) => {
-    // Vérification si l'utilisateur a le rôle admin
-    if (req.user?.role !== 'admin') {
+const interactiveOnly = (req, res, next) => {
+    if (req.user?.authType === 'apiKey') {
         return res.status(403).json({ 
-            message: 'Accès refusé - Admin requis' 
+            message: 'Accès refusé - Opération impossible avec une clé API' 
+        });
+    }
+    next();
+};
+
+/**
+ * Middleware vérifiant que l'appelant dispose d'une permission
+ * La permission est accordée telle quelle ou sous sa forme '.any' (toutes les ressources).
+ * Avec un résolveur de propriétaire, la forme '.own' suffit si la ressource appartient à l'appelant.
+ * Pour une clé API, les permissions du rôle sont restreintes aux portées de la clé.
+ * @param {string} permission - Permission requise (ex: 'user.manage', 'article.update')
+ * @param {Object} [options] - Options
+ * @param {Function} [options.owner] - async (req) => true/false, ou null si la ressource n'existe pas
+ */
+const requirePermission = (permission, { owner } = {}) => async (req, res, next) => {
+    // Vérification de la présence de l'utilisateur
+    if (!req.user || !req.user.role) {
+        return res.status(403).json({ message: 'Accès refusé - Utilisateur non connecté' });
+    }
+
+    try {
+        // Récupération des permissions effectives de l'appelant
+        const permissions = await roleService.getEffectivePermissions(req.user);
+
+        if (roleService.hasPermission(permissions, permission)
+            || roleService.hasPermission(permissions, `${permission}.any`)) {
+            return next();
+        }
+
+        // Vérification de la propriété de la ressource
+        if (owner && roleService.hasPermission(permissions, `${permission}.own`)) {
+            const isOwner = await owner(req);
+            if (isOwner === null) {
+                return res.status(404).json({ message: 'Ressource non trouvée' });
+            }
+            if (isOwner) {
+                return next();
+            }
+            return res.status(403).json({ 
+                message: 'Accès refusé - Vous n\'êtes pas propriétaire de cette ressource' 
+            });
+        }
+    } catch (err) {
+        return res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+
+    return res.status(403).json({ 
+        message: `Accès refusé - Permission ${permission} requise` 
+    });
+};
+
+/**
+ * Middleware d'authentification pour l'enrôlement 2FA
+ * Accepte un token Bearer classique ou le jeton d'enrôlement renvoyé par /login
+ * lorsque la 2FA est obligatoire pour le rôle de l'utilisateur
+ */
+const authenticateOrSetupChallenge = (req, res, next) => {
+    if (req.body && req.body.challengeToken) {
+        const payload = authService.verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+        if (!payload) {
+            return res.status(401).json({ message: 'Jeton d\'enrôlement invalide ou expiré' });
+        }
+        req.user = { userId: payload.userId, twoFactorSetup: true };
+        return next();
+    }
+    return authenticate(req, res, () => interactiveOnly(req, res, next));
+};
+
+/**
+ * Envoie la réponse d'une erreur métier (statut et code portés par l'erreur)
+ * ou une erreur serveur générique
+ */
+const sendServiceError = (res, err, message = 'Erreur serveur') => {
+    if (err.status) {
+        return res.status(err.status).json({ 
+            message: err.message, 
+            code: err.code,
+            // Règles non respectées (politique des mots de passe)
+            ...(err.violations ? { violations: err.violations } : {})
+        });
+    }
+    res.status(500).json({ 
+        message, 
+        error: err.message 
+    });
+};
+
+/**
+ * Extrait le contexte client d'une requête (enregistré sur la session ouverte)
+ */
+const requestContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+});
+
+/**
+ * Enregistre une connexion réussie ou refusée dans le journal d'audit
+ * @param {Object} req - Requête Express
+ * @param {Object|null} result - Jetons émis par le service, ou null si la connexion est refusée
+ * @param {Object} details - Méthode de connexion, email saisi et motif du refus
+ */
+const auditLogin = async (req, result, { method, email, reason }) => {
+    if (result) {
+        return auditService.recordFromRequest(req, {
+            action: 'auth.login',
+            actor: { userId: result.userId, role: result.role },
+            target: { type: 'user', id: result.userId },
+            metadata: { method, sessionId: result.sessionId }
+        });
+    }
+    return auditService.recordFromRequest(req, {
+        action: 'auth.login.failed',
+        // Un email mal formé (objet) n'est pas recopié dans le journal
+        metadata: { method, email: typeof email === 'string' ? email : null, reason }
+    });
+};
+
+/**
+ * Middleware refusant la modification du rôle via les routes de mise à jour génériques
+ * Les changements de rôle passent par PUT /users/id/:userId/role pour être tracés
+ */
+const rejectRoleUpdate = (req, res, next) => {
+    if (req.body && req.body.role !== undefined) {
+        return res.status(400).json({ 
+            message: 'Le rôle se modifie via PUT /api/v1/auth/users/id/{userId}/role' 
         });
     }
-    // Passage au middleware suivant
     next();
 };
 
+/**
+ * Supprime le compte ciblé par une route DELETE /users/... puis répond à la requête
+ * Applique la règle de cascade demandée (?articles=, ?reassignTo=), trace la suppression et notifie les clients WebSocket
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Object|null} user - Utilisateur à supprimer
+ */
+const deleteAccount = async (req, res, user) => {
+    // Vérification de l'existence de l'utilisateur
+    const result = user && await accountService.deleteUserAccount(user._id, {
+        articles: req.query.articles,
+        reassignTo: req.query.reassignTo
+    });
+    if (!result || result.deletedCount === 0) {
+        return res.status(404).json({ 
+            message: 'Utilisateur non trouvé' 
+        });
+    }
+
+    const { policy, count, articleIds, reassignedTo } = result.articles;
+    const articles = { policy, count, reassignedTo };
+
+    // Journal d'audit : le compte, puis ses articles
+    await auditService.recordFromRequest(req, {
+        action: 'user.delete',
+        target: { type: 'user', id: user._id },
+        before: user,
+        metadata: { articles }
+    });
+    if (count > 0) {
+        await auditService.recordFromRequest(req, {
+            action: policy === 'delete' ? 'articles.delete' : 'articles.update',
+            target: { type: 'article', ids: articleIds, criteria: { author: user.username } },
+            metadata: { reason: 'user.delete', ...articles }
+        });
+    }
+
+    // Notification WebSocket des articles supprimés ou réattribués
+    if (count > 0 && req.app.locals.wsBroadcast) {
+        req.app.locals.wsBroadcast({
+            type: policy === 'delete' ? 'articles.deleted' : 'articles.updated',
+            message: `${count} article(s) de ${user.username} ${policy === 'delete' ? 'supprimé(s)' : 'réattribué(s)'}`,
+            count,
+            criteria: { author: user.username },
+            at: new Date().toISOString()
+        });
+    }
+
+    // Réponse de succès
+    res.json({ 
+        message: 'Utilisateur supprimé', 
+        deletedCount: result.deletedCount,
+        articles
+    });
+};
+
 // Routes publiques (pas besoin d'authentification)
 
 /**
@@ -65,6 +324,10 @@ const isAdmin = (req, res, next) => {
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
  *   schemas:
  *     User:
  *       type: object
@@ -77,7 +340,33 @@ const isAdmin = (req, res, next) => {
  *           type: string
  *         role:
  *           type: string
- *           enum: [user, author, admin]
+ *           example: author
+ *         active:
+ *           type: boolean
+ *           description: false lorsque le compte est désactivé (absent pour un compte actif)
+ *         displayName:
+ *           type: string
+ *           description: Nom affiché sur le profil public
+ *         bio:
+ *           type: string
+ *         avatarUrl:
+ *           type: string
+ *     Register:
+ *       type: object
+ *       required:
+ *         - username
+ *         - email
+ *         - password
+ *       properties:
+ *         username:
+ *           type: string
+ *         email:
+ *           type: string
+ *         password:
+ *           type: string
+ *         inviteCode:
+ *           type: string
+ *           description: Code d'invitation optionnel attribuant un rôle (ex. author)
  *     Login:
  *       type: object
  *       required:
@@ -88,6 +377,61 @@ const isAdmin = (req, res, next) => {
  *           type: string
  *         password:
  *           type: string
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         twoFactorRequired:
+ *           type: boolean
+ *         twoFactorSetupRequired:
+ *           type: boolean
+ *         challengeToken:
+ *           type: string
+ *           description: Jeton intermédiaire de courte durée (ne donne pas accès à l'API)
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Access token JWT
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token opaque (à usage unique)
+ *         expiresIn:
+ *           type: integer
+ *           description: Durée de validité de l'access token (secondes)
+ *         sessionId:
+ *           type: string
+ *           description: Identifiant de la session ouverte
+ *         userId:
+ *           type: string
+ *         username:
+ *           type: string
+ *         role:
+ *           type: string
+ *     Session:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         authMethod:
+ *           type: string
+ *           enum: [password, 2fa]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: true pour la session de la requête courante
  */
 
 /**
@@ -96,12 +440,15 @@ const isAdmin = (req, res, next) => {
  *   post:
  *     tags: [Authentification]
  *     summary: Inscription d'un nouvel utilisateur
+ *     description: |
+ *       Le compte est toujours créé avec le rôle member ; un champ role éventuel est ignoré.
+ *       Un code d'invitation valide attribue le rôle qu'il porte.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/User'
+ *             $ref: '#/components/schemas/Register'
  *     responses:
  *       201:
  *         description: Utilisateur créé avec succès
@@ -115,18 +462,35 @@ const isAdmin = (req, res, next) => {
  *                 userId:
  *                   type: string
  *       400:
- *         description: Erreur lors de la création de l'utilisateur
+ *         description: Erreur lors de la création de l'utilisateur, ou mot de passe refusé par la politique (code WEAK_PASSWORD, règles dans violations)
+ *       409:
+ *         description: Nom d'utilisateur (code USERNAME_TAKEN) ou email (code EMAIL_TAKEN) déjà utilisé
  */
 router.post('/register', async (req, res) => {
     try {
         // Appel du service d'inscription avec les données de la requête
         const userId = await authService.registerUser(req.body);
+
+        // Journal d'audit (le compte créé est l'acteur de sa propre inscription)
+        const created = await userModel.findUserById(userId);
+        await auditService.recordFromRequest(req, {
+            action: 'user.create',
+            actor: { userId, role: created.role },
+            target: { type: 'user', id: userId },
+            after: created,
+            metadata: { inviteCode: !!req.body.inviteCode }
+        });
+
         // Réponse de succès
         res.status(201).json({ 
             message: 'Utilisateur créé', 
             userId 
         });
     } catch (err) {
+        // Refus métier (ex: mot de passe refusé par la politique, email ou nom déjà pris)
+        if (err.status) {
+            return sendServiceError(res, err);
+        }
         // Gestion des erreurs d'inscription
         res.status(400).json({ 
             message: 'Erreur d\'inscription', 
@@ -149,18 +513,28 @@ router.post('/register', async (req, res) => {
  *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
- *         description: Connexion réussie
+ *         description: |
+ *           Connexion réussie. Si la double authentification est active, la réponse contient
+ *           twoFactorRequired et un challengeToken à échanger sur /login/2fa. Si elle est obligatoire
+ *           pour le rôle mais pas encore configurée, la réponse contient twoFactorSetupRequired et un
+ *           challengeToken à utiliser sur /2fa/setup puis /2fa/confirm.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Email ou mot de passe absent ou qui n'est pas une chaîne (code INVALID_CREDENTIALS_FORMAT)
  *       401:
  *         description: Identifiants incorrects
+ *       403:
+ *         description: Adresse email non vérifiée (code EMAIL_NOT_VERIFIED) ou compte désactivé (code ACCOUNT_DEACTIVATED)
+ *       429:
+ *         description: |
+ *           Trop de tentatives échouées pour ce compte ou cette adresse IP.
+ *           Code LOGIN_THROTTLED (délai progressif) ou LOGIN_LOCKED (verrouillage temporaire) ;
+ *           l'en-tête Retry-After indique le délai en secondes.
  *       500:
  *         description: Erreur serveur
  */
@@ -169,56 +543,2224 @@ router.post('/login', async (req, res) => {
         // Extraction de l'email et du mot de passe de la requête
         const { email, password } = req.body;
         // Appel du service de connexion
-        const result = await authService.loginUser(email, password);
+        const result = await authService.loginUser(email, password, requestContext(req));
         
         // Vérification du résultat de connexion
         if (!result) {
+            await auditLogin(req, null, { method: 'password', email, reason: 'INVALID_CREDENTIALS' });
             return res.status(401).json({ 
                 message: 'Email ou mot de passe incorrect' 
             });
         }
+
+        // Journal d'audit (les connexions en attente d'un second facteur sont tracées à leur issue)
+        if (result.token) {
+            await auditLogin(req, result, { method: 'password' });
+        }
         
         // Réponse avec le token et les informations utilisateur
         res.json(result);
     } catch (err) {
-        // Gestion des erreurs de connexion
+        // Refus métier (ex: email non vérifié, trop de tentatives)
+        if (err.status) {
+            await auditLogin(req, null, { method: 'password', email: req.body.email, reason: err.code });
+            if (err.retryAfter) {
+                res.set('Retry-After', String(err.retryAfter));
+            }
+            return res.status(err.status).json({ 
+                message: err.message, 
+                code: err.code,
+                retryAfter: err.retryAfter
+            });
+        }
+        // Gestion des erreurs de connexion
+        res.status(500).json({ 
+            message: 'Erreur de connexion', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     tags: [Authentification]
+ *     summary: Seconde étape de connexion avec un code de double authentification
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code TOTP à 6 chiffres
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Code de secours à usage unique (à la place de code)
+ *     responses:
+ *       200:
+ *         description: Connexion réussie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Champs manquants
+ *       401:
+ *         description: Jeton intermédiaire ou code invalide
+ *       429:
+ *         description: Trop de tentatives échouées
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/login/2fa', async (req, res) => {
+    try {
+        // Extraction du jeton intermédiaire et du second facteur
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        // Vérification des champs obligatoires
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ 
+                message: 'challengeToken et code (ou recoveryCode) sont requis' 
+            });
+        }
+
+        // Vérification du second facteur via le service
+        const result = await authService.completeTwoFactorLogin(
+            challengeToken, 
+            { code, recoveryCode }, 
+            requestContext(req)
+        );
+
+        // Vérification du résultat
+        if (!result) {
+            await auditLogin(req, null, { method: '2fa', reason: 'INVALID_SECOND_FACTOR' });
+            return res.status(401).json({ 
+                message: 'Jeton intermédiaire ou code de vérification invalide' 
+            });
+        }
+
+        // Journal d'audit
+        await auditLogin(req, result, { method: '2fa' });
+
+        // Réponse avec le token et les informations utilisateur
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            await auditLogin(req, null, { method: '2fa', reason: err.code });
+        }
+        // Trop de tentatives : délai indiqué au client
+        if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
+        sendServiceError(res, err, 'Erreur de connexion');
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     tags: [Authentification]
+ *     summary: Renouvelle les jetons à partir d'un refresh token
+ *     description: |
+ *       Le refresh token fourni est consommé et remplacé par un nouveau (rotation).
+ *       La réutilisation d'un refresh token déjà consommé révoque toute la famille de jetons.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nouveaux jetons émis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Refresh token invalide, expiré ou révoqué
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        // Rotation du refresh token
+        const result = await authService.refreshTokens(req.body.refreshToken, requestContext(req));
+
+        // Vérification du résultat du renouvellement
+        if (!result) {
+            return res.status(401).json({ 
+                message: 'Refresh token invalide ou révoqué' 
+            });
+        }
+
+        // Réponse avec les nouveaux jetons
+        res.json(result);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/providers:
+ *   get:
+ *     tags: [SSO]
+ *     summary: Liste les fournisseurs d'identité configurés
+ *     responses:
+ *       200:
+ *         description: Fournisseurs (identifiant, libellé et URL de connexion)
+ */
+router.get('/oidc/providers', (req, res) => {
+    res.json(oidcService.listProviders());
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/login:
+ *   get:
+ *     tags: [SSO]
+ *     summary: Démarre une connexion via un fournisseur d'identité (authorization code + PKCE)
+ *     description: |
+ *       Redirige le navigateur vers le fournisseur. Avec format=json, renvoie l'URL d'autorisation
+ *       au lieu de rediriger (clients SPA ou mobiles).
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json]
+ *       - in: query
+ *         name: login_hint
+ *         description: Email pré-rempli chez le fournisseur
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirection vers le fournisseur
+ *       200:
+ *         description: URL d'autorisation (format=json)
+ *       404:
+ *         description: Fournisseur inconnu
+ *       502:
+ *         description: Fournisseur injoignable
+ */
+router.get('/oidc/:provider/login', async (req, res) => {
+    try {
+        // Préparation de la demande (state, nonce, PKCE) via le service
+        const authorizationUrl = await oidcService.buildAuthorizationUrl(req.params.provider, {
+            loginHint: req.query.login_hint
+        });
+
+        if (req.query.format === 'json') {
+            return res.json({ authorizationUrl });
+        }
+        res.redirect(authorizationUrl);
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/callback:
+ *   get:
+ *     tags: [SSO]
+ *     summary: URL de retour du fournisseur d'identité
+ *     description: |
+ *       Échange le code contre un id_token, le vérifie puis lie l'identité au compte
+ *       portant la même adresse email vérifiée. Répond comme /login : si la double authentification
+ *       est active ou obligatoire pour le rôle, la réponse contient un challengeToken à la place des jetons.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Connexion réussie, ou second facteur attendu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Demande inconnue, expirée ou paramètres manquants
+ *       401:
+ *         description: Connexion refusée ou id_token invalide
+ *       403:
+ *         description: Email non vérifié par le fournisseur, aucun compte correspondant ou compte désactivé
+ */
+router.get('/oidc/:provider/callback', async (req, res) => {
+    try {
+        // Vérification du retour du fournisseur et ouverture de session via le service
+        const result = await oidcService.handleCallback(
+            req.params.provider,
+            req.query,
+            requestContext(req)
+        );
+
+        // Journal d'audit (les connexions en attente d'un second facteur sont tracées à leur issue)
+        if (result.token) {
+            await auditLogin(req, result, { method: `oidc:${req.params.provider}` });
+        }
+
+        // Réponse avec les jetons ou le jeton intermédiaire 2FA (même format que /login)
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            await auditLogin(req, null, { method: `oidc:${req.params.provider}`, reason: err.code });
+        }
+        sendServiceError(res, err, 'Erreur de connexion');
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify:
+ *   get:
+ *     tags: [Authentification]
+ *     summary: Confirme l'adresse email d'un compte
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         description: Jeton de vérification reçu par email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Adresse email vérifiée
+ *       400:
+ *         description: Jeton manquant, invalide ou expiré
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/verify', async (req, res) => {
+    try {
+        // Vérification de la présence du jeton
+        if (!req.query.token) {
+            return res.status(400).json({ 
+                message: 'Jeton de vérification manquant' 
+            });
+        }
+
+        // Vérification de l'adresse via le service
+        const verified = await authService.verifyEmail(req.query.token);
+
+        // Vérification de la validité du jeton
+        if (!verified) {
+            return res.status(400).json({ 
+                message: 'Jeton de vérification invalide ou expiré' 
+            });
+        }
+
+        // Réponse de succès
+        res.json({ message: 'Adresse email vérifiée, vous pouvez vous connecter' });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify/resend:
+ *   post:
+ *     tags: [Authentification]
+ *     summary: Renvoie l'email de vérification
+ *     description: La réponse est identique que le compte existe ou non.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Email manquant
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/verify/resend', async (req, res) => {
+    try {
+        // Vérification de la présence de l'email
+        if (!req.body.email) {
+            return res.status(400).json({ 
+                message: 'Champs manquants', 
+                missingFields: ['email'] 
+            });
+        }
+
+        // Renvoi de l'email via le service
+        await authService.resendVerificationEmail(req.body.email);
+
+        // Réponse identique que le compte existe ou non
+        res.json({ 
+            message: 'Si un compte non vérifié correspond à cet email, un nouveau lien a été envoyé' 
+        });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/password/policy:
+ *   get:
+ *     tags: [Authentification]
+ *     summary: Décrit la politique des mots de passe (affichage des règles côté client)
+ *     responses:
+ *       200:
+ *         description: Règles appliquées à l'inscription, au changement et à la réinitialisation du mot de passe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 minLength:
+ *                   type: integer
+ *                   example: 10
+ *                 maxBytes:
+ *                   type: integer
+ *                   example: 72
+ *                 minCharClasses:
+ *                   type: integer
+ *                   example: 3
+ *                 charClasses:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 forbidPersonalInfo:
+ *                   type: boolean
+ *                 breachedCheck:
+ *                   type: boolean
+ */
+router.get('/password/policy', (req, res) => {
+    res.json(passwordPolicy.getPasswordPolicy());
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/password/forgot:
+ *   post:
+ *     tags: [Authentification]
+ *     summary: Demande un lien de réinitialisation du mot de passe
+ *     description: |
+ *       Envoie un lien à usage unique à l'adresse indiquée si elle correspond à un compte.
+ *       La réponse est identique que le compte existe ou non.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Email manquant
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/password/forgot', async (req, res) => {
+    try {
+        // Vérification de la présence de l'email
+        if (!req.body.email) {
+            return res.status(400).json({ 
+                message: 'Champs manquants', 
+                missingFields: ['email'] 
+            });
+        }
+
+        // Envoi du lien de réinitialisation via le service
+        await authService.requestPasswordReset(req.body.email);
+
+        // Réponse identique que le compte existe ou non
+        res.json({ 
+            message: 'Si un compte correspond à cet email, un lien de réinitialisation a été envoyé' 
+        });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/password/reset:
+ *   post:
+ *     tags: [Authentification]
+ *     summary: Réinitialise le mot de passe à l'aide du jeton reçu par email
+ *     description: Le jeton est à usage unique. Toutes les sessions de l'utilisateur sont révoquées.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Mot de passe réinitialisé
+ *       400:
+ *         description: Champs manquants, jeton invalide, expiré ou déjà utilisé, ou mot de passe refusé par la politique (WEAK_PASSWORD, le jeton reste utilisable)
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/password/reset', async (req, res) => {
+    try {
+        // Vérification des champs obligatoires
+        const missingFields = ['token', 'password'].filter(field => !req.body[field]);
+        if (missingFields.length > 0) {
+            return res.status(400).json({ 
+                message: 'Champs manquants', 
+                missingFields 
+            });
+        }
+
+        // Réinitialisation via le service
+        const reset = await authService.resetPassword(req.body.token, req.body.password);
+
+        // Vérification de la validité du jeton
+        if (!reset) {
+            return res.status(400).json({ 
+                message: 'Jeton de réinitialisation invalide ou expiré' 
+            });
+        }
+
+        // Réponse de succès
+        res.json({ message: 'Mot de passe réinitialisé, veuillez vous reconnecter' });
+    } catch (err) {
+        // Gestion des erreurs métier (mot de passe refusé) ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+// Routes protégées (nécessitent un token valide)
+
+/**
+ * Déconnexion : révoque l'access token courant et sa famille de refresh tokens
+ */
+const logout = async (req, res) => {
+    try {
+        // Révocation côté serveur
+        await authService.logoutUser(req.user);
+        // Réponse de succès
+        res.json({ message: 'Déconnexion réussie' });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur de déconnexion', 
+            error: err.message 
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Authentification]
+ *     summary: Déconnexion et révocation des jetons de la session
+ *     responses:
+ *       200:
+ *         description: Déconnexion réussie
+ *       401:
+ *         description: Token manquant, invalide ou déjà révoqué
+ *       500:
+ *         description: Erreur serveur
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Authentification]
+ *     summary: Déconnexion (alias GET conservé pour compatibilité)
+ *     responses:
+ *       200:
+ *         description: Déconnexion réussie
+ *       401:
+ *         description: Token manquant, invalide ou déjà révoqué
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/logout', authenticate, interactiveOnly, logout);
+router.get('/logout', authenticate, interactiveOnly, logout);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Authentification]
+ *     summary: Liste les sessions actives (appareils connectés) de l'utilisateur
+ *     responses:
+ *       200:
+ *         description: Sessions actives, de la plus récemment utilisée à la plus ancienne
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Non authentifié
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/sessions', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Récupération des sessions via le service (la session courante est signalée)
+        const sessions = await authService.getSessions(req.user.userId, req.user.fam);
+        res.json(sessions);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Authentification]
+ *     summary: Ferme une session (déconnecte l'appareil correspondant)
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session fermée
+ *       404:
+ *         description: Session non trouvée ou déjà fermée
+ *       500:
+ *         description: Erreur serveur
+ */
+router.delete('/sessions/:sessionId', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Fermeture via le service (uniquement parmi les sessions de l'utilisateur)
+        const revoked = await authService.revokeSession(req.user.userId, req.params.sessionId);
+
+        // Vérification de l'existence de la session
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session non trouvée' });
+        }
+
+        // Réponse de succès
+        res.json({ message: 'Session fermée' });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Démarre l'enrôlement TOTP
+ *     description: |
+ *       Génère un secret à saisir (ou scanner via l'URI otpauth) dans une application d'authentification.
+ *       Sans token Bearer, un challengeToken d'enrôlement renvoyé par /login peut être fourni dans le corps.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret généré, en attente de confirmation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       401:
+ *         description: Non authentifié
+ *       409:
+ *         description: Double authentification déjà active
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/2fa/setup', authenticateOrSetupChallenge, async (req, res) => {
+    try {
+        // Génération du secret via le service
+        const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+        // Réponse avec le secret et l'URI otpauth
+        res.json(enrollment);
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/confirm:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Confirme l'enrôlement TOTP avec un premier code
+ *     description: |
+ *       Active la double authentification et renvoie les codes de secours (affichés une seule fois).
+ *       Avec un challengeToken d'enrôlement, la réponse contient aussi les jetons de session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Double authentification activée
+ *       400:
+ *         description: Code manquant ou invalide
+ *       401:
+ *         description: Non authentifié
+ *       409:
+ *         description: Aucun enrôlement en cours
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/2fa/confirm', authenticateOrSetupChallenge, async (req, res) => {
+    try {
+        // Vérification de la présence du code
+        if (!req.body.code) {
+            return res.status(400).json({ 
+                message: 'Champs manquants', 
+                missingFields: ['code'] 
+            });
+        }
+
+        // Activation via le service (ouvre une session si l'enrôlement était imposé)
+        const result = await authService.confirmTwoFactorSetup(
+            req.user.userId, 
+            req.body.code, 
+            { issueSession: !!req.user.twoFactorSetup, context: requestContext(req) }
+        );
+
+        // Enrôlement imposé à la connexion : la session ouverte est tracée comme une connexion
+        if (result.token) {
+            await auditLogin(req, result, { method: '2fa-setup' });
+        }
+
+        // Réponse avec les codes de secours
+        res.json({ 
+            message: 'Double authentification activée, conservez vos codes de secours', 
+            ...result 
+        });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Désactive la double authentification
+ *     description: Exige le mot de passe et un code TOTP (ou un code de secours). Impossible si la 2FA est obligatoire pour le rôle.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Double authentification désactivée
+ *       401:
+ *         description: Mot de passe ou code incorrect
+ *       403:
+ *         description: Double authentification obligatoire pour ce rôle
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/2fa/disable', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Désactivation via le service (mot de passe + second facteur)
+        await twoFactorService.disable(req.user.userId, req.body.password, {
+            code: req.body.code,
+            recoveryCode: req.body.recoveryCode
+        });
+        // Réponse de succès
+        res.json({ message: 'Double authentification désactivée' });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/policy:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Consulte les rôles pour lesquels la 2FA est obligatoire (permission security.manage)
+ *     responses:
+ *       200:
+ *         description: Politique courante
+ *       500:
+ *         description: Erreur serveur
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Définit les rôles pour lesquels la 2FA est obligatoire (permission security.manage)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [admin]
+ *     responses:
+ *       200:
+ *         description: Politique enregistrée
+ *       400:
+ *         description: Liste de rôles invalide
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/2fa/policy', authenticate, requirePermission('security.manage'), async (req, res) => {
+    try {
+        // Récupération de la politique via le service
+        res.json(await twoFactorService.getPolicy());
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+router.put('/2fa/policy', authenticate, requirePermission('security.manage'), async (req, res) => {
+    try {
+        // Enregistrement de la politique via le service
+        const policy = await twoFactorService.setPolicy(req.body.requiredRoles, req.user.userId);
+        // Réponse avec la politique enregistrée
+        res.json({ 
+            message: 'Politique de double authentification mise à jour', 
+            ...policy 
+        });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/api-keys:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Clés API]
+ *     summary: Crée une clé API personnelle
+ *     description: |
+ *       La clé n'est renvoyée qu'une seule fois ; seule son empreinte est conservée.
+ *       Elle s'utilise dans l'en-tête X-API-Key et agit avec le rôle de son propriétaire, limité à ses portées.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Script d'ingestion
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [articles:read, articles:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Durée de validité (sans expiration si absent)
+ *     responses:
+ *       201:
+ *         description: Clé créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKeyId:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 prefix:
+ *                   type: string
+ *                 scopes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Nom, portées ou durée invalides
+ *       403:
+ *         description: Impossible de créer une clé avec une clé API
+ *       500:
+ *         description: Erreur serveur
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Clés API]
+ *     summary: Liste les clés API de l'utilisateur connecté
+ *     responses:
+ *       200:
+ *         description: Clés (sans secret), avec date de dernière utilisation
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/api-keys', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Création de la clé via le service
+        const apiKey = await apiKeyService.createApiKey(req.user.userId, req.body);
+        // Réponse avec la clé en clair (affichée une seule fois)
+        res.status(201).json({ 
+            message: 'Clé API créée, conservez-la : elle ne sera plus affichée', 
+            ...apiKey 
+        });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+router.get('/api-keys', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Récupération des clés via le service
+        const apiKeys = await apiKeyService.listApiKeys(req.user.userId);
+        // Réponse avec la liste des clés
+        res.json(apiKeys);
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/api-keys/{keyId}:
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Clés API]
+ *     summary: Révoque une clé API de l'utilisateur connecté
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         description: ID de la clé
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clé révoquée
+ *       404:
+ *         description: Clé introuvable ou déjà révoquée
+ *       500:
+ *         description: Erreur serveur
+ */
+router.delete('/api-keys/:keyId', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Révocation de la clé via le service
+        const revokedCount = await apiKeyService.revokeApiKey(req.params.keyId, req.user.userId);
+
+        // Vérification si la clé a été révoquée
+        if (revokedCount === 0) {
+            return res.status(404).json({ 
+                message: 'Clé API introuvable ou déjà révoquée' 
+            });
+        }
+
+        // Réponse de succès
+        res.json({ message: 'Clé API révoquée' });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Profil]
+ *     summary: Récupère le profil de l'utilisateur connecté
+ *     responses:
+ *       200:
+ *         description: Profil de l'utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        // Récupération de l'utilisateur connecté via le service
+        const user = await authService.getUserById(req.user.userId);
+        // Vérification de l'existence de l'utilisateur
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+        // Réponse avec le profil (sans mot de passe)
+        res.json(user);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   patch:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Profil]
+ *     summary: Met à jour le profil de l'utilisateur connecté
+ *     description: |
+ *       Seuls les champs username, email et ceux du profil public (displayName, bio, avatarUrl) sont modifiables.
+ *       Le rôle et le mot de passe sont ignorés. null ou une chaîne vide efface un champ du profil public.
+ *       Une nouvelle adresse email doit être vérifiée avant la prochaine connexion.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *                 maxLength: 60
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *               avatarUrl:
+ *                 type: string
+ *                 description: Adresse http(s) de l'image
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Profil mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Données invalides
+ *       409:
+ *         description: Nom d'utilisateur (code USERNAME_TAKEN) ou email (code EMAIL_TAKEN) déjà utilisé
+ *       500:
+ *         description: Erreur de mise à jour
+ */
+router.patch('/me', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // État avant modification (journal d'audit)
+        const before = await authService.getUserById(req.user.userId);
+        // Mise à jour des champs autorisés du profil via le service
+        await authService.updateProfile(req.user.userId, req.body);
+        // Récupération du profil à jour
+        const user = await authService.getUserById(req.user.userId);
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.update',
+            target: { type: 'user', id: req.user.userId },
+            before,
+            after: user,
+            metadata: { fields: Object.keys(req.body), self: true }
+        });
+        // Réponse de succès
+        res.json({ 
+            message: 'Profil mis à jour', 
+            user 
+        });
+    } catch (err) {
+        // Champ invalide ou refus métier (ex: nom d'utilisateur réservé, email ou nom déjà pris)
+        sendServiceError(res, err, 'Erreur de mise à jour');
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me/password:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Profil]
+ *     summary: Change le mot de passe de l'utilisateur connecté
+ *     description: Exige le mot de passe actuel. Toutes les autres sessions de l'utilisateur sont révoquées.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Mot de passe modifié
+ *       400:
+ *         description: Champs manquants ou nouveau mot de passe refusé par la politique (WEAK_PASSWORD)
+ *       401:
+ *         description: Mot de passe actuel incorrect
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/me/password', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Extraction des mots de passe de la requête
+        const { currentPassword, newPassword } = req.body;
+
+        // Vérification des champs obligatoires
+        const missingFields = ['currentPassword', 'newPassword'].filter(field => !req.body[field]);
+        if (missingFields.length > 0) {
+            return res.status(400).json({ 
+                message: 'Champs manquants', 
+                missingFields 
+            });
+        }
+
+        // Changement du mot de passe via le service (conserve la session courante)
+        const changed = await authService.changePassword(
+            req.user.userId,
+            currentPassword,
+            newPassword,
+            req.user.fam
+        );
+
+        // Vérification du mot de passe actuel
+        if (!changed) {
+            return res.status(401).json({ 
+                message: 'Mot de passe actuel incorrect' 
+            });
+        }
+
+        // Journal d'audit (sans instantané : seul le mot de passe change)
+        await auditService.recordFromRequest(req, {
+            action: 'user.password.change',
+            target: { type: 'user', id: req.user.userId }
+        });
+
+        // Réponse de succès
+        res.json({ message: 'Mot de passe modifié, les autres sessions ont été déconnectées' });
+    } catch (err) {
+        // Gestion des erreurs métier (mot de passe refusé) ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me/export:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Profil]
+ *     summary: Exporte les données personnelles de l'utilisateur connecté
+ *     description: |
+ *       Profil (sans le mot de passe), articles et activité : sessions, clés API (sans secret), identités externes,
+ *       historique des rôles, état de la double authentification et entrées du journal d'audit le concernant.
+ *       L'archive ZIP contient profile.json, articles.json et activity.json.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [zip, json]
+ *           default: zip
+ *     responses:
+ *       200:
+ *         description: Export téléchargé en pièce jointe
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 profile:
+ *                   type: object
+ *                 articles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 activity:
+ *                   type: object
+ *       400:
+ *         description: Format inconnu
+ *       403:
+ *         description: Opération impossible avec une clé API
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/me/export', authenticate, interactiveOnly, async (req, res) => {
+    try {
+        // Vérification du format demandé
+        const format = req.query.format || 'zip';
+        if (!['zip', 'json'].includes(format)) {
+            return res.status(400).json({ 
+                message: 'Format inconnu (zip ou json)' 
+            });
+        }
+
+        // Rassemblement des données via le service
+        const data = await accountService.exportUserData(req.user.userId);
+        if (!data) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.export',
+            target: { type: 'user', id: req.user.userId },
+            metadata: { format }
+        });
+
+        // Envoi en pièce jointe
+        const filename = `export-${req.user.userId}-${data.exportedAt.toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'json') {
+            return res.json(data);
+        }
+        res.type('application/zip').send(accountService.buildExportArchive(data));
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Liste les utilisateurs avec filtres, tri et pagination (permission user.read)
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         description: Rôle, ou plusieurs rôles séparés par des virgules
+ *         schema:
+ *           type: string
+ *           example: author,editor
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: active
+ *         description: false pour les comptes désactivés, true pour les comptes actifs
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: q
+ *         description: Texte recherché dans le nom d'utilisateur ou l'email (insensible à la casse)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: Champs parmi createdAt, updatedAt, username, email, role ; préfixe - pour l'ordre décroissant
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           example: role,-createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Page d'utilisateurs récupérée avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 totalUsers:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Filtre ou tri invalide
+ *       403:
+ *         description: Accès refusé - permission requise
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users', authenticate, requirePermission('user.read'), async (req, res) => {
+    try {
+        // Récupération de la page d'utilisateurs via le service
+        const result = await authService.getUsers(req.query);
+        // Réponse avec les utilisateurs et les informations de pagination
+        res.json(result);
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Récupère un utilisateur par ID
+ *     description: Compte complet pour le propriétaire et les détenteurs de user.read, profil public pour les autres.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur à récupérer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Utilisateur trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users/id/:userId', authenticate, async (req, res) => {
+    try {
+        // Récupération de l'utilisateur avec les champs visibles par l'appelant
+        const user = await authService.getVisibleUser({ id: req.params.userId }, req.user);
+        // Vérification de l'existence de l'utilisateur
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+        // Réponse avec les informations de l'utilisateur
+        res.json(user);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/email/{email}:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Récupère un utilisateur par email
+ *     description: |
+ *       Réservé au propriétaire de l'adresse et aux détenteurs de user.read (404 pour les autres,
+ *       afin de ne pas révéler les adresses enregistrées).
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         description: Email de l'utilisateur à récupérer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Utilisateur trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users/email/:email', authenticate, async (req, res) => {
+    try {
+        // Récupération de l'utilisateur avec les champs visibles par l'appelant
+        const user = await authService.getVisibleUser({ email: req.params.email }, req.user);
+        // Vérification de l'existence de l'utilisateur
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+        
+        // Réponse avec les informations de l'utilisateur (sans mot de passe)
+        res.json(user);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/username/{username}:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Récupère un utilisateur par username
+ *     description: Compte complet pour le propriétaire et les détenteurs de user.read, profil public pour les autres.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         description: Nom d'utilisateur à récupérer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Utilisateur trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users/username/:username', authenticate, async (req, res) => {
+    try {
+        // Récupération de l'utilisateur avec les champs visibles par l'appelant
+        const user = await authService.getVisibleUser({ username: req.params.username }, req.user);
+        // Vérification de l'existence de l'utilisateur
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+        
+        // Réponse avec les informations de l'utilisateur (sans mot de passe)
+        res.json(user);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}:
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Met à jour un utilisateur par ID (permission user.manage)
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur à modifier
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/User'
+ *     responses:
+ *       200:
+ *         description: Utilisateur mis à jour avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 modifiedCount:
+ *                   type: number
+ *       400:
+ *         description: Le rôle ne peut pas être modifié par cette route
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Nom d'utilisateur ou email déjà utilisé
+ *       500:
+ *         description: Erreur lors de la mise à jour
+ */
+router.put('/users/id/:userId', authenticate, requirePermission('user.manage'), rejectRoleUpdate, async (req, res) => {
+    try {
+        // État avant modification (journal d'audit)
+        const before = await userModel.findUserById(req.params.userId);
+
+        // Mise à jour de l'utilisateur par son ID via le service
+        const modifiedCount = await authService.updateUser(
+            req.params.userId, 
+            req.body
+        );
+        
+        // Vérification si l'utilisateur a été modifié
+        if (modifiedCount === 0) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé ou non modifié' 
+            });
+        }
+        
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.update',
+            target: { type: 'user', id: before._id },
+            before,
+            after: await userModel.findUserById(before._id),
+            metadata: { fields: Object.keys(req.body) }
+        });
+
+        // Réponse de succès
+        res.json({ 
+            message: 'Utilisateur mis à jour', 
+            modifiedCount 
+        });
+    } catch (err) {
+        // Gestion des erreurs métier (mot de passe refusé) ou de mise à jour
+        sendServiceError(res, err, 'Erreur de mise à jour');
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/verify:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Marque l'email d'un utilisateur comme vérifié (permission user.manage)
+ *     description: Permet à un administrateur d'autoriser la connexion d'un compte sans passer par le lien envoyé par email.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur à valider
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Utilisateur marqué comme vérifié
+ *       404:
+ *         description: Utilisateur non trouvé ou déjà vérifié
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/users/id/:userId/verify', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Validation manuelle de l'email via le service
+        const modifiedCount = await authService.markUserVerified(
+            req.params.userId, 
+            req.user.userId
+        );
+
+        // Vérification si l'utilisateur a été modifié
+        if (modifiedCount === 0) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.verify',
+            target: { type: 'user', id: req.params.userId },
+            after: { verified: true }
+        });
+
+        // Réponse de succès
+        res.json({ 
+            message: 'Utilisateur marqué comme vérifié', 
+            modifiedCount 
+        });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/deactivate:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Désactive un compte (permission user.manage)
+ *     description: |
+ *       Bloque la connexion et les clés API et ferme toutes les sessions, sans supprimer de données.
+ *       Le compte peut être réactivé avec POST /users/id/{userId}/reactivate.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur à désactiver
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motif enregistré sur le compte (500 caractères au plus)
+ *     responses:
+ *       200:
+ *         description: Compte désactivé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       400:
+ *         description: Impossible de désactiver son propre compte
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Compte déjà désactivé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/users/id/:userId/deactivate', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Désactivation via le service (ferme aussi les sessions)
+        const { reason } = req.body || {};
+        const result = await accountService.deactivateUser(req.params.userId, {
+            deactivatedBy: req.user.userId,
+            reason
+        });
+
+        // Vérification de l'existence de l'utilisateur
+        if (!result) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.deactivate',
+            target: { type: 'user', id: req.params.userId },
+            before: { active: true },
+            after: { active: false },
+            metadata: { reason: reason || null, revokedSessions: result.revokedSessions }
+        });
+
+        // Réponse de succès
+        res.json({ 
+            message: 'Compte désactivé', 
+            revokedSessions: result.revokedSessions 
+        });
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/reactivate:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Réactive un compte désactivé (permission user.manage)
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur à réactiver
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Compte réactivé
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Compte déjà actif
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/users/id/:userId/reactivate', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Réactivation via le service
+        const reactivated = await accountService.reactivateUser(req.params.userId);
+
+        // Vérification de l'existence de l'utilisateur
+        if (!reactivated) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.reactivate',
+            target: { type: 'user', id: req.params.userId },
+            before: { active: false },
+            after: { active: true }
+        });
+
+        // Réponse de succès
+        res.json({ message: 'Compte réactivé' });
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/2fa:
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Double authentification]
+ *     summary: Réinitialise la double authentification d'un utilisateur (permission user.manage)
+ *     description: À utiliser lorsque l'utilisateur a perdu son appareil et ses codes de secours.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Double authentification réinitialisée
+ *       404:
+ *         description: Aucune double authentification configurée
+ *       500:
+ *         description: Erreur serveur
+ */
+router.delete('/users/id/:userId/2fa', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Réinitialisation via le service
+        const deletedCount = await twoFactorService.resetForUser(req.params.userId);
+
+        // Vérification de l'existence d'une configuration
+        if (deletedCount === 0) {
+            return res.status(404).json({ 
+                message: 'Aucune double authentification configurée pour cet utilisateur' 
+            });
+        }
+
+        // Réponse de succès
+        res.json({ message: 'Double authentification réinitialisée' });
+    } catch (err) {
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/sessions:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Liste les sessions actives d'un utilisateur (permission user.manage)
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions actives
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       500:
+ *         description: Erreur serveur
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Déconnecte un utilisateur de toutes ses sessions (permission user.manage)
+ *     description: À utiliser lorsqu'un compte est compromis ; les access tokens en cours sont également révoqués.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions fermées
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users/id/:userId/sessions', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Récupération des sessions via le service
+        const sessions = await authService.getSessions(req.params.userId);
+        res.json(sessions);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+router.delete('/users/id/:userId/sessions', authenticate, requirePermission('user.manage'), async (req, res) => {
+    try {
+        // Vérification de l'existence de l'utilisateur
+        const user = await authService.getUserById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé' });
+        }
+
+        // Révocation de toutes les sessions via le service
+        const revokedCount = await authService.revokeUserTokens(req.params.userId);
+
+        // Réponse de succès
+        res.json({ 
+            message: 'Toutes les sessions de l\'utilisateur ont été fermées', 
+            revokedCount 
+        });
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/role:
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Change le rôle d'un utilisateur (permission role.manage)
+ *     description: Le changement est enregistré dans l'historique et les sessions de l'utilisateur sont révoquées.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Nom d'un rôle défini via /api/v1/roles
+ *                 example: author
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rôle modifié
+ *       400:
+ *         description: Rôle invalide
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Impossible de rétrograder le dernier administrateur
+ *       500:
+ *         description: Erreur serveur
+ */
+router.put('/users/id/:userId/role', authenticate, requirePermission('role.manage'), async (req, res) => {
+    try {
+        // Changement du rôle via le service (tracé dans l'historique)
+        const change = await authService.changeUserRole(req.params.userId, req.body.role, {
+            changedBy: req.user.userId,
+            source: 'admin',
+            reason: req.body.reason
+        });
+
+        // Vérification de l'existence de l'utilisateur
+        if (!change) {
+            return res.status(404).json({ 
+                message: 'Utilisateur non trouvé' 
+            });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.role.change',
+            target: { type: 'user', id: req.params.userId },
+            before: { role: change.from },
+            after: { role: change.to },
+            metadata: { reason: req.body.reason || null }
+        });
+
+        // Réponse de succès
+        res.json({ 
+            message: 'Rôle mis à jour', 
+            ...change 
+        });
+    } catch (err) {
+        // Refus métier (rôle invalide, dernier admin)
+        if (err.status) {
+            return res.status(err.status).json({ 
+                message: err.message, 
+                code: err.code 
+            });
+        }
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/users/id/{userId}/role-history:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Utilisateurs]
+ *     summary: Historique des changements de rôle d'un utilisateur (permission role.manage)
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID de l'utilisateur
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Changements de rôle, plus récents en premier
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/users/id/:userId/role-history', authenticate, requirePermission('role.manage'), async (req, res) => {
+    try {
+        // Récupération de l'historique via le service
+        const history = await authService.getRoleHistory(req.params.userId);
+        // Réponse avec l'historique
+        res.json(history);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/invites:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Invitations]
+ *     summary: Crée un code d'invitation à usage unique (permission invite.manage)
+ *     description: Le code n'est renvoyé qu'une seule fois ; seule son empreinte est conservée.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Nom d'un rôle défini via /api/v1/roles
+ *                 example: author
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inviteId:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Rôle ou durée invalide
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/invites', authenticate, requirePermission('invite.manage'), async (req, res) => {
+    try {
+        // Création de l'invitation via le service
+        const invite = await authService.createInvite(
+            req.body.role, 
+            req.user.userId, 
+            req.body.expiresInDays
+        );
+        // Réponse avec le code en clair (affiché une seule fois)
+        res.status(201).json({ 
+            message: 'Invitation créée', 
+            ...invite 
+        });
+    } catch (err) {
+        // Refus métier (rôle ou durée invalide)
+        if (err.status) {
+            return res.status(err.status).json({ 
+                message: err.message, 
+                code: err.code 
+            });
+        }
+        // Gestion des erreurs serveur
         res.status(500).json({ 
-            message: 'Erreur de connexion', 
+            message: 'Erreur serveur', 
             error: err.message 
         });
     }
 });
 
-// Routes protégées (nécessitent un token valide)
-
 /**
  * @swagger
- * /api/v1/auth/users:
+ * /api/v1/auth/invites:
  *   get:
  *     security:
  *       - bearerAuth: []
- *     tags: [Utilisateurs]
- *     summary: Liste tous les utilisateurs (admin seulement)
+ *     tags: [Invitations]
+ *     summary: Liste les invitations (permission invite.manage)
  *     responses:
  *       200:
- *         description: Liste des utilisateurs récupérée avec succès
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
- *       403:
- *         description: Accès refusé - droits administrateur requis
+ *         description: Invitations, plus récentes en premier
  *       500:
  *         description: Erreur serveur
  */
-router.get('/users', authenticate, isAdmin, async (req, res) => {
+router.get('/invites', authenticate, requirePermission('invite.manage'), async (req, res) => {
     try {
-        // Récupération de tous les utilisateurs via le service
-        const users = await authService.getAllUsers();
-        // Réponse avec la liste des utilisateurs
-        res.json(users);
+        // Récupération des invitations via le service
+        const invites = await authService.getInvites();
+        // Réponse avec la liste des invitations
+        res.json(invites);
     } catch (err) {
         // Gestion des erreurs serveur
         res.status(500).json({ 
@@ -230,43 +2772,41 @@ router.get('/users', authenticate, isAdmin, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/users/id/{userId}:
- *   get:
+ * /api/v1/auth/invites/{inviteId}:
+ *   delete:
  *     security:
  *       - bearerAuth: []
- *     tags: [Utilisateurs]
- *     summary: Récupère un utilisateur par ID
+ *     tags: [Invitations]
+ *     summary: Révoque une invitation non utilisée (permission invite.manage)
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: inviteId
  *         required: true
- *         description: ID de l'utilisateur à récupérer
+ *         description: ID de l'invitation
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Utilisateur trouvé
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
+ *         description: Invitation révoquée
  *       404:
- *         description: Utilisateur non trouvé
+ *         description: Invitation introuvable, déjà utilisée ou révoquée
  *       500:
  *         description: Erreur serveur
  */
-router.get('/users/id/:userId', authenticate, async (req, res) => {
+router.delete('/invites/:inviteId', authenticate, requirePermission('invite.manage'), async (req, res) => {
     try {
-        // Récupération de l'utilisateur par son ID via le service
-        const user = await authService.getUserById(req.params.userId);
-        // Vérification de l'existence de l'utilisateur
-        if (!user) {
+        // Révocation de l'invitation via le service
+        const revokedCount = await authService.revokeInvite(req.params.inviteId);
+
+        // Vérification si l'invitation a été révoquée
+        if (revokedCount === 0) {
             return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
+                message: 'Invitation introuvable, déjà utilisée ou révoquée' 
             });
         }
-        // Réponse avec les informations de l'utilisateur
-        res.json(user);
+
+        // Réponse de succès
+        res.json({ message: 'Invitation révoquée' });
     } catch (err) {
         // Gestion des erreurs serveur
         res.status(500).json({ 
@@ -278,46 +2818,24 @@ router.get('/users/id/:userId', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/users/email/{email}:
+ * /api/v1/auth/locks:
  *   get:
  *     security:
  *       - bearerAuth: []
- *     tags: [Utilisateurs]
- *     summary: Récupère un utilisateur par email
- *     parameters:
- *       - in: path
- *         name: email
- *         required: true
- *         description: Email de l'utilisateur à récupérer
- *         schema:
- *           type: string
+ *     tags: [Sécurité]
+ *     summary: Liste les comptes et adresses IP en délai ou verrouillés (permission security.manage)
  *     responses:
  *       200:
- *         description: Utilisateur trouvé
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
- *       404:
- *         description: Utilisateur non trouvé
+ *         description: Suivis actifs (clé, nombre d'échecs, fin de verrouillage, prochaine tentative)
  *       500:
  *         description: Erreur serveur
  */
-router.get('/users/email/:email', authenticate, async (req, res) => {
+router.get('/locks', authenticate, requirePermission('security.manage'), async (req, res) => {
     try {
-        // Récupération de l'utilisateur par son email via le modèle
-        const user = await userModel.findUserByEmail(req.params.email);
-        // Vérification de l'existence de l'utilisateur
-        if (!user) {
-            return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
-            });
-        }
-        
-        // Ne pas renvoyer le mot de passe dans la réponse
-        const { password, ...userWithoutPassword } = user;
-        // Réponse avec les informations de l'utilisateur (sans mot de passe)
-        res.json(userWithoutPassword);
+        // Récupération des verrous via le service
+        const locks = await authService.getLoginLocks();
+        // Réponse avec la liste des verrous
+        res.json(locks);
     } catch (err) {
         // Gestion des erreurs serveur
         res.status(500).json({ 
@@ -329,46 +2847,41 @@ router.get('/users/email/:email', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/users/username/{username}:
- *   get:
+ * /api/v1/auth/locks/{key}:
+ *   delete:
  *     security:
  *       - bearerAuth: []
- *     tags: [Utilisateurs]
- *     summary: Récupère un utilisateur par username
+ *     tags: [Sécurité]
+ *     summary: Déverrouille un compte ou une adresse IP (permission security.manage)
  *     parameters:
  *       - in: path
- *         name: username
+ *         name: key
  *         required: true
- *         description: Nom d'utilisateur à récupérer
+ *         description: Clé du verrou, encodée pour l'URL (ex. account:john@example.com ou ip:203.0.113.7)
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Utilisateur trouvé
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
+ *         description: Verrou supprimé
  *       404:
- *         description: Utilisateur non trouvé
+ *         description: Aucun verrou pour cette clé
  *       500:
  *         description: Erreur serveur
  */
-router.get('/users/username/:username', authenticate, async (req, res) => {
+router.delete('/locks/:key', authenticate, requirePermission('security.manage'), async (req, res) => {
     try {
-        // Récupération de l'utilisateur par son nom d'utilisateur via le modèle
-        const user = await userModel.findUserByUsername(req.params.username);
-        // Vérification de l'existence de l'utilisateur
-        if (!user) {
+        // Suppression du verrou via le service
+        const deletedCount = await authService.clearLoginLock(req.params.key);
+
+        // Vérification de l'existence du verrou
+        if (deletedCount === 0) {
             return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
+                message: 'Aucun verrou pour cette clé' 
             });
         }
-        
-        // Ne pas renvoyer le mot de passe dans la réponse
-        const { password, ...userWithoutPassword } = user;
-        // Réponse avec les informations de l'utilisateur (sans mot de passe)
-        res.json(userWithoutPassword);
+
+        // Réponse de succès
+        res.json({ message: 'Verrou supprimé' });
     } catch (err) {
         // Gestion des erreurs serveur
         res.status(500).json({ 
@@ -380,68 +2893,70 @@ router.get('/users/username/:username', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/auth/users/id/{userId}:
- *   put:
+ * /api/v1/auth/keys:
+ *   get:
  *     security:
  *       - bearerAuth: []
- *     tags: [Utilisateurs]
- *     summary: Met à jour un utilisateur par ID (admin seulement)
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         description: ID de l'utilisateur à modifier
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/User'
+ *     tags: [Sécurité]
+ *     summary: Liste les clés de signature des access tokens et leur calendrier (permission security.manage)
+ *     description: Les clés privées ne sont jamais renvoyées. Les clés publiques sont exposées sur /.well-known/jwks.json.
  *     responses:
  *       200:
- *         description: Utilisateur mis à jour avec succès
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 modifiedCount:
- *                   type: number
- *       404:
- *         description: Utilisateur non trouvé
+ *         description: Algorithme configuré et clés (active, next ou retired)
  *       500:
- *         description: Erreur lors de la mise à jour
+ *         description: Erreur serveur
  */
-router.put('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
+router.get('/keys', authenticate, requirePermission('security.manage'), async (req, res) => {
     try {
-        // Mise à jour de l'utilisateur par son ID via le service
-        const modifiedCount = await authService.updateUser(
-            req.params.userId, 
-            req.body
-        );
-        
-        // Vérification si l'utilisateur a été modifié
-        if (modifiedCount === 0) {
-            return res.status(404).json({ 
-                message: 'Utilisateur non trouvé ou non modifié' 
-            });
-        }
-        
+        // Récupération du trousseau via le service
+        const result = await signingKeyService.listKeys();
+        // Réponse avec les clés
+        res.json(result);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/keys/rotate:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Sécurité]
+ *     summary: Force la rotation immédiate de la clé de signature (permission security.manage)
+ *     description: |
+ *       La nouvelle clé signe immédiatement. Les clés précédentes ne signent plus mais restent publiées
+ *       et acceptées pendant la période de grâce (JWT_KEY_GRACE_HOURS), le temps que les jetons émis expirent.
+ *     responses:
+ *       201:
+ *         description: Nouvelle clé créée
+ *       409:
+ *         description: Rotation impossible avec une signature HS256
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/keys/rotate', authenticate, interactiveOnly, requirePermission('security.manage'), async (req, res) => {
+    try {
+        // Rotation via le service
+        const key = await signingKeyService.forceRotation();
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'signing_key.rotate',
+            target: { type: 'signing_key', id: key.kid },
+            after: key
+        });
+
         // Réponse de succès
-        res.json({ 
-            message: 'Utilisateur mis à jour', 
-            modifiedCount 
+        res.status(201).json({ 
+            message: 'Clé de signature renouvelée', 
+            key 
         });
     } catch (err) {
-        // Gestion des erreurs de mise à jour
-        res.status(500).json({ 
-            message: 'Erreur de mise à jour', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
     }
 });
 
@@ -452,7 +2967,7 @@ router.put('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     tags: [Utilisateurs]
- *     summary: Met à jour un utilisateur par email (admin seulement)
+ *     summary: Met à jour un utilisateur par email (permission user.manage)
  *     parameters:
  *       - in: path
  *         name: email
@@ -478,18 +2993,24 @@ router.put('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
  *                   type: string
  *                 modifiedCount:
  *                   type: number
+ *       400:
+ *         description: Le rôle ne peut pas être modifié par cette route
  *       404:
  *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Nom d'utilisateur ou email déjà utilisé
  *       500:
  *         description: Erreur lors de la mise à jour
  */
-router.put('/users/email/:email', authenticate, isAdmin, async (req, res) => {
+router.put('/users/email/:email', authenticate, requirePermission('user.manage'), rejectRoleUpdate, async (req, res) => {
     try {
-        // Mise à jour de l'utilisateur par son email via le modèle
-        const modifiedCount = await userModel.updateUserByEmail(
-            req.params.email, 
-            req.body
-        );
+        // État avant modification (journal d'audit)
+        const before = await userModel.findUserByEmail(req.params.email);
+
+        // Mise à jour via le service (contrôle et hachage du mot de passe, révocation des sessions)
+        const modifiedCount = before
+            ? await authService.updateUser(before._id, req.body)
+            : 0;
         
         // Vérification si l'utilisateur a été modifié
         if (modifiedCount === 0) {
@@ -498,17 +3019,23 @@ router.put('/users/email/:email', authenticate, isAdmin, async (req, res) => {
             });
         }
         
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.update',
+            target: { type: 'user', id: before._id },
+            before,
+            after: await userModel.findUserById(before._id),
+            metadata: { fields: Object.keys(req.body) }
+        });
+
         // Réponse de succès
         res.json({ 
             message: 'Utilisateur mis à jour', 
             modifiedCount 
         });
     } catch (err) {
-        // Gestion des erreurs de mise à jour
-        res.status(500).json({ 
-            message: 'Erreur de mise à jour', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier (mot de passe refusé) ou de mise à jour
+        sendServiceError(res, err, 'Erreur de mise à jour');
     }
 });
 
@@ -519,7 +3046,7 @@ router.put('/users/email/:email', authenticate, isAdmin, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     tags: [Utilisateurs]
- *     summary: Met à jour un utilisateur par username (admin seulement)
+ *     summary: Met à jour un utilisateur par username (permission user.manage)
  *     parameters:
  *       - in: path
  *         name: username
@@ -545,18 +3072,24 @@ router.put('/users/email/:email', authenticate, isAdmin, async (req, res) => {
  *                   type: string
  *                 modifiedCount:
  *                   type: number
+ *       400:
+ *         description: Le rôle ne peut pas être modifié par cette route
  *       404:
  *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Nom d'utilisateur ou email déjà utilisé
  *       500:
  *         description: Erreur lors de la mise à jour
  */
-router.put('/users/username/:username', authenticate, isAdmin, async (req, res) => {
+router.put('/users/username/:username', authenticate, requirePermission('user.manage'), rejectRoleUpdate, async (req, res) => {
     try {
-        // Mise à jour de l'utilisateur par son nom d'utilisateur via le modèle
-        const modifiedCount = await userModel.updateUserByUsername(
-            req.params.username, 
-            req.body
-        );
+        // État avant modification (journal d'audit)
+        const before = await userModel.findUserByUsername(req.params.username);
+
+        // Mise à jour via le service (contrôle et hachage du mot de passe, révocation des sessions)
+        const modifiedCount = before
+            ? await authService.updateUser(before._id, req.body)
+            : 0;
         
         // Vérification si l'utilisateur a été modifié
         if (modifiedCount === 0) {
@@ -565,17 +3098,23 @@ router.put('/users/username/:username', authenticate, isAdmin, async (req, res)
             });
         }
         
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'user.update',
+            target: { type: 'user', id: before._id },
+            before,
+            after: await userModel.findUserById(before._id),
+            metadata: { fields: Object.keys(req.body) }
+        });
+
         // Réponse de succès
         res.json({ 
             message: 'Utilisateur mis à jour', 
             modifiedCount 
         });
     } catch (err) {
-        // Gestion des erreurs de mise à jour
-        res.status(500).json({ 
-            message: 'Erreur de mise à jour', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier (mot de passe refusé) ou de mise à jour
+        sendServiceError(res, err, 'Erreur de mise à jour');
     }
 });
 
@@ -586,7 +3125,11 @@ router.put('/users/username/:username', authenticate, isAdmin, async (req, res)
  *     security:
  *       - bearerAuth: []
  *     tags: [Utilisateurs]
- *     summary: Supprime un utilisateur par ID (admin seulement)
+ *     summary: Supprime un utilisateur par ID (permission user.manage)
+ *     description: |
+ *       Supprime le compte et ses identifiants (sessions, clés API, 2FA, identités externes).
+ *       Le journal d'audit est conservé. Les articles suivent la règle choisie, par défaut USER_DELETE_ARTICLE_POLICY.
+ *       Pour seulement bloquer l'accès en conservant les données, utiliser POST /users/id/{userId}/deactivate.
  *     parameters:
  *       - in: path
  *         name: userId
@@ -594,6 +3137,17 @@ router.put('/users/username/:username', authenticate, isAdmin, async (req, res)
  *         description: ID de l'utilisateur à supprimer
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: articles
+ *         description: Règle pour les articles de l'utilisateur (reassign, anonymize ou delete)
+ *         schema:
+ *           type: string
+ *           enum: [reassign, anonymize, delete]
+ *       - in: query
+ *         name: reassignTo
+ *         description: Nom d'utilisateur du repreneur (règle reassign, par défaut USER_DELETE_REASSIGN_TO)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Utilisateur supprimé avec succès
@@ -606,34 +3160,32 @@ router.put('/users/username/:username', authenticate, isAdmin, async (req, res)
  *                   type: string
  *                 deletedCount:
  *                   type: number
+ *                 articles:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       type: string
+ *                     count:
+ *                       type: integer
+ *                     reassignedTo:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Règle inconnue ou repreneur invalide
  *       404:
  *         description: Utilisateur non trouvé
  *       500:
  *         description: Erreur lors de la suppression
  */
-router.delete('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
+router.delete('/users/id/:userId', authenticate, requirePermission('user.manage'), async (req, res) => {
     try {
-        // Suppression de l'utilisateur par son ID via le service
-        const deletedCount = await authService.deleteUser(req.params.userId);
-        
-        // Vérification si l'utilisateur a été supprimé
-        if (deletedCount === 0) {
-            return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
-            });
-        }
-        
-        // Réponse de succès
-        res.json({ 
-            message: 'Utilisateur supprimé', 
-            deletedCount 
-        });
+        // Recherche du compte à supprimer
+        const user = await userModel.findUserById(req.params.userId);
+        // Suppression avec la règle de cascade, journal d'audit et réponse
+        await deleteAccount(req, res, user);
     } catch (err) {
-        // Gestion des erreurs de suppression
-        res.status(500).json({ 
-            message: 'Erreur de suppression', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier (règle ou repreneur invalide) ou de suppression
+        sendServiceError(res, err, 'Erreur de suppression');
     }
 });
 
@@ -644,7 +3196,11 @@ router.delete('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     tags: [Utilisateurs]
- *     summary: Supprime un utilisateur par email (admin seulement)
+ *     summary: Supprime un utilisateur par email (permission user.manage)
+ *     description: |
+ *       Supprime le compte et ses identifiants (sessions, clés API, 2FA, identités externes).
+ *       Le journal d'audit est conservé. Les articles suivent la règle choisie, par défaut USER_DELETE_ARTICLE_POLICY.
+ *       Pour seulement bloquer l'accès en conservant les données, utiliser POST /users/id/{userId}/deactivate.
  *     parameters:
  *       - in: path
  *         name: email
@@ -652,6 +3208,17 @@ router.delete('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
  *         description: Email de l'utilisateur à supprimer
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: articles
+ *         description: Règle pour les articles de l'utilisateur (reassign, anonymize ou delete)
+ *         schema:
+ *           type: string
+ *           enum: [reassign, anonymize, delete]
+ *       - in: query
+ *         name: reassignTo
+ *         description: Nom d'utilisateur du repreneur (règle reassign, par défaut USER_DELETE_REASSIGN_TO)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Utilisateur supprimé avec succès
@@ -664,34 +3231,32 @@ router.delete('/users/id/:userId', authenticate, isAdmin, async (req, res) => {
  *                   type: string
  *                 deletedCount:
  *                   type: number
+ *                 articles:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       type: string
+ *                     count:
+ *                       type: integer
+ *                     reassignedTo:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Règle inconnue ou repreneur invalide
  *       404:
  *         description: Utilisateur non trouvé
  *       500:
  *         description: Erreur lors de la suppression
  */
-router.delete('/users/email/:email', authenticate, isAdmin, async (req, res) => {
+router.delete('/users/email/:email', authenticate, requirePermission('user.manage'), async (req, res) => {
     try {
-        // Suppression de l'utilisateur par son email via le modèle
-        const deletedCount = await userModel.deleteUserByEmail(req.params.email);
-        
-        // Vérification si l'utilisateur a été supprimé
-        if (deletedCount === 0) {
-            return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
-            });
-        }
-        
-        // Réponse de succès
-        res.json({ 
-            message: 'Utilisateur supprimé', 
-            deletedCount 
-        });
+        // Recherche du compte à supprimer
+        const user = await userModel.findUserByEmail(req.params.email);
+        // Suppression avec la règle de cascade, journal d'audit et réponse
+        await deleteAccount(req, res, user);
     } catch (err) {
-        // Gestion des erreurs de suppression
-        res.status(500).json({ 
-            message: 'Erreur de suppression', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier (règle ou repreneur invalide) ou de suppression
+        sendServiceError(res, err, 'Erreur de suppression');
     }
 });
 
@@ -702,7 +3267,11 @@ router.delete('/users/email/:email', authenticate, isAdmin, async (req, res) =>
  *     security:
  *       - bearerAuth: []
  *     tags: [Utilisateurs]
- *     summary: Supprime un utilisateur par username (admin seulement)
+ *     summary: Supprime un utilisateur par username (permission user.manage)
+ *     description: |
+ *       Supprime le compte et ses identifiants (sessions, clés API, 2FA, identités externes).
+ *       Le journal d'audit est conservé. Les articles suivent la règle choisie, par défaut USER_DELETE_ARTICLE_POLICY.
+ *       Pour seulement bloquer l'accès en conservant les données, utiliser POST /users/id/{userId}/deactivate.
  *     parameters:
  *       - in: path
  *         name: username
@@ -710,6 +3279,17 @@ router.delete('/users/email/:email', authenticate, isAdmin, async (req, res) =>
  *         description: Nom d'utilisateur à supprimer
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: articles
+ *         description: Règle pour les articles de l'utilisateur (reassign, anonymize ou delete)
+ *         schema:
+ *           type: string
+ *           enum: [reassign, anonymize, delete]
+ *       - in: query
+ *         name: reassignTo
+ *         description: Nom d'utilisateur du repreneur (règle reassign, par défaut USER_DELETE_REASSIGN_TO)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Utilisateur supprimé avec succès
@@ -722,90 +3302,41 @@ router.delete('/users/email/:email', authenticate, isAdmin, async (req, res) =>
  *                   type: string
  *                 deletedCount:
  *                   type: number
+ *                 articles:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       type: string
+ *                     count:
+ *                       type: integer
+ *                     reassignedTo:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Règle inconnue ou repreneur invalide
  *       404:
  *         description: Utilisateur non trouvé
  *       500:
  *         description: Erreur lors de la suppression
  */
-router.delete('/users/username/:username', authenticate, isAdmin, async (req, res) => {
+router.delete('/users/username/:username', authenticate, requirePermission('user.manage'), async (req, res) => {
     try {
-        // Suppression de l'utilisateur par son nom d'utilisateur via le modèle
-        const deletedCount = await userModel.deleteUserByUsername(req.params.username);
-        
-        // Vérification si l'utilisateur a été supprimé
-        if (deletedCount === 0) {
-            return res.status(404).json({ 
-                message: 'Utilisateur non trouvé' 
-            });
-        }
-        
-        // Réponse de succès
-        res.json({ 
-            message: 'Utilisateur supprimé', 
-            deletedCount 
-        });
+        // Recherche du compte à supprimer
+        const user = await userModel.findUserByUsername(req.params.username);
+        // Suppression avec la règle de cascade, journal d'audit et réponse
+        await deleteAccount(req, res, user);
     } catch (err) {
-        // Gestion des erreurs de suppression
-        res.status(500).json({ 
-            message: 'Erreur de suppression', 
-            error: err.message 
-        });
+        // Gestion des erreurs métier (règle ou repreneur invalide) ou de suppression
+        sendServiceError(res, err, 'Erreur de suppression');
     }
 });
 
-// Importation du modèle d'article pour le middleware isAuthorOrAdmin
-const articleModel = require('../models/article.model');
-
-/**
- * Middleware pour vérifier le rôle auteur ou si l'utilisateur est l'auteur de l'article
- */
-const isAuthorOrAdmin = async (req, res, next) => {
-    // Récupération de l'utilisateur à partir de la requête
-    const user = req.user;
-
-    // Vérification de la présence de l'utilisateur
-    if (!user) {
-        return res.status(403).json({ message: 'Accès refusé - Utilisateur non connecté' });
-    }
-
-    // Vérification si l'utilisateur est admin
-    if (user.role === 'admin') {
-        // Admins peuvent toujours passer
-        return next();
-    }
-
-    // Vérification si l'utilisateur est auteur
-    if (user.role === 'author') {
-        const articleId = req.params.articleId;
-        // Vérification si un articleId est fourni
-        if (articleId) {
-            // Récupération de l'article par son ID
-            const article = await articleModel.getArticleById(articleId);
-            // Vérification de l'existence de l'article
-            if (!article) {
-                return res.status(404).json({ message: 'Article non trouvé' });
-            }
-            // Vérification si l'auteur de l'article correspond à l'utilisateur
-            if (article.author !== user.username) {
-                return res.status(403).json({
-                    message: 'Accès refusé - Vous n\'êtes pas l\'auteur de cet article'
-                });
-            }
-        }
-        // Si pas d'articleId ou que l'auteur correspond, on continue
-        return next();
-    }
-
-    // Si pas admin ni author
-    return res.status(403).json({
-        message: 'Accès refusé - Rôle author ou admin requis'
-    });
-};
-
 // Exportation du routeur et des middlewares
 module.exports = {
     authRoutes: router,
     authenticate,
-    isAdmin,
-    isAuthorOrAdmin
+    authenticateOptional,
+    requireScope,
+    interactiveOnly,
+    requirePermission
 };
\ No newline at end of file
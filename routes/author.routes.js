@@ -0,0 +1,103 @@
+/**
+ * Routes des profils publics d'auteurs
+ * Accessibles sans authentification, comme la lecture des articles
+ */
+
+// Importation du framework Express pour créer le routeur
+const express = require('express');
+// Création d'une instance de routeur Express
+const router = express.Router();
+// Importation du service des profils d'auteurs
+const authorService = require('../services/author.services');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthorProfile:
+ *       type: object
+ *       properties:
+ *         username:
+ *           type: string
+ *         displayName:
+ *           type: string
+ *           description: Nom affiché (nom d'utilisateur à défaut)
+ *         bio:
+ *           type: string
+ *           nullable: true
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ *         memberSince:
+ *           type: string
+ *           format: date-time
+ *         articleCount:
+ *           type: integer
+ *         recentArticles:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/authors/{username}:
+ *   get:
+ *     tags: [Auteurs]
+ *     summary: Profil public d'un auteur
+ *     description: |
+ *       Nom affiché, biographie, avatar, nombre d'articles et derniers articles publiés.
+ *       L'email, le rôle et les informations de sécurité ne sont jamais exposés.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profil public
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthorProfile'
+ *       404:
+ *         description: Auteur introuvable
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/:username', async (req, res) => {
+    try {
+        // Récupération du profil public via le service
+        const profile = await authorService.getAuthorProfile(req.params.username);
+        // Vérification de l'existence de l'auteur (les comptes désactivés sont masqués)
+        if (!profile) {
+            return res.status(404).json({ 
+                message: 'Auteur introuvable' 
+            });
+        }
+        // Réponse avec le profil public
+        res.json(profile);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({ 
+            message: 'Erreur serveur', 
+            error: err.message 
+        });
+    }
+});
+
+// Export du routeur
+module.exports = router;
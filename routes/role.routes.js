@@ -0,0 +1,296 @@
+/**
+ * Routes de gestion des rôles et permissions
+ * Permet aux administrateurs de créer des rôles et d'ajuster leurs permissions sans redéploiement
+ */
+
+// Importation du framework Express pour créer le routeur
+const express = require('express');
+// Création d'une instance de routeur Express
+const router = express.Router();
+// Importation du service des rôles
+const roleService = require('../services/role.services');
+// Importation du service du journal d'audit
+const auditService = require('../services/audit.services');
+// Importation des middlewares d'authentification et de permission
+const { authenticate, requirePermission } = require('./auth.routes');
+
+// Toutes les routes de ce fichier exigent la permission role.manage
+router.use(authenticate, requirePermission('role.manage'));
+
+/**
+ * Envoie la réponse d'une erreur métier (statut et code portés par l'erreur)
+ * ou une erreur serveur générique
+ */
+const sendServiceError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({
+            message: err.message,
+            code: err.code
+        });
+    }
+    res.status(500).json({
+        message: 'Erreur serveur',
+        error: err.message
+    });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: editor
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [article.create, article.update.any]
+ *         builtIn:
+ *           type: boolean
+ *           description: Rôle créé par défaut (non supprimable)
+ */
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Rôles]
+ *     summary: Liste les rôles et leurs permissions (permission role.manage)
+ *     responses:
+ *       200:
+ *         description: Liste des rôles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: Accès refusé - permission requise
+ */
+router.get('/', async (req, res) => {
+    try {
+        // Récupération des rôles via le service
+        const roles = await roleService.getRoles();
+        res.json(roles);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Rôles]
+ *     summary: Liste les permissions attribuables (permission role.manage)
+ *     description: Les jokers '*' (tout) et 'prefixe.*' (ex. 'article.*') sont également acceptés.
+ *     responses:
+ *       200:
+ *         description: Catalogue des permissions (nom et description)
+ */
+router.get('/permissions', (req, res) => {
+    res.json(roleService.PERMISSIONS);
+});
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Rôles]
+ *     summary: Crée un rôle personnalisé (permission role.manage)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: moderator
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [article.update.any, article.delete.any]
+ *     responses:
+ *       201:
+ *         description: Rôle créé
+ *       400:
+ *         description: Nom ou permissions invalides
+ *       409:
+ *         description: Ce rôle existe déjà
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body || {};
+
+        // Vérification des champs requis
+        const missingFields = ['name', 'permissions'].filter(field => req.body?.[field] === undefined);
+        if (missingFields.length > 0) {
+            return res.status(400).json({
+                message: 'Champs manquants',
+                missingFields
+            });
+        }
+
+        // Création du rôle via le service
+        const roleId = await roleService.createRole({ name, description, permissions });
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'role.create',
+            target: { type: 'role', id: name },
+            after: await roleService.getRole(name)
+        });
+
+        // Réponse de succès
+        res.status(201).json({
+            message: 'Rôle créé',
+            roleId,
+            name
+        });
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   put:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Rôles]
+ *     summary: Modifie la description ou les permissions d'un rôle (permission role.manage)
+ *     description: Les changements s'appliquent aux utilisateurs du rôle sans reconnexion (cache de 30 secondes au plus).
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Rôle mis à jour
+ *       400:
+ *         description: Permissions invalides
+ *       404:
+ *         description: Rôle non trouvé
+ *       409:
+ *         description: Le rôle admin doit conserver la permission role.manage
+ */
+router.put('/:name', async (req, res) => {
+    try {
+        // État avant modification (journal d'audit)
+        const before = await roleService.getRole(req.params.name);
+        // Mise à jour du rôle via le service
+        const matchedCount = await roleService.updateRole(req.params.name, req.body || {});
+
+        // Vérification de l'existence du rôle
+        if (matchedCount === 0) {
+            return res.status(404).json({ message: 'Rôle non trouvé' });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'role.update',
+            target: { type: 'role', id: req.params.name },
+            before,
+            after: await roleService.getRole(req.params.name)
+        });
+
+        // Réponse de succès
+        res.json({ message: 'Rôle mis à jour' });
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   delete:
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Rôles]
+ *     summary: Supprime un rôle personnalisé non attribué (permission role.manage)
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rôle supprimé
+ *       400:
+ *         description: Les rôles intégrés ne peuvent pas être supprimés
+ *       404:
+ *         description: Rôle non trouvé
+ *       409:
+ *         description: Ce rôle est encore attribué à des utilisateurs
+ */
+router.delete('/:name', async (req, res) => {
+    try {
+        // État avant suppression (journal d'audit)
+        const before = await roleService.getRole(req.params.name);
+        // Suppression du rôle via le service
+        const deletedCount = await roleService.deleteRole(req.params.name);
+
+        // Vérification de l'existence du rôle
+        if (deletedCount === 0) {
+            return res.status(404).json({ message: 'Rôle non trouvé' });
+        }
+
+        // Journal d'audit
+        await auditService.recordFromRequest(req, {
+            action: 'role.delete',
+            target: { type: 'role', id: req.params.name },
+            before
+        });
+
+        // Réponse de succès
+        res.json({ message: 'Rôle supprimé' });
+    } catch (err) {
+        // Gestion des erreurs métier ou serveur
+        sendServiceError(res, err);
+    }
+});
+
+// Export du routeur
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Routes publiques de découverte (/.well-known)
+ * Expose les clés publiques de vérification des access tokens pour les autres services
+ */
+
+// Importation du framework Express pour créer le routeur
+const express = require('express');
+// Création d'une instance de routeur Express
+const router = express.Router();
+// Importation du service des clés de signature
+const signingKeyService = require('../services/signingKey.services');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     tags: [Sécurité]
+ *     summary: Clés publiques de vérification des access tokens (JWKS)
+ *     description: |
+ *       Contient la clé en service, la suivante (publiée avant sa première utilisation) et les clés retirées
+ *       encore en période de grâce. Vide lorsque les jetons sont signés en HS256.
+ *       Les autres services sélectionnent la clé grâce à l'en-tête kid du jeton.
+ *     responses:
+ *       200:
+ *         description: Jeu de clés au format JWK Set (RFC 7517)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       alg:
+ *                         type: string
+ *                         enum: [RS256, EdDSA]
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *       500:
+ *         description: Erreur serveur
+ */
+router.get('/jwks.json', async (req, res) => {
+    try {
+        // Récupération des clés publiques via le service
+        const jwks = await signingKeyService.getJwks();
+        // Mise en cache courte côté client : une nouvelle clé est publiée bien avant de signer
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(jwks);
+    } catch (err) {
+        // Gestion des erreurs serveur
+        res.status(500).json({
+            message: 'Erreur serveur',
+            error: err.message
+        });
+    }
+});
+
+// Export du routeur
+module.exports = router;
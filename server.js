@@ -3,13 +3,21 @@
 const express = require('express');          // Framework web pour Node.js
 const dotenv = require('dotenv');            // Charge les variables d'environnement
 const { connectDB } = require('./configs/db'); // Connexion à MongoDB
-const { authRoutes, authenticate, isAdmin } = require('./routes/auth.routes'); // Routes d'authentification
+const { authRoutes, authenticate, requirePermission } = require('./routes/auth.routes'); // Routes d'authentification
 const articleRoutes = require('./routes/article.routes'); // Routes des articles
+const authorRoutes = require('./routes/author.routes'); // Profils publics des auteurs
+const roleRoutes = require('./routes/role.routes'); // Routes de gestion des rôles
+const auditRoutes = require('./routes/audit.routes'); // Routes du journal d'audit
+const wellKnownRoutes = require('./routes/wellKnown.routes'); // Routes de découverte (JWKS)
+const { ensureDefaultRoles } = require('./services/role.services'); // Rôles par défaut
+const { startKeyRotation } = require('./services/signingKey.services'); // Rotation des clés de signature
+const { startPublicationScheduler } = require('./services/workflow.services'); // Publication des articles programmés
 const swaggerUi = require('swagger-ui-express'); // Interface Swagger UI
 const path = require('path');                // Gestion des chemins de fichiers
 const cors = require('cors');                // Middleware CORS
 const WebSocket = require('ws');             // Module WebSocket
 const http = require('http');                // Serveur HTTP natif Node.js
+const crypto = require('crypto');            // Génération des identifiants de requête
 const { initWebSocket } = require('./realtime/ws'); // Importe l'init du WS depuis le module dédié
 
 // Crée l'application Express
@@ -26,13 +34,25 @@ app.locals.wsBroadcast = broadcast;
 dotenv.config();
 
 // Middleware global
-app.use(cors());                             // Autorise les requêtes Cross-Origin
+app.use(cors({ exposedHeaders: ['Link'] })); // Autorise les requêtes Cross-Origin (en-tête Link de pagination lisible)
 app.use(express.json());                     // Parse le JSON des requêtes
 app.use(express.urlencoded({ extended: true })); // Parse les formulaires
 
+// Identifiant de requête : repris de l'en-tête X-Request-Id (s'il est sûr) ou généré,
+// renvoyé au client et enregistré dans le journal d'audit
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Connexion MongoDB
 connectDB()
   .then(() => console.log('✅ Connexion à MongoDB établie'))
+  .then(() => ensureDefaultRoles())
+  .then(() => startKeyRotation())
+  .then(() => startPublicationScheduler(broadcast))
   .catch(err => {
     console.error('Échec de connexion à MongoDB', err);
     process.exit(1);
@@ -45,8 +65,12 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 // Routes principales
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/articles', articleRoutes);
+app.use('/api/v1/authors', authorRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
-app.get('/api/v1/admin', authenticate, isAdmin, (req, res) => {
+app.get('/api/v1/admin', authenticate, requirePermission('admin.access'), (req, res) => {
   res.json({ message: 'Bienvenue admin !' });
 });
 
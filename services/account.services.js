@@ -0,0 +1,233 @@
+/**
+ * Service du cycle de vie des comptes
+ * Désactivation réversible, suppression définitive avec règle de cascade sur les articles
+ * et export des données personnelles (RGPD)
+ */
+
+const { ObjectId } = require('mongodb'); // Pour convertir les identifiants
+const dotenv = require('dotenv'); // Variables d'environnement
+const userModel = require('../models/user.model'); // Modèle utilisateur
+const articleModel = require('../models/article.model'); // Articles de l'utilisateur
+const articleReviewModel = require('../models/articleReview.model'); // Commentaires de relecture
+const sessionModel = require('../models/session.model'); // Sessions
+const apiKeyModel = require('../models/apiKey.model'); // Clés API
+const twoFactorModel = require('../models/twoFactor.model'); // Configuration 2FA
+const oidcModel = require('../models/oidc.model'); // Identités externes
+const passwordResetModel = require('../models/passwordReset.model'); // Liens de réinitialisation
+const roleChangeModel = require('../models/roleChange.model'); // Historique des rôles
+const auditModel = require('../models/audit.model'); // Journal d'audit
+const authService = require('./auth.services'); // Révocation des sessions
+const articleService = require('./article.services'); // Nom affiché des auteurs supprimés
+const revisionService = require('./revision.services'); // Historique des articles supprimés
+const zipService = require('./zip.services'); // Archive de l'export
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+// Règles applicables aux articles lors de la suppression d'un compte
+const ARTICLE_POLICIES = ['reassign', 'anonymize', 'delete'];
+const DEFAULT_ARTICLE_POLICY = process.env.USER_DELETE_ARTICLE_POLICY || 'anonymize';
+const DEFAULT_REASSIGN_TO = process.env.USER_DELETE_REASSIGN_TO || null; // Nom d'utilisateur repreneur par défaut
+const EXPORT_AUDIT_LIMIT = 5000; // Nombre maximal d'entrées du journal incluses dans l'export
+
+/**
+ * Désactive un compte : connexion et clés API bloquées, sessions fermées, données conservées
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options
+ * @param {string} [options.deactivatedBy] - ID de l'administrateur
+ * @param {string} [options.reason] - Motif
+ * @returns {Promise<Object|null>} Nombre de sessions fermées, ou null si l'utilisateur n'existe pas
+ * @throws {Error} Si l'administrateur vise son propre compte (400) ou si le compte est déjà désactivé (409)
+ */
+const deactivateUser = async (userId, { deactivatedBy, reason } = {}) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) return null;
+    if (deactivatedBy && String(deactivatedBy) === String(user._id)) {
+        throw httpError(400, 'SELF_DEACTIVATION', 'Vous ne pouvez pas désactiver votre propre compte');
+    }
+    if (user.active === false) {
+        throw httpError(409, 'ALREADY_DEACTIVATED', 'Compte déjà désactivé');
+    }
+
+    await userModel.updateUserById(user._id, {
+        active: false,
+        deactivatedAt: new Date(),
+        deactivatedBy: deactivatedBy ? new ObjectId(deactivatedBy) : null,
+        deactivationReason: typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 500) : null
+    });
+    const revokedSessions = await authService.revokeUserTokens(user._id);
+    return { revokedSessions };
+};
+
+/**
+ * Réactive un compte désactivé
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<boolean|null>} true si réactivé, null si l'utilisateur n'existe pas
+ * @throws {Error} Si le compte est déjà actif (409)
+ */
+const reactivateUser = async (userId) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) return null;
+    if (user.active !== false) {
+        throw httpError(409, 'ALREADY_ACTIVE', 'Compte déjà actif');
+    }
+
+    await userModel.updateUserById(user._id, {
+        active: true,
+        reactivatedAt: new Date(),
+        deactivatedAt: null,
+        deactivatedBy: null,
+        deactivationReason: null
+    });
+    return true;
+};
+
+/**
+ * Applique la règle de cascade aux articles d'un compte supprimé
+ * @param {Object} user - Utilisateur supprimé
+ * @param {string} policy - 'reassign', 'anonymize' ou 'delete'
+ * @param {Object|null} newAuthor - Repreneur (règle 'reassign')
+ * @returns {Promise<Object>} Règle appliquée, articles concernés et repreneur éventuel
+ */
+const cascadeArticles = async (user, policy, newAuthor) => {
+    const articles = await articleModel.getArticlesByAuthorId(user._id);
+    const articleIds = articles.map(article => article._id);
+
+    if (articleIds.length > 0) {
+        if (policy === 'delete') {
+            await articleModel.deleteArticlesByAuthorId(user._id);
+            await articleReviewModel.deleteReviewsByArticles(articleIds);
+            await revisionService.deleteRevisions(articleIds);
+        } else if (policy === 'reassign') {
+            await articleModel.updateArticlesByAuthorId(user._id, { author: newAuthor.username, authorId: newAuthor._id });
+        } else {
+            await articleModel.updateArticlesByAuthorId(user._id, { author: articleService.DELETED_AUTHOR_NAME, authorId: null });
+        }
+    }
+
+    return {
+        policy,
+        count: articleIds.length,
+        articleIds,
+        reassignedTo: newAuthor ? newAuthor.username : null
+    };
+};
+
+/**
+ * Supprime définitivement un compte et ses identifiants, en appliquant la règle de cascade aux articles
+ * Le journal d'audit et l'historique des rôles sont conservés.
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options (par défaut : USER_DELETE_ARTICLE_POLICY et USER_DELETE_REASSIGN_TO)
+ * @param {string} [options.articles] - Règle pour les articles : 'reassign', 'anonymize' ou 'delete'
+ * @param {string} [options.reassignTo] - Nom d'utilisateur du repreneur (règle 'reassign')
+ * @returns {Promise<Object|null>} Résultat de la suppression, ou null si l'utilisateur n'existe pas
+ * @throws {Error} Si la règle ou le repreneur est invalide (400)
+ */
+const deleteUserAccount = async (userId, { articles, reassignTo } = {}) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) return null;
+
+    const policy = articles || DEFAULT_ARTICLE_POLICY;
+    if (!ARTICLE_POLICIES.includes(policy)) {
+        throw httpError(400, 'INVALID_ARTICLE_POLICY', `Règle inconnue pour les articles: ${policy} (${ARTICLE_POLICIES.join(', ')})`);
+    }
+    let newAuthor = null;
+    if (policy === 'reassign') {
+        const username = reassignTo || DEFAULT_REASSIGN_TO;
+        if (!username) {
+            throw httpError(400, 'REASSIGN_TARGET_REQUIRED', 'Nom d\'utilisateur du repreneur requis (reassignTo)');
+        }
+        newAuthor = await userModel.findUserByUsername(username);
+        if (!newAuthor || newAuthor._id.equals(user._id)) {
+            throw httpError(400, 'INVALID_REASSIGN_TARGET', 'Repreneur introuvable ou identique au compte supprimé');
+        }
+    }
+
+    // Articles d'abord : en cas d'échec, le compte existe encore et l'opération peut être relancée
+    const articleResult = await cascadeArticles(user, policy, newAuthor);
+    await articleModel.removeReviewerFromArticles(user._id);
+
+    // Identifiants et traces de connexion
+    await authService.revokeUserTokens(user._id);
+    await sessionModel.deleteSessionsByUser(user._id);
+    await apiKeyModel.deleteApiKeysByUser(user._id);
+    await twoFactorModel.deleteTwoFactor(user._id);
+    await oidcModel.deleteIdentitiesByUser(user._id);
+    await passwordResetModel.invalidatePasswordResetsByUser(user._id);
+
+    const deletedCount = await userModel.deleteUserById(user._id);
+    return { deletedCount, user, articles: articleResult };
+};
+
+/**
+ * Rassemble les données personnelles d'un utilisateur (droit d'accès et portabilité)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Profil, articles et activité, ou null si l'utilisateur n'existe pas
+ */
+const exportUserData = async (userId) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) return null;
+
+    const { password, ...profile } = user;
+    const [articles, reviews, sessions, apiKeys, identities, roleChanges, twoFactor, audit] = await Promise.all([
+        articleModel.getArticlesByAuthorId(user._id),
+        articleReviewModel.findReviewsByAuthor(user._id),
+        sessionModel.findSessionsByUser(user._id),
+        apiKeyModel.findApiKeysByUser(user._id),
+        oidcModel.findIdentitiesByUser(user._id),
+        roleChangeModel.findRoleChangesByUser(user._id),
+        twoFactorModel.findTwoFactorByUser(user._id),
+        auditModel.findAuditEntries(
+            { $or: [{ 'actor.userId': user._id }, { 'target.id': user._id }] },
+            1,
+            EXPORT_AUDIT_LIMIT
+        )
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        profile: { ...profile, hasPassword: !!password },
+        articles,
+        activity: {
+            sessions: sessions.map(({ _id, ...session }) => ({ sessionId: _id, ...session })),
+            apiKeys,
+            identities: identities.map(({ provider, subject, email, createdAt, lastLoginAt }) => ({
+                provider, subject, email, createdAt, lastLoginAt
+            })),
+            roleChanges,
+            reviewComments: reviews,
+            twoFactor: {
+                enabled: !!twoFactor?.enabled,
+                confirmedAt: twoFactor?.confirmedAt || null
+            },
+            // Les instantanés avant/après sont exclus : ils peuvent contenir les données d'autres personnes
+            auditLog: audit.entries.map(({ at, action, actor, target, ip, requestId }) => ({
+                at, action, actor, target, ip, requestId
+            }))
+        }
+    };
+};
+
+/**
+ * Construit l'archive ZIP de l'export (un fichier JSON par partie)
+ * @param {Object} data - Données renvoyées par exportUserData
+ * @returns {Buffer} Archive ZIP
+ */
+const buildExportArchive = (data) => {
+    const json = (value) => JSON.stringify(value, null, 2);
+    return zipService.createZip([
+        { name: 'profile.json', content: json(data.profile) },
+        { name: 'articles.json', content: json(data.articles) },
+        { name: 'activity.json', content: json(data.activity) },
+        { name: 'export.json', content: json({ exportedAt: data.exportedAt, files: ['profile.json', 'articles.json', 'activity.json'] }) }
+    ], data.exportedAt);
+};
+
+module.exports = {
+    ARTICLE_POLICIES,
+    deactivateUser,
+    reactivateUser,
+    deleteUserAccount,
+    exportUserData,
+    buildExportArchive
+};
@@ -0,0 +1,126 @@
+/**
+ * Service de gestion des clés API personnelles
+ * Permet aux clients machines (scripts d'ingestion...) de s'authentifier sans mot de passe
+ */
+
+const crypto = require('crypto'); // Génération et hachage des clés
+const { ObjectId } = require('mongodb'); // Validation des identifiants
+const apiKeyModel = require('../models/apiKey.model'); // Modèle des clés API
+const userModel = require('../models/user.model'); // Modèle utilisateur
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+// Portées attribuables à une clé API
+const API_KEY_SCOPES = ['articles:read', 'articles:write'];
+const MAX_EXPIRY_DAYS = 365; // Durée de validité maximale d'une clé
+const KEY_PREFIX = 'nak'; // Préfixe reconnaissable des clés (facilite la détection de fuites)
+
+/**
+ * Calcule l'empreinte SHA-256 d'une clé API
+ * @param {string} key - Clé en clair
+ * @returns {string} Empreinte hexadécimale
+ */
+const hashApiKey = (key) => {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Crée une clé API pour un utilisateur
+ * @param {string} userId - ID du propriétaire
+ * @param {Object} options - Paramètres de la clé
+ * @param {string} options.name - Libellé de la clé
+ * @param {Array<string>} options.scopes - Portées accordées
+ * @param {number} [options.expiresInDays] - Durée de validité en jours (sans expiration si absent)
+ * @returns {Promise<Object>} Clé créée, avec la clé en clair (affichée une seule fois)
+ * @throws {Error} Si le libellé, les portées ou la durée sont invalides (400)
+ */
+const createApiKey = async (userId, { name, scopes, expiresInDays } = {}) => {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw httpError(400, 'INVALID_NAME', 'Le nom de la clé est requis');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw httpError(400, 'INVALID_SCOPES', `Portées invalides (${API_KEY_SCOPES.join(', ')})`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+            throw httpError(400, 'INVALID_EXPIRY', `La durée de validité doit être comprise entre 1 et ${MAX_EXPIRY_DAYS} jours`);
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const uniqueScopes = [...new Set(scopes)];
+
+    const apiKeyId = await apiKeyModel.createApiKey({
+        userId,
+        name: name.trim(),
+        prefix,
+        keyHash: hashApiKey(key),
+        scopes: uniqueScopes,
+        expiresAt
+    });
+
+    return { apiKeyId, key, name: name.trim(), prefix, scopes: uniqueScopes, expiresAt };
+};
+
+/**
+ * Liste les clés API d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Clés (sans secret)
+ */
+const listApiKeys = async (userId) => {
+    return await apiKeyModel.findApiKeysByUser(userId);
+};
+
+/**
+ * Révoque une clé API de l'utilisateur
+ * @param {string} keyId - ID de la clé
+ * @param {string} userId - ID du propriétaire
+ * @returns {Promise<number>} Nombre de clés révoquées (0 si l'ID est mal formé)
+ */
+const revokeApiKey = async (keyId, userId) => {
+    // Un ID mal formé ne peut désigner aucune clé : même réponse qu'une clé inconnue
+    if (!ObjectId.isValid(keyId)) return 0;
+    return await apiKeyModel.revokeApiKey(keyId, userId);
+};
+
+/**
+ * Authentifie une requête par clé API
+ * @param {string} key - Clé fournie dans l'en-tête X-API-Key
+ * @param {Object} [context] - Contexte de la requête
+ * @param {string} [context.ip] - Adresse IP du client
+ * @returns {Promise<Object|null>} Identité de l'appelant (format proche du payload JWT) ou null si refusée
+ */
+const authenticateApiKey = async (key, context = {}) => {
+    if (!key || typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) return null;
+
+    const apiKey = await apiKeyModel.findApiKeyByHash(hashApiKey(key));
+    if (!apiKey || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+    // Le rôle est relu à chaque appel : une rétrogradation s'applique immédiatement
+    const user = await userModel.findUserById(apiKey.userId);
+    // Les clés d'un compte désactivé sont suspendues (et réutilisables après réactivation)
+    if (!user || user.active === false) return null;
+
+    await apiKeyModel.touchApiKey(apiKey._id, context.ip);
+
+    return {
+        userId: user._id.toString(),
+        role: user.role,
+        authType: 'apiKey',
+        apiKeyId: apiKey._id.toString(),
+        scopes: apiKey.scopes
+    };
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    authenticateApiKey
+};
@@ -4,15 +4,150 @@
  */
 
 const articleModel = require('../models/article.model'); // Modèle article
+const userModel = require('../models/user.model'); // Comptes auteurs
+const articleReviewModel = require('../models/articleReview.model'); // Commentaires de relecture
+const revisionService = require('./revision.services'); // Historique des versions
+const slugService = require('./slug.services'); // Slugs lisibles des articles
+const searchService = require('./search.services'); // Syntaxe de recherche et extraits
+const facetService = require('./facet.services'); // Filtres et facettes des listes
+const paginationService = require('./pagination.services'); // Pagination par curseur
+const articleViewService = require('./articleView.services'); // Champs, tri et données jointes des lectures
 const { ObjectId } = require('mongodb'); // Pour valider les ObjectId
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+// Auteur affiché sur les articles d'un compte supprimé avec la règle 'anonymize'
+const DELETED_AUTHOR_NAME = process.env.USER_DELETED_AUTHOR_NAME || 'Auteur supprimé';
+
+// Étapes du circuit éditorial ; seuls les articles publiés sont visibles du public
+const ARTICLE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+const PUBLISHED_FILTER = { status: 'published' };
+
+// Champs gérés par le serveur (compte auteur, circuit éditorial, slugs), jamais modifiés avec le reste de l'article
+const PROTECTED_FIELDS = ['author', 'authorId', 'status', 'publishAt', 'publishedAt', 'reviewers', 'slug', 'previousSlugs'];
+
+// Champs techniques, ni modifiés ni restaurés
+const METADATA_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+
+/**
+ * Retire des données de mise à jour les champs liés au compte auteur et au circuit éditorial
+ * @param {Object} updateData - Données à mettre à jour
+ * @returns {Object} Données sans les champs protégés
+ */
+const withoutProtectedFields = (updateData) => {
+    const data = { ...updateData };
+    for (const field of PROTECTED_FIELDS) {
+        delete data[field];
+    }
+    return data;
+};
+
+/**
+ * Indique si un champ fait partie du contenu de l'article (rétabli lors d'une restauration)
+ * @param {string} field - Nom du champ
+ * @returns {boolean} true pour un champ de contenu
+ */
+const isContentField = (field) => !PROTECTED_FIELDS.includes(field) && !METADATA_FIELDS.includes(field);
+
+/**
+ * Supprime l'historique (révisions et commentaires de relecture) d'articles supprimés
+ * @param {Array<ObjectId>} articleIds - IDs des articles
+ * @returns {Promise<void>}
+ */
+const purgeArticleHistory = async (articleIds) => {
+    if (!articleIds.length) return;
+    await revisionService.deleteRevisions(articleIds);
+    await articleReviewModel.deleteReviewsByArticles(articleIds);
+};
+
+/**
+ * Critère limitant une modification aux statuts modifiables par l'appelant
+ * @param {Array<string>|null} [statuses] - Statuts modifiables (voir workflowService.getEditableStatuses), null : tous
+ * @returns {Object} Filtre MongoDB (vide si tous les statuts sont modifiables)
+ */
+const editableFilter = (statuses) => {
+    return statuses ? { status: { $in: statuses } } : {};
+};
+
+/**
+ * Vérifie que l'appelant peut modifier le contenu d'un article dans son statut actuel
+ * @param {Object} article - Article avant modification
+ * @param {Array<string>|null} [statuses] - Statuts modifiables par l'appelant, null : tous
+ * @throws {Error} Si l'article est déjà programmé, publié ou archivé pour un simple auteur (403)
+ */
+const assertEditableStatus = (article, statuses) => {
+    if (statuses && !statuses.includes(article.status)) {
+        throw httpError(403, 'ARTICLE_NOT_EDITABLE',
+            `Accès refusé - Un article au statut ${article.status} ne se modifie qu'avec article.publish ou article.update.any`);
+    }
+};
+
+/**
+ * Applique une modification après avoir conservé l'état des articles dans l'historique
+ * Les révisions sont écrites d'abord, pour qu'aucune modification ne soit appliquée sans sa version
+ * précédente ; elles sont retirées si la modification échoue ou ne change aucun article.
+ * @param {Array<Object>} articles - Articles dans leur état actuel
+ * @param {Object} revisionOptions - Contexte de la modification (voir revisionService.recordRevision)
+ * @param {Function} update - () => Promise<number>, applique la modification et renvoie le nombre d'articles modifiés
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+const updateWithHistory = async (articles, revisionOptions, update) => {
+    const revisions = await revisionService.recordRevisions(articles, revisionOptions);
+    let modifiedCount;
+    try {
+        modifiedCount = await update();
+    } catch (err) {
+        await revisionService.discardRevisions(revisions);
+        throw err;
+    }
+    if (modifiedCount === 0) {
+        await revisionService.discardRevisions(revisions);
+    }
+    return modifiedCount;
+};
+
+/**
+ * Calcule les champs de slug à modifier lorsque le titre d'un article change
+ * @param {Object} article - Article avant modification
+ * @param {string} [title] - Nouveau titre (undefined s'il n'est pas modifié)
+ * @returns {Promise<Object>} { slug, previousSlugs }, ou objet vide si le slug ne change pas
+ */
+const slugChangeFor = async (article, title) => {
+    if (typeof title !== 'string' || title === article.title) return {};
+    return await slugService.renameSlug(article, title) || {};
+};
+
+/**
+ * Applique le nouveau titre aux slugs d'articles modifiés en groupe
+ * @param {Array<Object>} articles - Articles avant modification
+ * @param {string} [title] - Nouveau titre (undefined s'il n'est pas modifié)
+ * @returns {Promise<void>}
+ */
+const renameSlugs = async (articles, title) => {
+    for (const article of articles) {
+        await slugService.withUniqueSlug(async () => {
+            const change = await slugChangeFor(article, title);
+            if (change.slug) {
+                await articleModel.updateArticle(article._id, change);
+            }
+        });
+    }
+};
 
 /**
  * Crée un nouvel article avec validation
+ * L'article est rattaché au compte qui le crée : authorId et author (nom d'utilisateur) ne viennent pas du client.
+ * Il démarre en brouillon et n'est visible du public qu'une fois publié. Son slug est tiré du titre.
  * @param {Object} articleData - Données de l'article
+ * @param {string} authorId - ID du compte auteur (utilisateur authentifié)
  * @returns {Promise<string>} ID de l'article créé
- * @throws {Error} Si les données sont invalides
+ * @throws {Error} Si les données sont invalides ou si le compte auteur n'existe plus
  */
-const createArticleService = async (articleData) => {
+const createArticleService = async (articleData, authorId) => {
+    const authorAccount = await userModel.findUserById(authorId, 'public');
+    if (!authorAccount) {
+        throw new Error('Compte auteur introuvable');
+    }
+
     // Validation des catégories
     // if (!Array.isArray(articleData.category)) {
     //     throw new Error('Les catégories doivent être un tableau');
@@ -20,55 +155,175 @@ const createArticleService = async (articleData) => {
     
     // Complétion des données de l'article
     const completeArticle = {
-        ...articleData,
+        ...withoutProtectedFields(articleData),
+        author: authorAccount.username,
+        authorId: authorAccount._id,
         imageUrl: articleData.imageUrl || "", // Valeur par défaut
+        previousSlugs: [],
+        status: 'draft',
+        reviewers: [],
+        publishAt: null,
+        publishedAt: null,
         createdAt: new Date(),
         updatedAt: new Date()
     };
     
-    return await articleModel.createArticle(completeArticle);
+    return await slugService.withUniqueSlug(async () => articleModel.createArticle({
+        ...completeArticle,
+        slug: await slugService.generateUniqueSlug(articleData.title)
+    }));
 };
 
 /**
- * Récupère les articles paginés
- * @param {number} page - Numéro de page
+ * Lit une page d'articles par curseur, du plus récent au plus ancien
+ * @param {Object} filter - Critère de sélection
+ * @param {string} cursor - Curseur reçu ; vide pour la première page
  * @param {number} limit - Nombre d'articles par page
- * @returns {Promise<Object>} Objet avec articles et info de pagination
+ * @param {Object} [projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
+ * @returns {Promise<Object>} { articles, nextCursor, prevCursor, limit }
  */
-const getArticlesService = async (page, limit) => {
-    return await articleModel.getAllArticles(page, limit);
+const getArticlesPageByCursor = async (filter, cursor, limit, projection = null) => {
+    const { items, ...page } = await paginationService.paginateByCursor(
+        (position, size) => articleModel.getArticlesByCursor(filter, position, size, projection),
+        cursor,
+        limit
+    );
+    return { articles: items, ...page };
+};
+
+/**
+ * Récupère les articles publiés paginés, filtrés, avec le nombre d'articles par facette
+ * Avec query.cursor (vide pour la première page), la pagination se fait par curseur :
+ * ni numéro de page ni total, mais nextCursor et prevCursor.
+ * @param {number} page - Numéro de page (ignoré avec un curseur)
+ * @param {number} limit - Nombre d'articles par page
+ * @param {Object} [query] - Filtres (category, journalName, author, createdFrom/To, updatedFrom/To), cursor et sort
+ * @param {Object} [options] - Options
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
+ * @returns {Promise<Object>} Objet avec articles, info de pagination et facettes
+ * @throws {Error} Si un filtre, le curseur ou le tri est invalide (400)
+ */
+const getArticlesService = async (page, limit, query = {}, { projection = null } = {}) => {
+    const filters = facetService.parseArticleFilters(query);
+    const sort = articleViewService.parseArticleSort(query.sort, { cursor: query.cursor !== undefined });
+    const match = { ...facetService.toMatch(filters), ...PUBLISHED_FILTER };
+    const results = query.cursor !== undefined
+        ? await getArticlesPageByCursor(match, query.cursor, limit, projection)
+        : await articleModel.getAllArticles(page, limit, match, sort, projection);
+    results.facets = await facetService.getFacetCounts(PUBLISHED_FILTER, filters);
+    return results;
 };
 
 /**
  * Récupère un article par ID
  * @param {string} articleId - ID de l'article
+ * @param {Object} [options] - Options
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
  * @returns {Promise<Object|null>} Article trouvé ou null
  * @throws {Error} Si l'ID est invalide
  */
-const getArticleByIdService = async (articleId) => {
+const getArticleByIdService = async (articleId, { projection = null } = {}) => {
     if (!ObjectId.isValid(articleId)) {
         throw new Error('ID d\'article invalide');
     }
-    return await articleModel.getArticleById(articleId);
+    return await articleModel.getArticleById(articleId, projection);
 };
 
 /**
- * Met à jour un article
+ * Récupère un article par son slug actuel ou par un ancien slug
+ * @param {string} slug - Slug de l'article
+ * @param {Object} [options] - Options
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
+ * @returns {Promise<Object|null>} { article, redirect } (redirect : ancien slug, à rediriger), ou null
+ * @throws {Error} Si le slug est invalide
+ */
+const getArticleBySlugService = async (slug, { projection = null } = {}) => {
+    if (!slug || typeof slug !== 'string') {
+        throw new Error('Slug invalide');
+    }
+    const article = await articleModel.findArticleBySlug(slug, projection);
+    if (!article) return null;
+    return { article, redirect: article.slug !== slug };
+};
+
+/**
+ * Met à jour un article, en conservant sa version précédente dans l'historique
  * @param {string} articleId - ID de l'article
  * @param {Object} updateData - Données à mettre à jour
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - ID de l'auteur de la modification (historique)
+ * @param {Array<string>|null} [options.statuses] - Statuts modifiables par l'appelant (par défaut, tous)
  * @returns {Promise<number>} Nombre d'articles modifiés
+ * @throws {Error} Si l'ID est invalide, ou si le statut de l'article n'est pas modifiable par l'appelant (403)
  */
-const updateArticleService = async (articleId, updateData) => {
+const updateArticleService = async (articleId, updateData, { userId, statuses = null } = {}) => {
     if (!ObjectId.isValid(articleId)) {
         throw new Error('ID d\'article invalide');
     }
     
-    updateData.updatedAt = new Date();
-    return await articleModel.updateArticle(articleId, updateData);
+    const data = withoutProtectedFields(updateData);
+    const fields = Object.keys(data);
+    data.updatedAt = new Date();
+    const before = await articleModel.getArticleById(articleId);
+    if (!before) return 0;
+    assertEditableStatus(before, statuses);
+
+    // Nouveau titre : nouveau slug, l'ancien reste valable comme redirection
+    return await slugService.withUniqueSlug(async () => {
+        const change = { ...data, ...await slugChangeFor(before, data.title) };
+        return await updateWithHistory([before], { userId, fields },
+            // Le filtre sur le statut écarte un article publié entre la lecture et l'écriture
+            () => articleModel.updateArticle(articleId, change, editableFilter(statuses)));
+    });
 };
 
 /**
- * Supprime un article par ID
+ * Restaure le contenu d'un article depuis une révision
+ * Les champs gérés par le compte auteur et le circuit éditorial ne sont pas modifiés ;
+ * la version remplacée est elle-même conservée dans l'historique.
+ * @param {string} articleId - ID de l'article
+ * @param {*} revision - Numéro de la révision à restaurer
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - ID de l'auteur de la restauration (historique)
+ * @param {Array<string>|null} [options.statuses] - Statuts modifiables par l'appelant (par défaut, tous)
+ * @returns {Promise<Object|null>} { before, article, restoredFrom, changes }, ou null si l'article n'existe pas
+ * @throws {Error} Si le numéro est invalide (400), si le statut de l'article n'est pas modifiable
+ *                 par l'appelant (403) ou si la révision n'existe pas (404)
+ */
+const restoreRevisionService = async (articleId, revision, { userId, statuses = null } = {}) => {
+    const target = await revisionService.getRevision(articleId, revision);
+    if (!target) return null;
+    const before = await articleModel.getArticleById(articleId);
+    if (!before) return null;
+    assertEditableStatus(before, statuses);
+
+    const content = Object.fromEntries(Object.entries(target.snapshot).filter(([field]) => isContentField(field)));
+    const current = Object.fromEntries(Object.entries(before).filter(([field]) => isContentField(field)));
+    const changes = revisionService.diffSnapshots(current, content);
+    if (changes.length === 0) {
+        return { before, article: before, restoredFrom: target.revision, changes };
+    }
+
+    const removedFields = changes.filter(change => change.change === 'removed').map(change => change.field);
+    await slugService.withUniqueSlug(async () => {
+        const restored = { ...content, ...await slugChangeFor(before, content.title) };
+        await updateWithHistory([before], {
+            userId,
+            reason: 'restore',
+            fields: changes.map(change => change.field),
+            restoredFrom: target.revision
+        }, () => articleModel.restoreArticleContent(articleId, restored, removedFields, editableFilter(statuses)));
+    });
+    return {
+        before,
+        article: await articleModel.getArticleById(articleId),
+        restoredFrom: target.revision,
+        changes
+    };
+};
+
+/**
+ * Supprime un article par ID, avec son historique
  * @param {string} articleId - ID de l'article
  * @returns {Promise<number>} Nombre d'articles supprimés
  * @throws {Error} Si l'ID est invalide
@@ -77,11 +332,15 @@ const deleteArticleService = async (articleId) => {
     if (!ObjectId.isValid(articleId)) {
         throw new Error('ID invalide');
     }
-    return await articleModel.deleteArticle(articleId);
+    const deletedCount = await articleModel.deleteArticle(articleId);
+    if (deletedCount > 0) {
+        await purgeArticleHistory([new ObjectId(articleId)]);
+    }
+    return deletedCount;
 };
 
 /**
- * Supprime des articles par titre
+ * Supprime des articles par titre, avec leur historique
  * @param {string} title - Titre ou partie du titre
  * @returns {Promise<number>} Nombre d'articles supprimés
  * @throws {Error} Si le titre est invalide
@@ -90,109 +349,249 @@ const deleteArticlesByTitleService = async (title) => {
     if (!title || typeof title !== 'string' || title.trim().length < 2) {
         throw new Error('Le titre doit contenir au moins 2 caractères');
     }
-    return await articleModel.deleteArticlesByTitle(title);
+    const articles = await articleModel.getArticlesByTitle(title);
+    const deletedCount = await articleModel.deleteArticlesByTitle(title);
+    await purgeArticleHistory(articles.map(article => article._id));
+    return deletedCount;
 };
 
 /**
- * Supprime des articles par auteur
- * @param {string} author - Nom de l'auteur
+ * Supprime les articles liés à un compte, avec leur historique
+ * @param {string|ObjectId} authorId - ID du compte auteur
  * @returns {Promise<number>} Nombre d'articles supprimés
- * @throws {Error} Si l'auteur est invalide
  */
-const deleteArticlesByAuthorService = async (author) => {
-    if (!author || typeof author !== 'string' || author.trim().length < 2) {
-        throw new Error("Le nom d'auteur doit contenir au moins 2 caractères");
-    }
-    return await articleModel.deleteArticlesByAuthor(author);
+const deleteArticlesByAuthorService = async (authorId) => {
+    const articles = await articleModel.getArticlesByAuthorId(authorId);
+    const deletedCount = await articleModel.deleteArticlesByAuthorId(authorId);
+    await purgeArticleHistory(articles.map(article => article._id));
+    return deletedCount;
 };
 
 /**
  * Récupère des articles par auteur
  * @param {string} author - Nom de l'auteur
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.publishedOnly] - Ne renvoyer que les articles publiés (lecture publique)
+ * @param {string} [options.sort] - Tri (ex: '-updatedAt,title')
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
  * @returns {Promise<Array>} Liste des articles de l'auteur
- * @throws {Error} Si l'auteur est invalide
+ * @throws {Error} Si l'auteur ou le tri est invalide
  */
-const getArticlesByAuthorService = async (author) => {
+const getArticlesByAuthorService = async (author, { publishedOnly = false, sort, projection = null } = {}) => {
     if (!author || typeof author !== 'string') {
         throw new Error('Nom d\'auteur invalide');
     }
-    return await articleModel.getArticlesByAuthor(author);
+    const mongoSort = articleViewService.parseArticleSort(sort);
+    return await articleModel.getArticlesByAuthor(author, publishedOnly ? PUBLISHED_FILTER : {}, mongoSort, projection);
 };
 
 /**
- * Met à jour des articles par auteur
- * @param {string} author - Nom de l'auteur
- * @param {Object} updateData - Données à mettre à jour
- * @returns {Promise<number>} Nombre d'articles modifiés
+ * Retrouve le compte désigné par un nom d'utilisateur (routes groupées par auteur)
+ * Les opérations groupées portent sur les articles liés à ce compte (authorId), jamais
+ * sur la signature affichée, qu'un autre compte pourrait avoir portée
+ * @param {string} author - Nom d'utilisateur
+ * @returns {Promise<Object|null>} Compte, ou null s'il n'existe pas
  * @throws {Error} Si l'auteur est invalide
  */
-const updateArticlesByAuthorService = async (author, updateData) => {
+const findAuthorAccountService = async (author) => {
     if (!author || typeof author !== 'string') {
         throw new Error('Nom d\'auteur invalide');
     }
-    return await articleModel.updateArticlesByAuthor(author, updateData);
+    return await userModel.findUserByUsername(author);
+};
+
+/**
+ * Récupère les articles liés à un compte
+ * @param {string|ObjectId} authorId - ID du compte auteur
+ * @returns {Promise<Array>} Articles du compte
+ */
+const getArticlesByAuthorIdService = async (authorId) => {
+    return await articleModel.getArticlesByAuthorId(authorId);
+};
+
+/**
+ * Met à jour les articles liés à un compte, en conservant leur version précédente dans l'historique
+ * @param {string|ObjectId} authorId - ID du compte auteur
+ * @param {Object} updateData - Données à mettre à jour
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - ID de l'auteur de la modification (historique)
+ * @param {Array<string>|null} [options.statuses] - Statuts modifiables par l'appelant : les autres articles
+ *                                                  du compte sont laissés intacts (par défaut, tous)
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+const updateArticlesByAuthorService = async (authorId, updateData, { userId, statuses = null } = {}) => {
+    const data = { ...withoutProtectedFields(updateData), updatedAt: new Date() };
+    const before = (await articleModel.getArticlesByAuthorId(authorId))
+        .filter(article => !statuses || statuses.includes(article.status));
+    const fields = Object.keys(data).filter(field => field !== 'updatedAt');
+    const modifiedCount = await updateWithHistory(before, { userId, fields },
+        () => articleModel.updateArticlesByAuthorId(authorId, data, editableFilter(statuses)));
+    if (modifiedCount > 0) {
+        await renameSlugs(before, data.title);
+    }
+    return modifiedCount;
 };
 
 /**
  * Récupère des articles par titre
  * @param {string} title - Titre ou partie du titre
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.publishedOnly] - Ne renvoyer que les articles publiés (lecture publique)
+ * @param {string} [options.sort] - Tri (ex: '-updatedAt,title')
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
  * @returns {Promise<Array>} Liste des articles correspondants
- * @throws {Error} Si le titre est invalide
+ * @throws {Error} Si le titre ou le tri est invalide
  */
-const getArticlesByTitleService = async (title) => {
+const getArticlesByTitleService = async (title, { publishedOnly = false, sort, projection = null } = {}) => {
     if (!title || typeof title !== 'string') {
         throw new Error('Titre invalide');
     }
-    return await articleModel.getArticlesByTitle(title);
+    const mongoSort = articleViewService.parseArticleSort(sort);
+    return await articleModel.getArticlesByTitle(title, publishedOnly ? PUBLISHED_FILTER : {}, mongoSort, projection);
 };
 
 /**
- * Met à jour des articles par titre
+ * Met à jour des articles par titre, en conservant leur version précédente dans l'historique
  * @param {string} title - Titre ou partie du titre
  * @param {Object} updateData - Données à mettre à jour
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - ID de l'auteur de la modification (historique)
  * @returns {Promise<number>} Nombre d'articles modifiés
  * @throws {Error} Si le titre est invalide
  */
-const updateArticlesByTitleService = async (title, updateData) => {
+const updateArticlesByTitleService = async (title, updateData, { userId } = {}) => {
     if (!title || typeof title !== 'string') {
         throw new Error('Titre invalide');
     }
-    return await articleModel.updateArticlesByTitle(title, updateData);
+    const data = withoutProtectedFields(updateData);
+    const before = await articleModel.getArticlesByTitle(title);
+    const fields = Object.keys(data).filter(field => field !== 'updatedAt');
+    const modifiedCount = await updateWithHistory(before, { userId, fields },
+        () => articleModel.updateArticlesByTitle(title, data));
+    if (modifiedCount > 0) {
+        await renameSlugs(before, data.title);
+    }
+    return modifiedCount;
+};
+
+/**
+ * Récupère des articles à partir de leurs IDs (ex: état après une modification groupée)
+ * @param {Array<ObjectId>} articleIds - IDs des articles
+ * @returns {Promise<Array>} Liste des articles trouvés
+ */
+const getArticlesByIdsService = async (articleIds) => {
+    if (!articleIds.length) return [];
+    return await articleModel.getArticlesByIds(articleIds);
+};
+
+/**
+ * Reporte le nouveau nom d'utilisateur d'un compte sur ses articles
+ * @param {string} authorId - ID du compte auteur
+ * @param {string} username - Nouveau nom d'utilisateur
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+const renameAuthorService = async (authorId, username) => {
+    return await articleModel.updateArticlesByAuthorId(authorId, { author: username });
+};
+
+/**
+ * Ajoute à chaque article les informations publiques de son auteur (authorInfo)
+ * Un seul accès à la base pour l'ensemble des articles ; authorInfo vaut null
+ * pour un article sans compte lié ou dont le compte est désactivé
+ * @param {Array<Object>} articles - Articles à compléter
+ * @returns {Promise<Array<Object>>} Articles avec authorInfo
+ */
+const expandAuthorsService = async (articles) => {
+    const authorIds = [...new Set(articles.filter(article => article.authorId).map(article => String(article.authorId)))];
+    const profiles = authorIds.length ? await userModel.findPublicProfilesByIds(authorIds) : [];
+    const profilesById = new Map(profiles.map(profile => [String(profile._id), profile]));
+
+    return articles.map(article => {
+        const profile = article.authorId ? profilesById.get(String(article.authorId)) : null;
+        return {
+            ...article,
+            authorInfo: profile ? {
+                _id: profile._id,
+                username: profile.username,
+                displayName: profile.displayName || profile.username,
+                avatarUrl: profile.avatarUrl || null
+            } : null
+        };
+    });
+};
+
+/**
+ * Met en forme des articles lus selon ?fields= et ?expand= (voir articleView.services)
+ * @param {Array<Object>} articles - Articles complets
+ * @param {Object} view - Mise en forme analysée par parseArticleView
+ * @returns {Promise<Array<Object>>} Articles, avec authorInfo si demandé, réduits aux champs demandés
+ */
+const presentArticlesService = async (articles, view) => {
+    const expanded = view.expandAuthor ? await expandAuthorsService(articles) : articles;
+    return expanded.map(article => articleViewService.selectFields(article, view));
 };
 
 /**
- * Service de recherche d'articles par mots-clés
- * @param {string} query - Terme de recherche
- * @param {number} page - Numéro de page
+ * Service de recherche plein texte (articles publiés uniquement)
+ * Résultats triés par pertinence (ou selon filterQuery.sort), chacun accompagné de ses extraits mis
+ * en évidence (highlights) ; avec un curseur (filterQuery.cursor), du plus récent au plus ancien
+ * @param {string} query - Recherche : mots, "expressions exactes" et -exclusions
+ * @param {number} page - Numéro de page (ignoré avec un curseur)
  * @param {number} limit - Nombre d'articles par page
- * @returns {Promise<Object>} Résultats de la recherche avec pagination
- * @throws {Error} Si la requête est invalide
+ * @param {Object} [filterQuery] - Filtres, curseur et tri (voir getArticlesService)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.projection] - Champs à lire (voir parseArticleView) ; par défaut, tous
+ * @returns {Promise<Object>} Résultats de la recherche avec pagination et facettes
+ * @throws {Error} Si la requête, la pagination ou un filtre est invalide (400)
  */
-const searchArticlesService = async (query, page = 1, limit = 10) => {
+const searchArticlesService = async (query, page = 1, limit = 10, filterQuery = {}, { projection = null } = {}) => {
     // Validation de la requête de recherche
     if (!query || typeof query !== 'string' || query.trim().length < 2) {
-        throw new Error('La requête de recherche doit contenir au moins 2 caractères');
+        throw httpError(400, 'INVALID_SEARCH', 'La requête de recherche doit contenir au moins 2 caractères');
     }
     
     // Validation de la pagination
-    if (page < 1) throw new Error('Le numéro de page doit être supérieur à 0');
-    if (limit < 1 || limit > 100) throw new Error('La limite doit être entre 1 et 100');
+    if (page < 1) throw httpError(400, 'INVALID_PAGINATION', 'Le numéro de page doit être supérieur à 0');
+    if (limit < 1 || limit > 100) throw httpError(400, 'INVALID_PAGINATION', 'La limite doit être entre 1 et 100');
     
     const cleanedQuery = query.trim(); // Nettoie la requête des espaces superflus
+    const parsed = searchService.validateSearchQuery(cleanedQuery);
+    const filters = facetService.parseArticleFilters(filterQuery);
+    const sort = articleViewService.parseArticleSort(filterQuery.sort, { cursor: filterQuery.cursor !== undefined });
+    const match = { ...facetService.toMatch(filters), ...PUBLISHED_FILTER };
     
-    return await articleModel.searchArticles(cleanedQuery, page, limit);
+    const results = filterQuery.cursor !== undefined
+        ? await getArticlesPageByCursor({ ...match, $text: { $search: cleanedQuery } }, filterQuery.cursor, limit, projection)
+        : await articleModel.searchArticles(cleanedQuery, page, limit, match, sort, projection);
+    results.articles = results.articles.map(article => ({
+        ...article,
+        highlights: searchService.highlightArticle(article, parsed)
+    }));
+    results.facets = await facetService.getFacetCounts({ ...PUBLISHED_FILTER, $text: { $search: cleanedQuery } }, filters);
+    return results;
 };
 
 module.exports = {
+    DELETED_AUTHOR_NAME,
+    ARTICLE_STATUSES,
+    PUBLISHED_FILTER,
     createArticleService,
     getArticlesService,
     getArticleByIdService,
+    getArticleBySlugService,
     updateArticleService,
+    restoreRevisionService,
     deleteArticleService,
     getArticlesByAuthorService,
+    findAuthorAccountService,
+    getArticlesByAuthorIdService,
     updateArticlesByAuthorService,
     getArticlesByTitleService,
     updateArticlesByTitleService,
+    getArticlesByIdsService,
+    renameAuthorService,
+    expandAuthorsService,
+    presentArticlesService,
     deleteArticlesByTitleService,
     deleteArticlesByAuthorService,
     searchArticlesService
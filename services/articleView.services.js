@@ -0,0 +1,128 @@
+/**
+ * Service de mise en forme des lectures d'articles
+ * Analyse les paramètres ?fields= (champs renvoyés), ?sort= (tri) et ?expand= (données jointes),
+ * les valide par rapport à des listes de champs autorisés et en déduit la projection MongoDB
+ */
+
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+// Champs qu'un client peut demander avec ?fields= (l'_id est toujours renvoyé)
+const ARTICLE_FIELDS = [
+    'title', 'slug', 'author', 'authorId', 'journalName', 'category', 'description', 'imageUrl',
+    'status', 'publishAt', 'publishedAt', 'createdAt', 'updatedAt'
+];
+// Champs lus quelle que soit la sélection (contrôle d'accès, redirection de slug, curseur, profil de l'auteur),
+// retirés de la réponse s'ils n'ont pas été demandés
+const INTERNAL_FIELDS = ['status', 'authorId', 'reviewers', 'slug', 'createdAt'];
+// Champs dont une recherche tire ses extraits mis en évidence
+const HIGHLIGHT_FIELDS = ['title', 'description', 'category'];
+// Champs calculés d'une recherche (pertinence et extraits), toujours renvoyés avec ses résultats
+const SEARCH_FIELDS = ['score', 'highlights'];
+// Champs utilisables avec ?sort=
+const ARTICLE_SORT_FIELDS = ['createdAt', 'updatedAt', 'publishedAt', 'title', 'journalName', 'author'];
+// Données jointes disponibles avec ?expand= (author : profil public de l'auteur, authorInfo)
+const ARTICLE_EXPANSIONS = ['author'];
+
+/**
+ * Découpe un paramètre de liste (séparé par des virgules, éventuellement répété)
+ * @param {*} value - Valeur reçue
+ * @returns {Array<string>} Éléments non vides
+ */
+const splitList = (value) => [].concat(value || [])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Vérifie que chaque élément d'une liste est autorisé
+ * @param {Array<string>} values - Éléments demandés
+ * @param {Array<string>} allowed - Éléments autorisés
+ * @param {string} code - Code d'erreur
+ * @param {string} label - Nom du paramètre (message d'erreur)
+ * @throws {Error} Si un élément n'est pas autorisé (400)
+ */
+const assertAllowed = (values, allowed, code, label) => {
+    const unknown = values.filter(value => !allowed.includes(value));
+    if (unknown.length > 0) {
+        throw httpError(400, code, `${label} non autorisé(s): ${unknown.join(', ')} (autorisés: ${allowed.join(', ')})`);
+    }
+};
+
+/**
+ * Convertit un paramètre de tri ('-updatedAt,title') en tri MongoDB
+ * L'_id est ajouté en dernier critère pour que l'ordre des pages reste stable.
+ * @param {string} [sort] - Champs séparés par des virgules, préfixés par - pour l'ordre décroissant
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cursor] - Pagination par curseur, dont l'ordre (createdAt, _id) est imposé
+ * @returns {Object|null} Tri MongoDB, ou null si aucun tri n'est demandé (ordre par défaut de la route)
+ * @throws {Error} Si un champ n'est pas autorisé, ou si un tri accompagne un curseur (400)
+ */
+const parseArticleSort = (sort, { cursor = false } = {}) => {
+    const keys = splitList(sort);
+    if (keys.length === 0) return null;
+    if (cursor) {
+        throw httpError(400, 'INVALID_SORT', 'Le tri n\'est pas disponible en pagination par curseur (du plus récent au plus ancien)');
+    }
+
+    assertAllowed(keys.map(key => key.replace(/^[-+]/, '')), ARTICLE_SORT_FIELDS, 'INVALID_SORT', 'Tri');
+    const mongoSort = {};
+    for (const key of keys) {
+        mongoSort[key.replace(/^[-+]/, '')] = key.startsWith('-') ? -1 : 1;
+    }
+    const directions = Object.values(mongoSort);
+    mongoSort._id = directions[directions.length - 1];
+    return mongoSort;
+};
+
+/**
+ * Analyse la mise en forme demandée pour une lecture d'articles
+ * Sans ?fields=, les articles sont renvoyés en entier avec le profil de leur auteur (comportement
+ * historique) ; avec ?fields=, le profil n'est joint que si ?expand=author est demandé, et seuls
+ * les champs demandés (plus ceux dont la lecture a besoin) sont lus en base.
+ * @param {Object} query - Paramètres de requête (req.query)
+ * @param {string|Array<string>} [query.fields] - Champs à renvoyer (ex: 'title,imageUrl,createdAt')
+ * @param {string|Array<string>} [query.expand] - Données à joindre (ex: 'author')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.search] - Recherche plein texte (extraits et pertinence)
+ * @returns {Object} { fields: champs demandés ou null (tous), expandAuthor, search, projection: projection MongoDB ou null }
+ * @throws {Error} Si un champ ou une donnée jointe n'est pas autorisé (400)
+ */
+const parseArticleView = (query = {}, { search = false } = {}) => {
+    const fields = splitList(query.fields);
+    const expand = splitList(query.expand);
+    assertAllowed(fields, ARTICLE_FIELDS, 'INVALID_FIELDS', 'Champ(s)');
+    assertAllowed(expand, ARTICLE_EXPANSIONS, 'INVALID_EXPAND', 'Donnée(s) jointe(s)');
+
+    const projected = [...fields, ...INTERNAL_FIELDS, ...(search ? HIGHLIGHT_FIELDS : [])];
+    return {
+        fields: fields.length > 0 ? fields : null,
+        expandAuthor: fields.length === 0 || expand.includes('author'),
+        search,
+        projection: fields.length > 0 ? Object.fromEntries(projected.map(field => [field, 1])) : null
+    };
+};
+
+/**
+ * Ne garde d'un article que les champs demandés, plus l'_id, le profil de l'auteur s'il est joint
+ * et la pertinence et les extraits d'une recherche
+ * @param {Object} article - Article lu (projection comprise)
+ * @param {Object} view - Mise en forme analysée par parseArticleView
+ * @returns {Object} Article réduit
+ */
+const selectFields = (article, { fields, expandAuthor, search }) => {
+    if (!fields) return article;
+    const kept = ['_id', ...fields, ...(expandAuthor ? ['authorInfo'] : []), ...(search ? SEARCH_FIELDS : [])];
+    return Object.fromEntries(kept
+        .filter(field => article[field] !== undefined)
+        .map(field => [field, article[field]]));
+};
+
+module.exports = {
+    ARTICLE_FIELDS,
+    ARTICLE_SORT_FIELDS,
+    ARTICLE_EXPANSIONS,
+    parseArticleSort,
+    parseArticleView,
+    selectFields
+};
@@ -0,0 +1,161 @@
+/**
+ * Service du journal d'audit
+ * Enregistre qui a fait quoi, sur quelle ressource, depuis où, avec l'état avant et après la modification
+ */
+
+const { ObjectId } = require('mongodb'); // Pour valider et convertir les identifiants
+const auditModel = require('../models/audit.model'); // Modèle du journal d'audit
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+const MAX_PAGE_SIZE = 100; // Nombre maximal d'entrées par page
+
+// Champs jamais recopiés dans les instantanés (secrets et empreintes)
+const SENSITIVE_FIELDS = ['password', 'secret', 'pendingSecret', 'recoveryCodes', 'keyHash', 'tokenHash', 'codeHash'];
+
+/**
+ * Retire récursivement les champs sensibles d'un instantané
+ * @param {*} value - Document, tableau ou valeur à nettoyer
+ * @returns {*} Copie sans champs sensibles
+ */
+const sanitize = (value) => {
+    if (Array.isArray(value)) return value.map(sanitize);
+    if (!value || typeof value !== 'object' || value instanceof Date || value instanceof ObjectId) {
+        return value;
+    }
+    return Object.fromEntries(
+        Object.entries(value)
+            .filter(([key]) => !SENSITIVE_FIELDS.includes(key))
+            .map(([key, field]) => [key, sanitize(field)])
+    );
+};
+
+/**
+ * Convertit un identifiant en ObjectId lorsque c'est possible (pour les index et les filtres)
+ * @param {*} id - Identifiant
+ * @returns {ObjectId|string|null} Identifiant normalisé
+ */
+const normalizeId = (id) => {
+    if (id === undefined || id === null) return null;
+    return ObjectId.isValid(id) && String(new ObjectId(id)) === String(id) ? new ObjectId(id) : String(id);
+};
+
+/**
+ * Enregistre une action à partir d'une requête Express
+ * L'acteur (req.user), l'adresse IP et l'identifiant de requête sont repris de la requête.
+ * Une erreur d'écriture est journalisée mais n'interrompt pas l'opération déjà effectuée.
+ * @param {Object} req - Requête Express
+ * @param {Object} entry - Action à enregistrer
+ * @param {string} entry.action - Action (ex: 'article.delete', 'auth.login')
+ * @param {Object} [entry.target] - Ressource visée ({ type, id } ou { type, ids, criteria })
+ * @param {*} [entry.before] - État avant l'action
+ * @param {*} [entry.after] - État après l'action
+ * @param {Object} [entry.actor] - Acteur, si différent de req.user (ex: connexion réussie)
+ * @param {Object} [entry.metadata] - Informations complémentaires
+ * @returns {Promise<void>}
+ */
+const recordFromRequest = async (req, { action, target, before, after, actor, metadata } = {}) => {
+    const principal = actor || req.user || null;
+    const auditEntry = {
+        at: new Date(),
+        action,
+        actor: principal && principal.userId ? {
+            userId: normalizeId(principal.userId),
+            role: principal.role || null,
+            authType: principal.authType || 'jwt',
+            apiKeyId: principal.apiKeyId || null
+        } : null,
+        target: target ? {
+            type: target.type,
+            id: normalizeId(target.id),
+            // Opérations groupées : identifiants concernés et critère de sélection
+            ...(target.ids ? { ids: target.ids.map(normalizeId) } : {}),
+            ...(target.criteria ? { criteria: target.criteria } : {})
+        } : null,
+        before: before === undefined ? null : sanitize(before),
+        after: after === undefined ? null : sanitize(after),
+        ip: req.ip || null,
+        requestId: req.id || null,
+        metadata: metadata ? sanitize(metadata) : null
+    };
+
+    try {
+        await auditModel.insertAuditEntry(auditEntry);
+    } catch (err) {
+        console.error(`❌ Échec d'écriture du journal d'audit (${action}):`, err.message);
+    }
+};
+
+/**
+ * Enregistre une action effectuée par le serveur lui-même (tâche planifiée), sans requête ni acteur
+ * @param {Object} entry - Action à enregistrer (mêmes champs que recordFromRequest, sans actor)
+ * @returns {Promise<void>}
+ */
+const recordSystemEvent = async (entry) => {
+    await recordFromRequest({}, entry);
+};
+
+/**
+ * Recherche dans le journal d'audit
+ * @param {Object} filters - Filtres
+ * @param {string} [filters.actorId] - ID de l'acteur
+ * @param {string} [filters.action] - Action exacte, ou préfixe terminé par '*' (ex: 'article.*')
+ * @param {string} [filters.targetType] - Type de ressource ('article', 'user'...)
+ * @param {string} [filters.targetId] - ID de la ressource (y compris dans les opérations groupées)
+ * @param {string} [filters.requestId] - Identifiant de requête
+ * @param {string} [filters.ip] - Adresse IP
+ * @param {string} [filters.from] - Date de début (ISO 8601)
+ * @param {string} [filters.to] - Date de fin (ISO 8601)
+ * @param {number} [page] - Numéro de page
+ * @param {number} [limit] - Nombre d'entrées par page
+ * @returns {Promise<Object>} Entrées et informations de pagination
+ * @throws {Error} Si un filtre est invalide (400)
+ */
+const searchAuditLog = async (filters = {}, page = 1, limit = 20) => {
+    const filter = {};
+    if (filters.actorId) filter['actor.userId'] = normalizeId(filters.actorId);
+    if (filters.action) {
+        const action = String(filters.action);
+        if (action.endsWith('*')) {
+            const prefix = action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.action = { $regex: `^${prefix}` };
+        } else {
+            filter.action = action;
+        }
+    }
+    if (filters.targetType) filter['target.type'] = String(filters.targetType);
+    if (filters.targetId) {
+        const targetId = normalizeId(filters.targetId);
+        filter.$or = [{ 'target.id': targetId }, { 'target.ids': targetId }];
+    }
+    if (filters.requestId) filter.requestId = String(filters.requestId);
+    if (filters.ip) filter.ip = String(filters.ip);
+    if (filters.from || filters.to) {
+        filter.at = {};
+        for (const [bound, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (!filters[bound]) continue;
+            const date = new Date(filters[bound]);
+            if (Number.isNaN(date.getTime())) {
+                throw httpError(400, 'INVALID_FILTER', `Date invalide pour ${bound}`);
+            }
+            filter.at[operator] = date;
+        }
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const itemsPerPage = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+    const { entries, total } = await auditModel.findAuditEntries(filter, currentPage, itemsPerPage);
+
+    return {
+        entries,
+        totalEntries: total,
+        totalPages: Math.ceil(total / itemsPerPage),
+        currentPage,
+        itemsPerPage
+    };
+};
+
+module.exports = {
+    recordFromRequest,
+    recordSystemEvent,
+    searchAuditLog
+};
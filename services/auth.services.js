@@ -5,77 +5,741 @@
 
 const bcrypt = require('bcryptjs'); // Pour hacher les mots de passe
 const jwt = require('jsonwebtoken'); // Pour générer les tokens JWT
+const crypto = require('crypto'); // Pour générer et hacher les refresh tokens
 const dotenv = require('dotenv'); // Variables d'environnement
 const userModel = require('../models/user.model'); // Modèle utilisateur
+const tokenModel = require('../models/token.model'); // Modèle des jetons
+const passwordResetModel = require('../models/passwordReset.model'); // Modèle des jetons de réinitialisation
+const inviteModel = require('../models/invite.model'); // Modèle des codes d'invitation
+const roleChangeModel = require('../models/roleChange.model'); // Historique des changements de rôle
+const sessionModel = require('../models/session.model'); // Modèle des sessions
+const mailService = require('./mail.services'); // Envoi d'emails
+const loginGuard = require('./loginGuard.services'); // Protection contre la force brute
+const twoFactorService = require('./twoFactor.services'); // Double authentification
+const roleService = require('./role.services'); // Rôles et permissions
+const signingKeyService = require('./signingKey.services'); // Signature des access tokens
+const passwordPolicy = require('./passwordPolicy.services'); // Politique des mots de passe
+const articleService = require('./article.services'); // Nom réservé des auteurs supprimés, renommage des auteurs
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
 
 dotenv.config(); // Charge les variables
 
+// Durées de vie des jetons
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 3600; // En secondes (1 heure)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7; // En jours
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60; // En minutes
+const EMAIL_VERIFICATION_TTL = '24h'; // Validité du lien de vérification d'email
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) || 7; // Validité par défaut des invitations
+const TWO_FACTOR_CHALLENGE_TTL = '5m'; // Validité du jeton intermédiaire de connexion 2FA
+const TWO_FACTOR_SETUP_TTL = '15m'; // Validité du jeton d'enrôlement 2FA obligatoire
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10; // Coût bcrypt des nouveaux hachages
+const SESSION_TOUCH_INTERVAL_SECONDS = 60; // Fréquence maximale de mise à jour de la dernière activité
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'username', 'email', 'role']; // Tris autorisés sur la liste des utilisateurs
+const MAX_USERS_PAGE_SIZE = 100; // Nombre maximal d'utilisateurs par page
+
+// URL publique utilisée dans les liens envoyés par email
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Calcule l'empreinte SHA-256 d'un jeton opaque
+ * @param {string} token - Jeton en clair
+ * @returns {string} Empreinte hexadécimale
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Traduit un doublon sur un index unique des comptes (email ou nom d'utilisateur) en erreur métier
+ * @param {Error} err - Erreur levée par MongoDB
+ * @returns {Error} Erreur 409 pour un doublon, l'erreur d'origine sinon
+ */
+const duplicateAccountError = (err) => {
+    if (err.code !== 11000) return err;
+    return Object.keys(err.keyPattern || err.keyValue || {}).includes('username')
+        ? httpError(409, 'USERNAME_TAKEN', 'Ce nom d\'utilisateur est déjà utilisé')
+        : httpError(409, 'EMAIL_TAKEN', 'Cet email est déjà utilisé');
+};
+
+/**
+ * Génère un access token JWT rattaché à une famille de jetons
+ * La signature (HS256 ou clé asymétrique identifiée par kid) est déléguée au service des clés.
+ * @param {Object} user - Utilisateur
+ * @param {string} family - Identifiant de la famille de jetons
+ * @returns {Promise<string>} Access token signé
+ */
+const generateAccessToken = async (user, family) => {
+    return await signingKeyService.signAccessToken(
+        { userId: user._id, role: user.role, fam: family },
+        { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+};
+
+/**
+ * Génère et enregistre un refresh token opaque
+ * @param {Object} user - Utilisateur
+ * @param {string} family - Identifiant de la famille de jetons
+ * @returns {Promise<string>} Refresh token en clair (seule son empreinte est stockée)
+ */
+const generateRefreshToken = async (user, family) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await tokenModel.createRefreshToken({
+        tokenHash: hashToken(refreshToken),
+        userId: user._id,
+        family,
+        expiresAt: refreshTokenExpiry()
+    });
+    return refreshToken;
+};
+
+/**
+ * Calcule la date d'expiration d'un refresh token émis maintenant
+ * @returns {Date} Date d'expiration
+ */
+const refreshTokenExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Construit la réponse d'authentification (access token + refresh token)
+ * @param {Object} user - Utilisateur authentifié
+ * @param {string} family - Famille de jetons (identifiant de la session)
+ * @returns {Promise<Object>} Jetons et info utilisateur
+ */
+const issueTokens = async (user, family) => {
+    const token = await generateAccessToken(user, family);
+    const refreshToken = await generateRefreshToken(user, family);
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        sessionId: family,
+        userId: user._id,
+        username: user.username,
+        role: user.role
+    };
+};
+
+/**
+ * Ouvre une session (un appareil connecté) et émet ses premiers jetons
+ * L'ID de la session sert d'identifiant à sa famille de jetons
+ * @param {Object} user - Utilisateur authentifié
+ * @param {Object} [context] - Contexte de la connexion
+ * @param {string} [context.ip] - Adresse IP du client
+ * @param {string} [context.userAgent] - User-Agent du client
+ * @param {string} [context.authMethod] - Méthode de connexion ('password', '2fa'...)
+ * @returns {Promise<Object>} Jetons et info utilisateur
+ */
+const startSession = async (user, context = {}) => {
+    // Dernier contrôle commun à tous les modes de connexion (mot de passe, 2FA, SSO)
+    if (user.active === false) {
+        throw httpError(403, 'ACCOUNT_DEACTIVATED', 'Compte désactivé');
+    }
+    const sessionId = crypto.randomUUID();
+    await sessionModel.createSession({
+        _id: sessionId,
+        userId: user._id,
+        userAgent: context.userAgent || null,
+        ip: context.ip || null,
+        authMethod: context.authMethod || 'password',
+        expiresAt: refreshTokenExpiry()
+    });
+    return await issueTokens(user, sessionId);
+};
+
+/**
+ * Révoque une famille de jetons (refresh tokens et access tokens associés)
+ * @param {string} family - Identifiant de la famille de jetons
+ * @returns {Promise<void>}
+ */
+const revokeTokenFamily = async (family) => {
+    await tokenModel.revokeRefreshTokenFamily(family);
+    await sessionModel.revokeSession(family);
+    // Les access tokens de la famille restent valides au plus ACCESS_TOKEN_TTL secondes
+    await tokenModel.addRevokedToken(
+        `fam:${family}`,
+        new Date(Date.now() + ACCESS_TOKEN_TTL * 1000)
+    );
+};
+
+/**
+ * Hache un mot de passe avec bcrypt
+ * @param {string} password - Mot de passe en clair
+ * @returns {Promise<string>} Mot de passe haché
+ */
+const hashPassword = async (password) => {
+    return await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+/**
+ * Indique si un hachage a été calculé avec un coût bcrypt inférieur au coût configuré
+ * @param {string} hash - Mot de passe haché
+ * @returns {boolean} true si le mot de passe doit être haché à nouveau
+ */
+const needsRehash = (hash) => {
+    try {
+        return bcrypt.getRounds(hash) < BCRYPT_ROUNDS;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Clé de signature des liens de vérification d'email
+ * Dérivée de JWT_SECRET mais distincte : un lien de vérification ne peut pas être
+ * présenté comme access token, même si la vérification de son usage venait à manquer
+ * @returns {Buffer} Clé HMAC
+ */
+const emailVerificationSecret = () => {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('email-verification').digest();
+};
+
+/**
+ * Envoie un email contenant un lien signé de vérification d'adresse
+ * @param {Object} user - Utilisateur (doit contenir _id, email et username)
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const verificationToken = jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'email-verification' },
+        emailVerificationSecret(),
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+
+    const verifyUrl = `${APP_BASE_URL}/api/v1/auth/verify?token=${verificationToken}`;
+    await mailService.sendMail({
+        to: user.email,
+        subject: 'Vérifiez votre adresse email',
+        text: `Bonjour ${user.username},\n\n` +
+            `Pour activer votre compte, confirmez votre adresse email avec ce lien (valable 24 heures) :\n` +
+            `${verifyUrl}`
+    });
+};
+
 /**
  * Inscription d'un nouvel utilisateur
- * @param {Object} userData - Données de l'utilisateur
+ * @param {Object} userData - Données de l'utilisateur (username, email, password, inviteCode optionnel)
  * @returns {Promise<string>} ID de l'utilisateur créé
+ * @throws {Error} Si le code d'invitation est invalide ou expiré, si le nom d'utilisateur ou l'email est déjà pris (409)
  */
 const registerUser = async (userData) => {
-    // Hachage du mot de passe
-    const hashedPassword = await bcrypt.hash(userData.password, 10);
+    // Un code d'invitation éventuel est contrôlé avant toute création
+    let invite = null;
+    if (userData.inviteCode) {
+        invite = await inviteModel.findValidInviteByHash(hashToken(String(userData.inviteCode)));
+        if (!invite) {
+            throw new Error('Code d\'invitation invalide ou expiré');
+        }
+    }
+
+    // Le nom affiché sur les articles des comptes supprimés ne peut pas être pris
+    if (userData.username === articleService.DELETED_AUTHOR_NAME) {
+        throw httpError(400, 'RESERVED_USERNAME', 'Ce nom d\'utilisateur est réservé');
+    }
+
+    // Contrôle du mot de passe puis hachage
+    await passwordPolicy.assertPasswordAllowed(userData.password, {
+        username: userData.username,
+        email: userData.email
+    });
+    const hashedPassword = await hashPassword(userData.password);
     
-    // Création de l'objet utilisateur complet
+    // Création de l'objet utilisateur complet (seuls les champs autorisés sont repris)
     const newUser = {
-        ...userData,
+        username: userData.username,
+        email: userData.email,
         password: hashedPassword,
-        role: userData.role || 'member', // Par défaut 'member'
+        role: 'member', // Toujours 'member' : les rôles élevés sont attribués par un admin ou une invitation
+        verified: false, // Email à confirmer avant la première connexion
         createdAt: new Date(),
         updatedAt: new Date()
     };
     
-    return await userModel.createUser(newUser);
+    let userId;
+    try {
+        userId = await userModel.createUser(newUser);
+    } catch (err) {
+        throw duplicateAccountError(err);
+    }
+
+    // Attribution du rôle porté par l'invitation, si elle n'a pas été consommée entre-temps
+    if (invite && await inviteModel.consumeInvite(invite._id, userId)) {
+        await changeUserRole(userId, invite.role, {
+            changedBy: invite.createdBy,
+            source: 'invite',
+            reason: `Invitation ${invite._id}`
+        });
+    }
+
+    // Un échec d'envoi ne doit pas annuler l'inscription : l'email peut être renvoyé
+    try {
+        await sendVerificationEmail({ ...newUser, _id: userId });
+    } catch (err) {
+        console.error('❌ Échec d\'envoi de l\'email de vérification:', err);
+    }
+
+    return userId;
+};
+
+/**
+ * Vérifie une adresse email à partir du jeton signé envoyé par email
+ * @param {string} verificationToken - Jeton de vérification
+ * @returns {Promise<boolean>} false si le jeton est invalide, expiré ou ne correspond plus à l'email du compte
+ */
+const verifyEmail = async (verificationToken) => {
+    let payload;
+    try {
+        payload = jwt.verify(verificationToken, emailVerificationSecret(), { algorithms: ['HS256'] });
+    } catch (err) {
+        return false;
+    }
+    if (payload.purpose !== 'email-verification') return false;
+
+    const user = await userModel.findUserById(payload.userId);
+    // Le jeton ne vaut que pour l'adresse à laquelle il a été envoyé
+    if (!user || user.email !== payload.email) return false;
+
+    if (user.verified !== true) {
+        await userModel.updateUserById(user._id, { verified: true, verifiedAt: new Date() });
+    }
+    return true;
+};
+
+/**
+ * Renvoie l'email de vérification (sans révéler si le compte existe)
+ * @param {string} email - Email du compte
+ * @returns {Promise<void>}
+ */
+const resendVerificationEmail = async (email) => {
+    if (!email || typeof email !== 'string') return;
+
+    const user = await userModel.findUserByEmail(email);
+    if (!user || user.verified !== false) return;
+
+    await sendVerificationEmail(user);
+};
+
+/**
+ * Marque manuellement l'email d'un utilisateur comme vérifié (action administrateur)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} adminId - ID de l'administrateur à l'origine de la validation
+ * @returns {Promise<number>} Nombre d'utilisateurs modifiés
+ */
+const markUserVerified = async (userId, adminId) => {
+    return await userModel.updateUserById(userId, {
+        verified: true,
+        verifiedAt: new Date(),
+        verifiedBy: adminId
+    });
 };
 
 /**
  * Connexion d'un utilisateur
  * @param {string} email - Email de l'utilisateur
  * @param {string} password - Mot de passe non haché
+ * @param {Object} [context] - Contexte de la requête
+ * @param {string} [context.ip] - Adresse IP du client
+ * @param {string} [context.userAgent] - User-Agent du client (affiché dans la liste des sessions)
  * @returns {Promise<Object|null>} Token et info utilisateur ou null si échec
+ * @throws {Error} Si les identifiants ne sont pas des chaînes (status 400), si trop de tentatives ont échoué (status 429)
+ * ou si l'adresse email n'est pas vérifiée (status 403)
  */
-const loginUser = async (email, password) => {
+const loginUser = async (email, password, context = {}) => {
+    // Un objet (ex: {"$ne": null}) servirait d'opérateur dans la recherche et de clé de suivi commune
+    if (typeof email !== 'string' || typeof password !== 'string') {
+        throw httpError(400, 'INVALID_CREDENTIALS_FORMAT', 'L\'email et le mot de passe doivent être des chaînes de caractères');
+    }
+
+    // Refus immédiat si le compte ou l'adresse IP est en délai ou verrouillé
+    await loginGuard.assertLoginAllowed(email, context.ip);
+
     const user = await userModel.findUserByEmail(email);
-    if (!user) return null;
-    
     // Vérification du mot de passe
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return null;
-    
-    // Génération du token JWT
-    const token = jwt.sign(
-        { userId: user._id, role: user.role },
+    // Les comptes créés via un fournisseur d'identité n'ont pas de mot de passe
+    const isMatch = !!user && !!user.password && await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+        await loginGuard.recordLoginFailure(email, context.ip);
+        return null;
+    }
+    await loginGuard.recordLoginSuccess(email);
+
+    // Mise à niveau transparente des hachages calculés avec un coût bcrypt dépassé
+    if (needsRehash(user.password)) {
+        try {
+            await userModel.updateUserById(user._id, { password: await hashPassword(password) });
+        } catch (err) {
+            console.error('❌ Échec de la mise à niveau du hachage du mot de passe:', err.message);
+        }
+    }
+
+    // Les comptes dont l'email n'a pas été confirmé ne peuvent pas se connecter
+    // (les comptes antérieurs à la vérification n'ont pas de champ verified)
+    if (user.verified === false) {
+        throw httpError(403, 'EMAIL_NOT_VERIFIED', 'Adresse email non vérifiée');
+    }
+
+    // Les comptes désactivés conservent leurs données mais ne peuvent plus se connecter
+    if (user.active === false) {
+        throw httpError(403, 'ACCOUNT_DEACTIVATED', 'Compte désactivé');
+    }
+
+    // Le mot de passe seul ne donne qu'un jeton intermédiaire si un second facteur est attendu
+    return await startSessionOrChallenge(user, { ...context, authMethod: 'password' });
+};
+
+/**
+ * Ouvre une session après un premier facteur (mot de passe ou fournisseur externe)
+ * Si la double authentification est active, ou obligatoire pour le rôle sans être configurée,
+ * seul un jeton intermédiaire est renvoyé : la session s'ouvre après /login/2fa ou /2fa/confirm.
+ * @param {Object} user - Utilisateur authentifié par le premier facteur
+ * @param {Object} context - Contexte de la requête (ip, userAgent, authMethod)
+ * @returns {Promise<Object>} Jetons et info utilisateur, ou { twoFactorRequired | twoFactorSetupRequired, challengeToken }
+ */
+const startSessionOrChallenge = async (user, context) => {
+    if (user.twoFactorEnabled) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: signChallengeToken(user, '2fa-login', TWO_FACTOR_CHALLENGE_TTL)
+        };
+    }
+    if (await twoFactorService.isRequiredForRole(user.role)) {
+        return {
+            twoFactorSetupRequired: true,
+            challengeToken: signChallengeToken(user, '2fa-setup', TWO_FACTOR_SETUP_TTL)
+        };
+    }
+
+    // Ouverture d'une session : access token et refresh token d'une nouvelle famille
+    return await startSession(user, context);
+};
+
+/**
+ * Signe un jeton intermédiaire à usage restreint (étape 2FA)
+ * @param {Object} user - Utilisateur
+ * @param {string} purpose - Usage du jeton ('2fa-login' ou '2fa-setup')
+ * @param {string} expiresIn - Durée de validité
+ * @returns {string} Jeton signé
+ */
+const signChallengeToken = (user, purpose, expiresIn) => {
+    return jwt.sign(
+        { userId: user._id, purpose },
         process.env.JWT_SECRET,
-        { expiresIn: '1h' } // Token valide 1 heure
+        { expiresIn }
     );
-    
-    return {
-        token,
-        userId: user._id,
-        username: user.username,
-        role: user.role
-    };
+};
+
+/**
+ * Vérifie un jeton intermédiaire et son usage
+ * @param {string} challengeToken - Jeton intermédiaire
+ * @param {string} purpose - Usage attendu
+ * @returns {Object|null} Payload décodé ou null si invalide
+ */
+const verifyChallengeToken = (challengeToken, purpose) => {
+    try {
+        const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return payload.purpose === purpose ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Seconde étape de connexion : échange le jeton intermédiaire et un code 2FA contre les jetons
+ * @param {string} challengeToken - Jeton renvoyé par loginUser
+ * @param {Object} factor - Code TOTP ({ code }) ou code de secours ({ recoveryCode })
+ * @param {Object} [context] - Contexte de la requête
+ * @param {string} [context.ip] - Adresse IP du client
+ * @param {string} [context.userAgent] - User-Agent du client
+ * @returns {Promise<Object|null>} Jetons et info utilisateur ou null si le jeton ou le code est invalide
+ * @throws {Error} Si trop de tentatives ont échoué (status 429)
+ */
+const completeTwoFactorLogin = async (challengeToken, factor, context = {}) => {
+    const payload = verifyChallengeToken(challengeToken, '2fa-login');
+    if (!payload) return null;
+
+    const user = await userModel.findUserById(payload.userId);
+    if (!user) return null;
+
+    // Les codes 2FA sont soumis à la même protection contre la force brute que les mots de passe
+    await loginGuard.assertLoginAllowed(user.email, context.ip);
+    if (!await twoFactorService.verifySecondFactor(user._id, factor)) {
+        await loginGuard.recordLoginFailure(user.email, context.ip);
+        return null;
+    }
+    await loginGuard.recordLoginSuccess(user.email);
+
+    return await startSession(user, { ...context, authMethod: '2fa' });
+};
+
+/**
+ * Confirme l'enrôlement 2FA ; si l'enrôlement était imposé à la connexion, émet aussi les jetons
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Code TOTP de confirmation
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.issueSession] - true si l'utilisateur n'a pas encore de session (jeton 2fa-setup)
+ * @param {Object} [options.context] - Contexte de la requête (ip, userAgent) pour la session ouverte
+ * @returns {Promise<Object>} Codes de secours, et jetons si une session est ouverte
+ */
+const confirmTwoFactorSetup = async (userId, code, { issueSession = false, context = {} } = {}) => {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(userId, code);
+    if (!issueSession) return { recoveryCodes };
+
+    const user = await userModel.findUserById(userId);
+    return { recoveryCodes, ...await startSession(user, { ...context, authMethod: '2fa' }) };
+};
+
+/**
+ * Ouvre une session pour un utilisateur authentifié par un fournisseur externe (OIDC)
+ * Le fournisseur tient lieu de premier facteur : la double authentification s'applique comme
+ * après un mot de passe, et la réponse a le même format que celle de loginUser.
+ * @param {Object} user - Utilisateur résolu à partir de l'identité externe
+ * @param {Object} [context] - Contexte de la requête (ip, userAgent, authMethod)
+ * @returns {Promise<Object>} Jetons et info utilisateur, ou jeton intermédiaire de double authentification
+ * @throws {Error} Si le compte est désactivé (403)
+ */
+const startExternalSession = async (user, context = {}) => {
+    if (user.active === false) {
+        throw httpError(403, 'ACCOUNT_DEACTIVATED', 'Compte désactivé');
+    }
+    return await startSessionOrChallenge(user, context);
+};
+
+/**
+ * Renouvelle les jetons à partir d'un refresh token (rotation)
+ * Un refresh token déjà utilisé ou révoqué entraîne la révocation de toute sa famille,
+ * de même qu'un compte supprimé ou désactivé
+ * @param {string} refreshToken - Refresh token en clair
+ * @param {Object} [context] - Contexte de la requête (ip, userAgent) enregistré sur la session
+ * @returns {Promise<Object|null>} Nouveaux jetons et info utilisateur ou null si refusé
+ */
+const refreshTokens = async (refreshToken, context = {}) => {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+    const stored = await tokenModel.findRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored) return null;
+
+    // Détection de réutilisation : le jeton a déjà servi ou a été révoqué
+    if (stored.usedAt || stored.revokedAt) {
+        console.warn(`⚠️ Réutilisation d'un refresh token détectée (famille ${stored.family})`);
+        await revokeTokenFamily(stored.family);
+        return null;
+    }
+
+    if (stored.expiresAt < new Date()) return null;
+
+    // Marquage atomique : si deux requêtes utilisent le même jeton, une seule passe
+    const claimed = await tokenModel.markRefreshTokenUsed(stored._id);
+    if (!claimed) {
+        console.warn(`⚠️ Réutilisation d'un refresh token détectée (famille ${stored.family})`);
+        await revokeTokenFamily(stored.family);
+        return null;
+    }
+
+    // Compte supprimé ou désactivé : la session est fermée (la désactivation révoque déjà les familles,
+    // ce contrôle couvre un renouvellement concurrent ou une famille oubliée)
+    const user = await userModel.findUserById(stored.userId);
+    if (!user || user.active === false) {
+        await revokeTokenFamily(stored.family);
+        return null;
+    }
+
+    await sessionModel.recordSessionRefresh(stored.family, {
+        ip: context.ip,
+        userAgent: context.userAgent,
+        expiresAt: refreshTokenExpiry()
+    });
+    return await issueTokens(user, stored.family);
+};
+
+/**
+ * Révoque toutes les familles de jetons d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} [exceptFamily] - Famille à conserver (session courante)
+ * @returns {Promise<number>} Nombre de familles révoquées
+ */
+const revokeUserTokens = async (userId, exceptFamily) => {
+    const families = await tokenModel.findActiveFamiliesByUser(userId);
+    const toRevoke = families.filter(family => family !== exceptFamily);
+
+    for (const family of toRevoke) {
+        await revokeTokenFamily(family);
+    }
+    return toRevoke.length;
+};
+
+/**
+ * Déconnexion : révoque l'access token courant et sa famille de refresh tokens
+ * @param {Object} payload - Payload décodé de l'access token
+ * @returns {Promise<void>}
+ */
+const logoutUser = async (payload) => {
+    const expiresAt = payload.exp
+        ? new Date(payload.exp * 1000)
+        : new Date(Date.now() + ACCESS_TOKEN_TTL * 1000);
+
+    if (payload.jti) {
+        await tokenModel.addRevokedToken(`jti:${payload.jti}`, expiresAt);
+    }
+    if (payload.fam) {
+        await revokeTokenFamily(payload.fam);
+    }
 };
 
 /**
  * Vérifie un token JWT
  * @param {string} token - Token JWT
- * @returns {Object} Payload décodé du token
+ * @returns {Promise<Object>} Payload décodé du token
  * @throws {Error} Si le token est invalide
  */
-const verifyToken = (token) => {
-    return jwt.verify(token, process.env.JWT_SECRET);
+const verifyToken = async (token) => {
+    const payload = await signingKeyService.verifyAccessToken(token);
+    // Les jetons à usage restreint (vérification d'email, étapes 2FA) ne sont pas des access tokens
+    if (payload.purpose) {
+        throw new Error('Ce jeton ne permet pas d\'accéder à l\'API');
+    }
+    return payload;
+};
+
+/**
+ * Vérifie si un access token a été révoqué (déconnexion ou famille compromise)
+ * @param {Object} payload - Payload décodé du token
+ * @returns {Promise<boolean>} true si le token est révoqué
+ */
+const isTokenRevoked = async (payload) => {
+    const keys = [];
+    if (payload.jti) keys.push(`jti:${payload.jti}`);
+    if (payload.fam) keys.push(`fam:${payload.fam}`);
+    if (keys.length === 0) return false;
+
+    return await tokenModel.isAnyTokenRevoked(keys);
+};
+
+/**
+ * Met à jour la dernière activité de la session d'un access token (au plus une fois par minute)
+ * @param {Object} payload - Payload décodé de l'access token
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Promise<void>}
+ */
+const touchSession = async (payload, ip) => {
+    if (!payload.fam) return;
+    const staleBefore = new Date(Date.now() - SESSION_TOUCH_INTERVAL_SECONDS * 1000);
+    await sessionModel.touchSession(payload.fam, staleBefore, ip);
+};
+
+/**
+ * Liste les sessions actives d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} [currentSessionId] - Session de la requête courante (signalée par current: true)
+ * @returns {Promise<Array>} Sessions (appareil, IP, dates)
+ */
+const getSessions = async (userId, currentSessionId) => {
+    const sessions = await sessionModel.findActiveSessionsByUser(userId);
+    return sessions.map(session => ({
+        sessionId: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        authMethod: session.authMethod,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id === currentSessionId
+    }));
 };
 
 /**
- * Récupère tous les utilisateurs (sans mots de passe)
- * @returns {Promise<Array>} Liste des utilisateurs
+ * Ferme une session de l'utilisateur (révoque ses jetons)
+ * @param {string} userId - ID du propriétaire
+ * @param {string} sessionId - ID de la session
+ * @returns {Promise<boolean>} false si la session n'existe pas, n'appartient pas à l'utilisateur ou est déjà fermée
  */
-const getAllUsers = async () => {
-    return await userModel.findAllUsers();
+const revokeSession = async (userId, sessionId) => {
+    const session = await sessionModel.findSessionById(sessionId);
+    if (!session || session.revokedAt || session.userId.toString() !== String(userId)) {
+        return false;
+    }
+    await revokeTokenFamily(sessionId);
+    return true;
+};
+
+/**
+ * Convertit un paramètre de tri ('-createdAt,username') en tri MongoDB
+ * L'_id est ajouté en dernier critère pour que l'ordre des pages reste stable.
+ * @param {string} sort - Champs séparés par des virgules, préfixés par - pour l'ordre décroissant
+ * @returns {Object} Tri MongoDB
+ * @throws {Error} Si un champ n'est pas autorisé (400)
+ */
+const parseUserSort = (sort) => {
+    const mongoSort = {};
+    for (const key of String(sort).split(',').map(part => part.trim()).filter(Boolean)) {
+        const field = key.replace(/^[-+]/, '');
+        if (!USER_SORT_FIELDS.includes(field)) {
+            throw httpError(400, 'INVALID_SORT', `Tri non autorisé: ${field} (autorisés: ${USER_SORT_FIELDS.join(', ')})`);
+        }
+        mongoSort[field] = key.startsWith('-') ? -1 : 1;
+    }
+    const directions = Object.values(mongoSort);
+    mongoSort._id = directions.length ? directions[directions.length - 1] : -1;
+    return mongoSort;
+};
+
+/**
+ * Liste les utilisateurs (sans mots de passe) avec filtres, tri et pagination
+ * @param {Object} [query] - Paramètres de la liste
+ * @param {string} [query.role] - Rôle, ou plusieurs rôles séparés par des virgules
+ * @param {string} [query.verified] - 'true' ou 'false'
+ * @param {string} [query.active] - 'true' ou 'false' (comptes désactivés)
+ * @param {string} [query.createdFrom] - Date de création minimale (ISO 8601)
+ * @param {string} [query.createdTo] - Date de création maximale (ISO 8601)
+ * @param {string} [query.q] - Texte recherché dans le nom d'utilisateur ou l'email
+ * @param {string} [query.sort] - Tri (par défaut '-createdAt')
+ * @param {number} [query.page] - Numéro de page
+ * @param {number} [query.limit] - Nombre d'utilisateurs par page
+ * @returns {Promise<Object>} Utilisateurs et informations de pagination
+ * @throws {Error} Si un paramètre est invalide (400)
+ */
+const getUsers = async ({ role, verified, active, createdFrom, createdTo, q, sort, page, limit } = {}) => {
+    const filter = {};
+    if (role) {
+        filter.role = { $in: String(role).split(',').map(name => name.trim()).filter(Boolean) };
+    }
+    if (verified !== undefined && verified !== '') {
+        if (!['true', 'false'].includes(String(verified))) {
+            throw httpError(400, 'INVALID_QUERY', 'verified doit valoir true ou false');
+        }
+        // Les comptes sans champ verified sont considérés comme non vérifiés
+        filter.verified = String(verified) === 'true' ? true : { $ne: true };
+    }
+    if (active !== undefined && active !== '') {
+        if (!['true', 'false'].includes(String(active))) {
+            throw httpError(400, 'INVALID_QUERY', 'active doit valoir true ou false');
+        }
+        // Les comptes sans champ active sont actifs
+        filter.active = String(active) === 'true' ? { $ne: false } : false;
+    }
+    if (createdFrom || createdTo) {
+        filter.createdAt = {};
+        for (const [name, value, operator] of [['createdFrom', createdFrom, '$gte'], ['createdTo', createdTo, '$lte']]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw httpError(400, 'INVALID_QUERY', `Date invalide pour ${name}`);
+            }
+            filter.createdAt[operator] = date;
+        }
+    }
+    if (q && String(q).trim()) {
+        // Recherche littérale : les caractères spéciaux des expressions régulières sont échappés
+        const pattern = String(q).trim().slice(0, 100).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+            { username: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const itemsPerPage = Math.min(MAX_USERS_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+    return await userModel.findUsers(filter, parseUserSort(sort || '-createdAt'), currentPage, itemsPerPage);
 };
 
 /**
@@ -93,36 +757,382 @@ const getUserById = async (userId) => {
 };
 
 /**
- * Met à jour un utilisateur
+ * Récupère un utilisateur avec les seuls champs que l'appelant peut voir
+ * Le propriétaire et les détenteurs de la permission user.read voient le compte complet (sans mot de passe),
+ * les autres le profil public. La recherche par email est réservée aux premiers : elle révélerait l'adresse.
+ * @param {Object} lookup - Critère de recherche : { id }, { email } ou { username }
+ * @param {Object} viewer - Utilisateur connecté (req.user)
+ * @returns {Promise<Object|null>} Utilisateur trouvé ou null
+ */
+const getVisibleUser = async ({ id, email, username }, viewer) => {
+    const find = (visibility) => {
+        if (id !== undefined) return userModel.findUserById(id, visibility);
+        if (email !== undefined) return userModel.findUserByEmail(email, visibility);
+        return userModel.findUserByUsername(username, visibility);
+    };
+
+    const permissions = await roleService.getEffectivePermissions(viewer);
+    if (roleService.hasPermission(permissions, 'user.read')
+        || roleService.hasPermission(permissions, 'user.read.any')) {
+        return await find('private');
+    }
+
+    const user = await find('public');
+    if (user && String(user._id) === String(viewer.userId)) {
+        return await userModel.findUserById(user._id, 'private');
+    }
+    return email !== undefined ? null : user;
+};
+
+/**
+ * Met à jour un utilisateur (un changement de mot de passe ou une désactivation ferme ses sessions)
  * @param {string} userId - ID de l'utilisateur
  * @param {Object} updateData - Données à mettre à jour
  * @returns {Promise<number>} Nombre d'utilisateurs modifiés
+ * @throws {Error} Si le nouveau mot de passe ne respecte pas la politique (400),
+ * si le nom d'utilisateur ou l'email est déjà pris (409)
  */
 const updateUser = async (userId, updateData) => {
-    // Hachage du mot de passe s'il est fourni
-    if (updateData.password) {
-        updateData.password = await bcrypt.hash(updateData.password, 10);
+    // Contrôle et hachage du mot de passe s'il est fourni
+    const passwordChanged = updateData.password !== undefined;
+    if (passwordChanged) {
+        const user = await userModel.findUserById(userId);
+        await passwordPolicy.assertPasswordAllowed(updateData.password, {
+            username: updateData.username || user?.username,
+            email: updateData.email || user?.email
+        });
+        updateData.password = await hashPassword(updateData.password);
     }
     
     updateData.updatedAt = new Date();
-    return await userModel.updateUserById(userId, updateData);
+    let modifiedCount;
+    try {
+        modifiedCount = await userModel.updateUserById(userId, updateData);
+    } catch (err) {
+        throw duplicateAccountError(err);
+    }
+
+    // Un nouveau mot de passe ou une désactivation invalide toutes les sessions existantes
+    if ((passwordChanged || updateData.active === false) && modifiedCount > 0) {
+        await revokeUserTokens(userId);
+    }
+    // Les articles affichent le nom d'utilisateur courant de leur auteur
+    if (typeof updateData.username === 'string' && modifiedCount > 0) {
+        await articleService.renameAuthorService(userId, updateData.username);
+    }
+    return modifiedCount;
 };
 
+// Champs modifiables par l'utilisateur sur son propre profil
+const SELF_EDITABLE_FIELDS = ['username', 'email', 'displayName', 'bio', 'avatarUrl'];
+// Champs facultatifs du profil public (null ou chaîne vide pour les effacer) et leur longueur maximale
+const PUBLIC_PROFILE_FIELDS = { displayName: 60, bio: 500, avatarUrl: 500 };
+
 /**
- * Supprime un utilisateur
+ * Valide un champ facultatif du profil public
+ * @param {string} field - Nom du champ
+ * @param {*} value - Valeur proposée
+ * @returns {string|null} Valeur nettoyée, ou null pour effacer le champ
+ * @throws {Error} Si la valeur est invalide (400)
+ */
+const normalizeProfileField = (field, value) => {
+    if (value === null || (typeof value === 'string' && value.trim() === '')) return null;
+    if (typeof value !== 'string' || value.trim().length > PUBLIC_PROFILE_FIELDS[field]) {
+        throw httpError(400, 'INVALID_PROFILE', `Le champ ${field} est invalide (${PUBLIC_PROFILE_FIELDS[field]} caractères au plus)`);
+    }
+    const trimmed = value.trim();
+    if (field === 'avatarUrl' && !/^https?:\/\/[^\s/]+\S*$/i.test(trimmed)) {
+        throw httpError(400, 'INVALID_PROFILE', 'Le champ avatarUrl doit être une adresse http(s)');
+    }
+    return trimmed;
+};
+
+/**
+ * Met à jour le profil de l'utilisateur connecté (champs autorisés uniquement)
  * @param {string} userId - ID de l'utilisateur
- * @returns {Promise<number>} Nombre d'utilisateurs supprimés
+ * @param {Object} profileData - Données du profil
+ * @returns {Promise<number>} Nombre d'utilisateurs modifiés
+ * @throws {Error} Si aucun champ modifiable n'est fourni ou si un champ est invalide (400),
+ * si le nom d'utilisateur ou l'email est déjà pris (409)
+ */
+const updateProfile = async (userId, profileData) => {
+    const updateData = {};
+    for (const field of SELF_EDITABLE_FIELDS) {
+        if (profileData[field] === undefined) continue;
+        if (PUBLIC_PROFILE_FIELDS[field]) {
+            updateData[field] = normalizeProfileField(field, profileData[field]);
+            continue;
+        }
+        if (typeof profileData[field] !== 'string' || profileData[field].trim() === '') {
+            throw httpError(400, 'INVALID_PROFILE', `Le champ ${field} est invalide`);
+        }
+        updateData[field] = profileData[field].trim();
+    }
+    if (updateData.username === articleService.DELETED_AUTHOR_NAME) {
+        throw httpError(400, 'RESERVED_USERNAME', 'Ce nom d\'utilisateur est réservé');
+    }
+
+    if (Object.keys(updateData).length === 0) {
+        throw httpError(400, 'INVALID_PROFILE', `Aucun champ modifiable fourni (${SELF_EDITABLE_FIELDS.join(', ')})`);
+    }
+
+    // Une nouvelle adresse email doit être confirmée à nouveau
+    const user = await userModel.findUserById(userId);
+    const emailChanged = !!user && updateData.email !== undefined && updateData.email !== user.email;
+    if (emailChanged) {
+        updateData.verified = false;
+    }
+
+    let modifiedCount;
+    try {
+        modifiedCount = await userModel.updateUserById(userId, updateData);
+    } catch (err) {
+        throw duplicateAccountError(err);
+    }
+
+    // Les articles affichent le nom d'utilisateur courant de leur auteur
+    if (user && updateData.username !== undefined && updateData.username !== user.username) {
+        await articleService.renameAuthorService(userId, updateData.username);
+    }
+    if (emailChanged) {
+        await sendVerificationEmail({ ...user, ...updateData });
+    }
+    return modifiedCount;
+};
+
+/**
+ * Change le mot de passe de l'utilisateur connecté
+ * Exige le mot de passe actuel et révoque toutes les autres sessions
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @param {string} newPassword - Nouveau mot de passe
+ * @param {string} [currentFamily] - Famille de jetons de la session courante (conservée)
+ * @returns {Promise<boolean>} false si le mot de passe actuel est incorrect
+ * @throws {Error} Si le nouveau mot de passe ne respecte pas la politique (400)
+ */
+const changePassword = async (userId, currentPassword, newPassword, currentFamily) => {
+    const user = await userModel.findUserById(userId);
+    if (!user || !user.password) return false;
+
+    // Vérification du mot de passe actuel
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return false;
+
+    await passwordPolicy.assertPasswordAllowed(newPassword, { username: user.username, email: user.email });
+    await userModel.updateUserById(userId, { password: await hashPassword(newPassword) });
+
+    // Invalidation des autres sessions de l'utilisateur
+    await revokeUserTokens(userId, currentFamily);
+    return true;
+};
+
+/**
+ * Demande de réinitialisation de mot de passe
+ * Envoie un lien à usage unique si l'email correspond à un compte (sans le révéler à l'appelant)
+ * @param {string} email - Email du compte
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+    if (!email || typeof email !== 'string') return;
+
+    const user = await userModel.findUserByEmail(email);
+    if (!user) return;
+
+    // Un seul lien valide à la fois par utilisateur
+    await passwordResetModel.invalidatePasswordResetsByUser(user._id);
+
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+    await passwordResetModel.createPasswordReset({
+        userId: user._id,
+        tokenHash: hashToken(resetToken),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    const resetUrl = `${APP_BASE_URL}/reset-password?token=${resetToken}`;
+    await mailService.sendMail({
+        to: user.email,
+        subject: 'Réinitialisation de votre mot de passe',
+        text: `Bonjour ${user.username},\n\n` +
+            `Pour choisir un nouveau mot de passe, utilisez ce lien (valable ${PASSWORD_RESET_TTL_MINUTES} minutes) :\n` +
+            `${resetUrl}\n\n` +
+            `Jeton : ${resetToken}\n\n` +
+            'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email.'
+    });
+};
+
+/**
+ * Réinitialise un mot de passe à l'aide d'un jeton à usage unique
+ * Révoque toutes les sessions de l'utilisateur
+ * @param {string} resetToken - Jeton reçu par email
+ * @param {string} newPassword - Nouveau mot de passe
+ * @returns {Promise<boolean>} false si le jeton est invalide, expiré ou déjà utilisé
+ * @throws {Error} Si le nouveau mot de passe ne respecte pas la politique (400, le jeton reste utilisable)
+ */
+const resetPassword = async (resetToken, newPassword) => {
+    if (!resetToken || typeof resetToken !== 'string') return false;
+
+    // Le mot de passe est contrôlé avant de consommer le jeton
+    const pending = await passwordResetModel.findValidPasswordReset(hashToken(resetToken));
+    if (!pending) return false;
+    const user = await userModel.findUserById(pending.userId);
+    await passwordPolicy.assertPasswordAllowed(newPassword, { username: user?.username, email: user?.email });
+
+    const reset = await passwordResetModel.consumePasswordReset(hashToken(resetToken));
+    if (!reset) return false;
+
+    await userModel.updateUserById(reset.userId, { password: await hashPassword(newPassword) });
+
+    // Les autres liens en attente et toutes les sessions deviennent invalides
+    await passwordResetModel.invalidatePasswordResetsByUser(reset.userId);
+    await revokeUserTokens(reset.userId);
+    return true;
+};
+
+/**
+ * Change le rôle d'un utilisateur et enregistre le changement
+ * Les sessions de l'utilisateur sont révoquées pour que le nouveau rôle s'applique immédiatement
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} role - Nouveau rôle
+ * @param {Object} options - Contexte du changement
+ * @param {string} options.changedBy - ID de l'utilisateur à l'origine du changement
+ * @param {string} options.source - Origine du changement ('admin' ou 'invite')
+ * @param {string} [options.reason] - Motif du changement
+ * @returns {Promise<Object|null>} Ancien et nouveau rôle ou null si l'utilisateur n'existe pas
+ * @throws {Error} Si le rôle est inconnu (400) ou s'il s'agit de rétrograder le dernier admin (409)
+ */
+const changeUserRole = async (userId, role, { changedBy, source, reason }) => {
+    // Les rôles attribuables sont ceux définis dans la collection roles
+    if (!await roleService.roleExists(role)) {
+        throw httpError(400, 'INVALID_ROLE', 'Rôle inconnu');
+    }
+
+    const user = await userModel.findUserById(userId);
+    if (!user) return null;
+    if (user.role === role) return { from: user.role, to: role };
+
+    // Le dernier administrateur ne peut pas être rétrogradé
+    if (user.role === 'admin' && await userModel.countUsersByRole('admin') <= 1) {
+        throw httpError(409, 'LAST_ADMIN', 'Impossible de rétrograder le dernier administrateur');
+    }
+
+    await userModel.updateUserById(userId, { role });
+    await roleChangeModel.recordRoleChange({
+        userId,
+        from: user.role || null,
+        to: role,
+        changedBy,
+        source,
+        reason: reason || null
+    });
+    await revokeUserTokens(userId);
+
+    return { from: user.role || null, to: role };
+};
+
+/**
+ * Récupère l'historique des changements de rôle d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Changements de rôle
+ */
+const getRoleHistory = async (userId) => {
+    return await roleChangeModel.findRoleChangesByUser(userId);
+};
+
+/**
+ * Crée un code d'invitation à usage unique portant un rôle
+ * @param {string} role - Rôle attribué à l'inscription
+ * @param {string} createdBy - ID de l'administrateur créateur
+ * @param {number} [expiresInDays] - Durée de validité en jours
+ * @returns {Promise<Object>} Invitation créée avec le code en clair (affiché une seule fois)
+ * @throws {Error} Si le rôle est inconnu ou la durée invalide (400)
+ */
+const createInvite = async (role, createdBy, expiresInDays = INVITE_TTL_DAYS) => {
+    // Les rôles attribuables sont ceux définis dans la collection roles
+    if (!await roleService.roleExists(role)) {
+        throw httpError(400, 'INVALID_ROLE', 'Rôle inconnu');
+    }
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 365) {
+        throw httpError(400, 'INVALID_EXPIRY', 'La durée de validité doit être comprise entre 1 et 365 jours');
+    }
+
+    const code = crypto.randomBytes(12).toString('base64url');
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const inviteId = await inviteModel.createInvite({
+        codeHash: hashToken(code),
+        role,
+        createdBy,
+        expiresAt
+    });
+
+    return { inviteId, code, role, expiresAt };
+};
+
+/**
+ * Liste les invitations
+ * @returns {Promise<Array>} Invitations (sans les codes)
+ */
+const getInvites = async () => {
+    return await inviteModel.findAllInvites();
+};
+
+/**
+ * Révoque une invitation non utilisée
+ * @param {string} inviteId - ID de l'invitation
+ * @returns {Promise<number>} Nombre d'invitations révoquées
+ */
+const revokeInvite = async (inviteId) => {
+    return await inviteModel.revokeInvite(inviteId);
+};
+
+/**
+ * Liste les comptes et adresses IP en délai ou verrouillés après des échecs de connexion
+ * @returns {Promise<Array>} Suivis actifs
+ */
+const getLoginLocks = async () => {
+    return await loginGuard.getLocks();
+};
+
+/**
+ * Déverrouille un compte ou une adresse IP
+ * @param {string} key - Clé suivie (ex: "account:<email>" ou "ip:<adresse>")
+ * @returns {Promise<number>} Nombre de suivis supprimés
  */
-const deleteUser = async (userId) => {
-    return await userModel.deleteUserById(userId);
+const clearLoginLock = async (key) => {
+    return await loginGuard.clearLock(key);
 };
 
 module.exports = {
     registerUser,
+    verifyEmail,
+    resendVerificationEmail,
+    markUserVerified,
     loginUser,
+    verifyChallengeToken,
+    completeTwoFactorLogin,
+    confirmTwoFactorSetup,
+    startExternalSession,
+    refreshTokens,
+    logoutUser,
+    revokeUserTokens,
     verifyToken,
-    getAllUsers,
+    isTokenRevoked,
+    touchSession,
+    getSessions,
+    revokeSession,
+    getUsers,
     getUserById,
+    getVisibleUser,
     updateUser,
-    deleteUser
+    updateProfile,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    changeUserRole,
+    getRoleHistory,
+    createInvite,
+    getInvites,
+    revokeInvite,
+    getLoginLocks,
+    clearLoginLock
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Service des profils publics d'auteurs
+ * Assemble le profil public d'un compte et un aperçu de ses articles publiés, sans aucune donnée privée
+ */
+
+const dotenv = require('dotenv'); // Variables d'environnement
+const userModel = require('../models/user.model'); // Profil public
+const articleModel = require('../models/article.model'); // Articles de l'auteur
+const { PUBLISHED_FILTER } = require('./article.services'); // Seuls les articles publiés sont publics
+
+dotenv.config(); // Charge les variables
+
+// Nombre d'articles récents affichés sur un profil
+const RECENT_ARTICLES = parseInt(process.env.AUTHOR_RECENT_ARTICLES) || 5;
+
+/**
+ * Récupère le profil public d'un auteur
+ * @param {string} username - Nom d'utilisateur
+ * @returns {Promise<Object|null>} Profil public, ou null si le compte n'existe pas ou est désactivé
+ */
+const getAuthorProfile = async (username) => {
+    const user = await userModel.findPublicProfile(username);
+    if (!user) return null;
+
+    const [articleCount, recentArticles] = await Promise.all([
+        articleModel.countArticlesByAuthorId(user._id, PUBLISHED_FILTER),
+        articleModel.getRecentArticlesByAuthorId(user._id, RECENT_ARTICLES, PUBLISHED_FILTER)
+    ]);
+
+    return {
+        username: user.username,
+        displayName: user.displayName || user.username,
+        bio: user.bio || null,
+        avatarUrl: user.avatarUrl || null,
+        memberSince: user.createdAt || null,
+        articleCount,
+        recentArticles
+    };
+};
+
+module.exports = {
+    getAuthorProfile
+};
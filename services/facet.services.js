@@ -0,0 +1,101 @@
+/**
+ * Service des filtres et facettes des listes d'articles
+ * Traduit les paramètres de requête (catégorie, journal, auteur, dates) en critère MongoDB
+ * et compte les articles par valeur de facette pour l'affichage des filtres ("Science (42)")
+ */
+
+const articleModel = require('../models/article.model'); // Agrégation des facettes
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+// Facettes à valeurs multiples : paramètre de requête -> champ de l'article
+const FACET_FIELDS = ['category', 'journalName', 'author'];
+// Intervalles de dates : champ de l'article -> paramètres de début et de fin
+const DATE_RANGES = {
+    createdAt: ['createdFrom', 'createdTo'],
+    updatedAt: ['updatedFrom', 'updatedTo']
+};
+const MAX_FILTER_VALUES = 20; // Valeurs acceptées par facette
+const FACET_LIMIT = 20; // Valeurs renvoyées par facette, les plus fréquentes d'abord
+
+/**
+ * Lit un paramètre à valeurs multiples : répété (?category=a&category=b) ou séparé par des virgules (?category=a,b)
+ * @param {*} value - Valeur reçue
+ * @param {string} name - Nom du paramètre (message d'erreur)
+ * @returns {Array<string>} Valeurs, vide si le paramètre est absent
+ * @throws {Error} Si trop de valeurs sont demandées (400)
+ */
+const parseMultiValue = (value, name) => {
+    const values = [...new Set([].concat(value || [])
+        .filter(item => typeof item === 'string')
+        .flatMap(item => item.split(','))
+        .map(item => item.trim())
+        .filter(Boolean))];
+    if (values.length > MAX_FILTER_VALUES) {
+        throw httpError(400, 'INVALID_FILTER', `Au plus ${MAX_FILTER_VALUES} valeurs pour ${name}`);
+    }
+    return values;
+};
+
+/**
+ * Analyse les filtres d'une liste d'articles
+ * Plusieurs valeurs d'une même facette se combinent en OU, les différents filtres en ET.
+ * @param {Object} query - Paramètres de requête (req.query)
+ * @param {string|Array<string>} [query.category] - Catégories
+ * @param {string|Array<string>} [query.journalName] - Journaux
+ * @param {string|Array<string>} [query.author] - Auteurs (nom d'utilisateur)
+ * @param {string} [query.createdFrom] - Créé à partir de (ISO 8601)
+ * @param {string} [query.createdTo] - Créé jusqu'à (ISO 8601)
+ * @param {string} [query.updatedFrom] - Modifié à partir de (ISO 8601)
+ * @param {string} [query.updatedTo] - Modifié jusqu'à (ISO 8601)
+ * @returns {Object} { facets: critère par facette, dates: critère des intervalles de dates }
+ * @throws {Error} Si une date ou un nombre de valeurs est invalide (400)
+ */
+const parseArticleFilters = (query = {}) => {
+    const facets = {};
+    for (const field of FACET_FIELDS) {
+        const values = parseMultiValue(query[field], field);
+        if (values.length > 0) facets[field] = { $in: values };
+    }
+
+    const dates = {};
+    for (const [field, [fromParam, toParam]] of Object.entries(DATE_RANGES)) {
+        for (const [param, operator] of [[fromParam, '$gte'], [toParam, '$lte']]) {
+            if (!query[param]) continue;
+            const date = new Date(query[param]);
+            if (typeof query[param] !== 'string' || Number.isNaN(date.getTime())) {
+                throw httpError(400, 'INVALID_FILTER', `Date invalide pour ${param}`);
+            }
+            dates[field] = { ...dates[field], [operator]: date };
+        }
+    }
+    return { facets, dates };
+};
+
+/**
+ * Construit le critère MongoDB correspondant aux filtres
+ * @param {Object} filters - Filtres analysés par parseArticleFilters
+ * @returns {Object} Critère de sélection
+ */
+const toMatch = ({ facets, dates }) => ({ ...dates, ...facets });
+
+/**
+ * Compte les articles par valeur de chaque facette
+ * Chaque facette est comptée sans son propre filtre (mais avec tous les autres) : la barre latérale
+ * continue d'afficher les autres catégories quand une catégorie est sélectionnée.
+ * @param {Object} baseMatch - Critère commun (statut, recherche texte...)
+ * @param {Object} filters - Filtres analysés par parseArticleFilters
+ * @returns {Promise<Object>} { category: [{ value, count }], journalName: [...], author: [...] }
+ */
+const getFacetCounts = async (baseMatch, { facets, dates }) => {
+    const facetMatches = Object.fromEntries(FACET_FIELDS.map(field => {
+        const { [field]: ownFilter, ...otherFacets } = facets;
+        return [field, otherFacets];
+    }));
+    return await articleModel.getArticleFacets({ ...baseMatch, ...dates }, facetMatches, FACET_LIMIT);
+};
+
+module.exports = {
+    parseArticleFilters,
+    toMatch,
+    getFacetCounts
+};
@@ -0,0 +1,238 @@
+/**
+ * Service de protection contre la force brute sur la connexion
+ * Applique des délais progressifs puis un verrouillage temporaire, par compte et par adresse IP
+ */
+
+const dotenv = require('dotenv'); // Variables d'environnement
+const loginAttemptModel = require('../models/loginAttempt.model'); // Suivi des échecs en base
+
+dotenv.config(); // Charge les variables
+
+// Politique de verrouillage
+const MAX_FAILURES_PER_ACCOUNT = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15; // Oubli des échecs après inactivité
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+const DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30000;
+
+/**
+ * Store en mémoire (par défaut) : adapté à une instance unique
+ */
+const createMemoryStore = () => {
+    const attempts = new Map();
+
+    // Supprime les suivis expirés
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, attempt] of attempts) {
+            if (attempt.expiresAt.getTime() <= now) attempts.delete(key);
+        }
+    };
+
+    return {
+        get: async (key) => {
+            const attempt = attempts.get(key);
+            if (!attempt) return null;
+            if (attempt.expiresAt.getTime() <= Date.now()) {
+                attempts.delete(key);
+                return null;
+            }
+            return { ...attempt, key };
+        },
+        // Sans await, lecture et écriture s'enchaînent sans qu'une autre requête s'intercale
+        increment: async (key, { now, expiresAt }) => {
+            if (attempts.size > 10000) sweep(); // Borne la mémoire en cas d'attaque distribuée
+            const attempt = attempts.get(key);
+            const restart = !attempt || attempt.expiresAt <= now || (attempt.lockedUntil && attempt.lockedUntil <= now);
+            const failures = restart ? 1 : attempt.failures + 1;
+            attempts.set(key, {
+                failures,
+                lockedUntil: restart ? null : attempt.lockedUntil,
+                nextAttemptAt: restart ? null : attempt.nextAttemptAt,
+                expiresAt: restart || expiresAt > attempt.expiresAt ? expiresAt : attempt.expiresAt,
+                lastFailureAt: now,
+                updatedAt: now
+            });
+            return failures;
+        },
+        extend: async (key, delays) => {
+            const attempt = attempts.get(key);
+            if (!attempt) return;
+            for (const [field, date] of Object.entries(delays)) {
+                if (date && !(attempt[field] >= date)) attempt[field] = date;
+            }
+        },
+        delete: async (key) => {
+            return attempts.delete(key) ? 1 : 0;
+        },
+        list: async () => {
+            sweep();
+            return [...attempts.entries()]
+                .map(([key, attempt]) => ({ ...attempt, key }))
+                .sort((a, b) => b.updatedAt - a.updatedAt);
+        }
+    };
+};
+
+/**
+ * Store MongoDB : partagé entre plusieurs instances de l'API
+ */
+const createMongoStore = () => ({
+    get: loginAttemptModel.findAttemptByKey,
+    increment: loginAttemptModel.incrementAttempt,
+    extend: loginAttemptModel.extendAttempt,
+    delete: loginAttemptModel.deleteAttempt,
+    list: loginAttemptModel.findActiveAttempts
+});
+
+// Stores disponibles, indexés par nom
+const storeFactories = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+let store = (storeFactories[process.env.LOGIN_GUARD_STORE] || createMemoryStore)();
+
+/**
+ * Remplace le store utilisé (store personnalisé ou nom d'un store intégré)
+ * Un store personnalisé doit incrémenter les échecs de façon atomique (increment) et ne jamais
+ * raccourcir un délai déjà enregistré (extend), sans quoi des échecs simultanés échappent au verrouillage.
+ * @param {string|Object} storeOrName - 'memory', 'mongo' ou objet exposant get/increment/extend/delete/list
+ * @throws {Error} Si le store est inconnu ou incomplet
+ */
+const setStore = (storeOrName) => {
+    if (typeof storeOrName === 'string') {
+        if (!storeFactories[storeOrName]) {
+            throw new Error(`Store de verrouillage inconnu: ${storeOrName}`);
+        }
+        store = storeFactories[storeOrName]();
+        return;
+    }
+    const required = ['get', 'increment', 'extend', 'delete', 'list'];
+    if (!storeOrName || required.some(method => typeof storeOrName[method] !== 'function')) {
+        throw new Error(`Un store doit exposer les méthodes ${required.join(', ')}`);
+    }
+    store = storeOrName;
+};
+
+/**
+ * Construit les clés suivies pour une tentative de connexion
+ * @param {string} email - Email saisi
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Array<Object>} Clés et seuils associés
+ */
+const buildKeys = (email, ip) => {
+    const keys = [];
+    // Seul un email textuel désigne un compte (un objet donnerait une clé commune « [object Object] »)
+    if (typeof email === 'string' && email) keys.push({ key: `account:${email.toLowerCase()}`, maxFailures: MAX_FAILURES_PER_ACCOUNT });
+    if (ip) keys.push({ key: `ip:${ip}`, maxFailures: MAX_FAILURES_PER_IP });
+    return keys;
+};
+
+/**
+ * Crée une erreur de limitation portant un statut HTTP et un délai d'attente
+ * @param {string} code - Code d'erreur stable
+ * @param {string} message - Message d'erreur
+ * @param {Date} until - Date à partir de laquelle une nouvelle tentative est possible
+ * @returns {Error} Erreur enrichie
+ */
+const throttleError = (code, message, until) => {
+    const err = new Error(message);
+    err.status = 429;
+    err.code = code;
+    err.retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000)); // En secondes
+    return err;
+};
+
+/**
+ * Vérifie qu'une tentative de connexion est autorisée
+ * @param {string} email - Email saisi
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Promise<void>}
+ * @throws {Error} Si le compte ou l'adresse est verrouillé ou doit encore attendre (status 429)
+ */
+const assertLoginAllowed = async (email, ip) => {
+    const now = new Date();
+    for (const { key } of buildKeys(email, ip)) {
+        const attempt = await store.get(key);
+        if (!attempt) continue;
+
+        if (attempt.lockedUntil && attempt.lockedUntil > now) {
+            throw throttleError(
+                'LOGIN_LOCKED',
+                'Trop de tentatives échouées, connexion temporairement verrouillée',
+                attempt.lockedUntil
+            );
+        }
+        if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+            throw throttleError(
+                'LOGIN_THROTTLED',
+                'Tentative trop rapprochée, veuillez patienter',
+                attempt.nextAttemptAt
+            );
+        }
+    }
+};
+
+/**
+ * Enregistre un échec de connexion (délai progressif puis verrouillage)
+ * Le compteur est incrémenté de façon atomique : une rafale de tentatives simultanées compte
+ * autant d'échecs qu'elle contient de requêtes. Le délai découle du nombre renvoyé.
+ * @param {string} email - Email saisi
+ * @param {string} [ip] - Adresse IP du client
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (email, ip) => {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000);
+    for (const { key, maxFailures } of buildKeys(email, ip)) {
+        // Un suivi expiré ou un verrou levé repart de zéro
+        const failures = await store.increment(key, { now, expiresAt: windowEnd });
+
+        if (failures >= maxFailures) {
+            const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+            await store.extend(key, { lockedUntil, expiresAt: lockedUntil > windowEnd ? lockedUntil : windowEnd });
+        } else {
+            // Délai doublé à chaque échec : 1s, 2s, 4s... plafonné
+            const delay = Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS);
+            await store.extend(key, { nextAttemptAt: new Date(now.getTime() + delay) });
+        }
+    }
+};
+
+/**
+ * Réinitialise le suivi du compte après une connexion réussie
+ * Le suivi par IP est conservé : un compte valide ne doit pas blanchir une adresse attaquante
+ * @param {string} email - Email du compte
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (email) => {
+    await store.delete(`account:${String(email).toLowerCase()}`);
+};
+
+/**
+ * Liste les suivis actifs (comptes et adresses en délai ou verrouillés)
+ * @returns {Promise<Array>} Suivis actifs
+ */
+const getLocks = async () => {
+    return await store.list();
+};
+
+/**
+ * Supprime le suivi d'une clé (déverrouillage manuel)
+ * @param {string} key - Clé suivie (ex: "account:<email>" ou "ip:<adresse>")
+ * @returns {Promise<number>} Nombre de suivis supprimés
+ */
+const clearLock = async (key) => {
+    return await store.delete(key);
+};
+
+module.exports = {
+    setStore,
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getLocks,
+    clearLock
+};
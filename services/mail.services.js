@@ -0,0 +1,106 @@
+/**
+ * Service d'envoi d'emails
+ * Abstraction au-dessus de transports interchangeables (fichier, console, ou transport personnalisé)
+ */
+
+const fs = require('fs'); // Écriture des emails dans la boîte d'envoi locale
+const path = require('path'); // Gestion des chemins de fichiers
+const crypto = require('crypto'); // Identifiants uniques des emails
+const dotenv = require('dotenv'); // Variables d'environnement
+
+dotenv.config(); // Charge les variables
+
+// Configuration de l'expéditeur et de la boîte d'envoi locale
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+/**
+ * Transport fichier : écrit chaque email en JSON dans la boîte d'envoi
+ * Permet d'exercer les parcours par email hors ligne
+ */
+const fileTransport = {
+    send: async (mail) => {
+        await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+        const filePath = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${mail.id}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify(mail, null, 2));
+        return { id: mail.id, path: filePath };
+    }
+};
+
+/**
+ * Transport console : affiche l'email dans les logs
+ */
+const consoleTransport = {
+    send: async (mail) => {
+        console.log(`📧 Email à ${mail.to} : ${mail.subject}\n${mail.text}`);
+        return { id: mail.id };
+    }
+};
+
+// Transports disponibles, indexés par nom
+const transports = {
+    file: fileTransport,
+    console: consoleTransport
+};
+
+// Transport actif (configurable via MAIL_TRANSPORT)
+let activeTransport = process.env.MAIL_TRANSPORT || 'file';
+
+/**
+ * Enregistre un transport personnalisé (SMTP, API tierce...)
+ * @param {string} name - Nom du transport
+ * @param {Object} transport - Objet exposant une méthode async send(mail)
+ * @throws {Error} Si le transport n'expose pas de méthode send
+ */
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Un transport doit exposer une méthode send(mail)');
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Sélectionne le transport utilisé pour les envois
+ * @param {string} name - Nom d'un transport enregistré
+ * @throws {Error} Si le transport est inconnu
+ */
+const setTransport = (name) => {
+    if (!transports[name]) {
+        throw new Error(`Transport email inconnu: ${name}`);
+    }
+    activeTransport = name;
+};
+
+/**
+ * Envoie un email via le transport actif
+ * @param {Object} message - Email à envoyer
+ * @param {string} message.to - Destinataire
+ * @param {string} message.subject - Sujet
+ * @param {string} message.text - Corps en texte brut
+ * @param {string} [message.html] - Corps HTML
+ * @returns {Promise<Object>} Résultat du transport
+ * @throws {Error} Si le transport actif est inconnu
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const transport = transports[activeTransport];
+    if (!transport) {
+        throw new Error(`Transport email inconnu: ${activeTransport}`);
+    }
+
+    const mail = {
+        id: crypto.randomUUID(),
+        from: MAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+        sentAt: new Date().toISOString()
+    };
+    return await transport.send(mail);
+};
+
+module.exports = {
+    registerTransport,
+    setTransport,
+    sendMail
+};
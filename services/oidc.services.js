@@ -0,0 +1,376 @@
+/**
+ * Service de connexion via des fournisseurs OpenID Connect (SSO)
+ * Flux authorization code + PKCE, liaison des identités externes aux comptes par email vérifié
+ */
+
+const crypto = require('crypto'); // PKCE, state, nonce et clés publiques JWK
+const jwt = require('jsonwebtoken'); // Vérification de l'id_token
+const dotenv = require('dotenv'); // Variables d'environnement
+const oidcModel = require('../models/oidc.model'); // Demandes en cours et identités liées
+const userModel = require('../models/user.model'); // Modèle utilisateur
+const authService = require('./auth.services'); // Ouverture de session
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+const OIDC_STATE_TTL_MINUTES = parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10; // Délai pour revenir du fournisseur
+const DISCOVERY_CACHE_SECONDS = 3600; // Durée de cache des documents de découverte et des JWKS
+const CLOCK_TOLERANCE_SECONDS = 60; // Tolérance de décalage d'horloge avec le fournisseur
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'];
+
+// URL publique utilisée pour construire l'URL de retour (redirect_uri)
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Caches en mémoire : issuer -> { value, expiresAt }
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Lit la configuration des fournisseurs (variable OIDC_PROVIDERS, objet JSON indexé par identifiant)
+ * Exemple : {"newsroom": {"issuer": "https://sso.example.com", "clientId": "news-api", "clientSecret": "..."}}
+ * @returns {Object} Fournisseurs configurés
+ */
+const loadProviders = () => {
+    if (!process.env.OIDC_PROVIDERS) return {};
+    try {
+        return JSON.parse(process.env.OIDC_PROVIDERS);
+    } catch (err) {
+        console.error('❌ OIDC_PROVIDERS invalide (JSON attendu):', err.message);
+        return {};
+    }
+};
+
+const providers = loadProviders();
+
+/**
+ * Récupère la configuration d'un fournisseur
+ * @param {string} providerId - Identifiant du fournisseur
+ * @returns {Object} Configuration complétée des valeurs par défaut
+ * @throws {Error} Si le fournisseur n'est pas configuré (404)
+ */
+const getProvider = (providerId) => {
+    const provider = Object.prototype.hasOwnProperty.call(providers, providerId) ? providers[providerId] : null;
+    if (!provider || !provider.issuer || !provider.clientId) {
+        throw httpError(404, 'UNKNOWN_PROVIDER', 'Fournisseur d\'identité inconnu');
+    }
+    return {
+        name: providerId,
+        scope: 'openid email profile',
+        autoProvision: false,
+        ...provider,
+        id: providerId,
+        issuer: provider.issuer.replace(/\/$/, ''),
+        redirectUri: provider.redirectUri || `${APP_BASE_URL}/api/v1/auth/oidc/${providerId}/callback`
+    };
+};
+
+/**
+ * Liste les fournisseurs configurés (sans secret)
+ * @returns {Array<Object>} Identifiant et libellé de chaque fournisseur
+ */
+const listProviders = () => {
+    return Object.keys(providers).map(id => ({
+        id,
+        name: providers[id].name || id,
+        loginUrl: `/api/v1/auth/oidc/${id}/login`
+    }));
+};
+
+/**
+ * Télécharge un document JSON avec mise en cache
+ * @param {Map} cache - Cache à utiliser
+ * @param {string} url - URL du document
+ * @param {boolean} [forceRefresh] - Ignore le cache (rotation de clés)
+ * @returns {Promise<Object>} Document JSON
+ * @throws {Error} Si le fournisseur est injoignable (502)
+ */
+const fetchJson = async (cache, url, forceRefresh = false) => {
+    const cached = cache.get(url);
+    if (!forceRefresh && cached && cached.expiresAt > Date.now()) return cached.value;
+
+    let response;
+    try {
+        response = await fetch(url, { headers: { Accept: 'application/json' } });
+    } catch (err) {
+        throw httpError(502, 'PROVIDER_UNREACHABLE', `Fournisseur d'identité injoignable: ${err.message}`);
+    }
+    if (!response.ok) {
+        throw httpError(502, 'PROVIDER_ERROR', `Réponse inattendue du fournisseur (${response.status})`);
+    }
+    const value = await response.json();
+    cache.set(url, { value, expiresAt: Date.now() + DISCOVERY_CACHE_SECONDS * 1000 });
+    return value;
+};
+
+/**
+ * Récupère le document de découverte OpenID du fournisseur
+ * @param {Object} provider - Configuration du fournisseur
+ * @returns {Promise<Object>} Métadonnées (authorization_endpoint, token_endpoint, jwks_uri...)
+ */
+const discover = async (provider) => {
+    const metadata = await fetchJson(discoveryCache, `${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer && metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+        throw httpError(502, 'PROVIDER_ERROR', 'Issuer du document de découverte différent de la configuration');
+    }
+    return metadata;
+};
+
+/**
+ * Trouve la clé publique de signature de l'id_token (rechargement des JWKS si la clé est inconnue)
+ * @param {string} jwksUri - URL des JWKS du fournisseur
+ * @param {Object} header - En-tête de l'id_token (kid, alg)
+ * @returns {Promise<crypto.KeyObject>} Clé publique
+ * @throws {Error} Si aucune clé ne correspond (401)
+ */
+const getSigningKey = async (jwksUri, header) => {
+    const findKey = (jwks) => (jwks.keys || []).find(key =>
+        (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig')
+    );
+
+    let jwk = findKey(await fetchJson(jwksCache, jwksUri));
+    if (!jwk) {
+        // Le fournisseur a pu renouveler ses clés depuis la mise en cache
+        jwk = findKey(await fetchJson(jwksCache, jwksUri, true));
+    }
+    if (!jwk) {
+        throw httpError(401, 'INVALID_ID_TOKEN', 'Clé de signature de l\'id_token inconnue');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Encode une valeur en base64url
+ * @param {Buffer} buffer - Données
+ * @returns {string} Chaîne base64url
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Démarre une connexion : prépare state, nonce et PKCE puis construit l'URL d'autorisation
+ * @param {string} providerId - Identifiant du fournisseur
+ * @param {Object} [options] - Options de la demande
+ * @param {string} [options.loginHint] - Email pré-rempli chez le fournisseur (paramètre login_hint)
+ * @returns {Promise<string>} URL vers laquelle rediriger le navigateur
+ */
+const buildAuthorizationUrl = async (providerId, { loginHint } = {}) => {
+    const provider = getProvider(providerId);
+    const metadata = await discover(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await oidcModel.createOidcState({
+        state,
+        provider: provider.id,
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    if (loginHint) params.set('login_hint', String(loginHint));
+    url.search = params.toString();
+    return url.toString();
+};
+
+/**
+ * Échange le code d'autorisation contre les jetons du fournisseur
+ * @param {Object} provider - Configuration du fournisseur
+ * @param {Object} metadata - Document de découverte
+ * @param {string} code - Code d'autorisation
+ * @param {string} codeVerifier - Code verifier PKCE de la demande
+ * @returns {Promise<Object>} Réponse du token endpoint (id_token, access_token...)
+ * @throws {Error} Si le fournisseur refuse l'échange (401)
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+
+    let response;
+    try {
+        response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Accept: 'application/json'
+            },
+            body
+        });
+    } catch (err) {
+        throw httpError(502, 'PROVIDER_UNREACHABLE', `Fournisseur d'identité injoignable: ${err.message}`);
+    }
+
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) {
+        throw httpError(401, 'CODE_EXCHANGE_FAILED', `Échange du code refusé par le fournisseur (${tokens.error || response.status})`);
+    }
+    return tokens;
+};
+
+/**
+ * Vérifie l'id_token : signature (JWKS), émetteur, audience, expiration et nonce
+ * @param {Object} provider - Configuration du fournisseur
+ * @param {Object} metadata - Document de découverte
+ * @param {string} idToken - id_token reçu
+ * @param {string} nonce - Nonce de la demande
+ * @returns {Promise<Object>} Claims de l'id_token
+ * @throws {Error} Si l'id_token est invalide (401)
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+        throw httpError(401, 'INVALID_ID_TOKEN', 'id_token invalide ou algorithme non accepté');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header);
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer || provider.issuer,
+            audience: provider.clientId,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (err) {
+        throw httpError(401, 'INVALID_ID_TOKEN', `id_token invalide: ${err.message}`);
+    }
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+        throw httpError(401, 'INVALID_ID_TOKEN', 'Nonce de l\'id_token invalide');
+    }
+    if (!claims.sub) {
+        throw httpError(401, 'INVALID_ID_TOKEN', 'Claim sub absent de l\'id_token');
+    }
+    return claims;
+};
+
+/**
+ * Génère un nom d'utilisateur libre à partir des claims (comptes créés automatiquement)
+ * @param {Object} claims - Claims de l'id_token
+ * @returns {Promise<string>} Nom d'utilisateur disponible
+ */
+const availableUsername = async (claims) => {
+    const base = String(claims.preferred_username || claims.email.split('@')[0])
+        .replace(/[^a-zA-Z0-9._-]/g, '')
+        .slice(0, 30) || 'utilisateur';
+
+    let username = base;
+    while (await userModel.findUserByUsername(username)) {
+        username = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+    return username;
+};
+
+/**
+ * Trouve (ou crée) l'utilisateur correspondant à une identité externe
+ * Une identité déjà liée est reconnue par son sub ; sinon elle est liée au compte de même email vérifié
+ * @param {Object} provider - Configuration du fournisseur
+ * @param {Object} claims - Claims de l'id_token
+ * @returns {Promise<Object>} Utilisateur
+ * @throws {Error} Si l'email n'est pas vérifié (403) ou si aucun compte ne correspond (403)
+ */
+const resolveUser = async (provider, claims) => {
+    const identity = await oidcModel.findIdentity(provider.id, claims.sub);
+    if (identity) {
+        const user = await userModel.findUserById(identity.userId);
+        if (!user) {
+            throw httpError(403, 'OIDC_NO_ACCOUNT', 'Le compte lié à cette identité n\'existe plus');
+        }
+        await oidcModel.touchIdentity(identity._id, claims.email || identity.email);
+        return user;
+    }
+
+    // Sans email vérifié par le fournisseur, impossible de rattacher l'identité à un compte
+    if (!claims.email || claims.email_verified !== true) {
+        throw httpError(403, 'OIDC_EMAIL_NOT_VERIFIED', 'Le fournisseur n\'a pas fourni d\'adresse email vérifiée');
+    }
+
+    let user = await userModel.findUserByEmail(claims.email);
+    if (!user) {
+        if (!provider.autoProvision) {
+            throw httpError(403, 'OIDC_NO_ACCOUNT', 'Aucun compte ne correspond à cette adresse email');
+        }
+        // Compte sans mot de passe : la connexion passe uniquement par le fournisseur
+        const userId = await userModel.createUser({
+            username: await availableUsername(claims),
+            email: claims.email,
+            password: null,
+            role: 'member',
+            verified: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+        user = await userModel.findUserById(userId);
+    } else if (user.verified === false) {
+        // Le fournisseur a vérifié l'adresse : le lien de vérification n'est plus nécessaire
+        await userModel.updateUserById(user._id, { verified: true, verifiedAt: new Date() });
+        user.verified = true;
+    }
+
+    await oidcModel.createIdentity({
+        userId: user._id,
+        provider: provider.id,
+        subject: claims.sub,
+        email: claims.email
+    });
+    return user;
+};
+
+/**
+ * Termine une connexion au retour du fournisseur et ouvre une session (ou demande le second facteur)
+ * @param {string} providerId - Identifiant du fournisseur
+ * @param {Object} params - Paramètres reçus sur l'URL de retour (code, state, error)
+ * @param {Object} [context] - Contexte de la requête (ip, userAgent)
+ * @returns {Promise<Object>} Jetons et info utilisateur, ou jeton intermédiaire 2FA (même format que la connexion par mot de passe)
+ * @throws {Error} Si la demande est inconnue ou expirée (400) ou si la vérification échoue (401/403)
+ */
+const handleCallback = async (providerId, { code, state, error } = {}, context = {}) => {
+    const provider = getProvider(providerId);
+
+    if (error) {
+        throw httpError(401, 'OIDC_DENIED', `Connexion refusée par le fournisseur (${error})`);
+    }
+    if (!code || !state) {
+        throw httpError(400, 'INVALID_CALLBACK', 'Paramètres code et state requis');
+    }
+
+    // Le state est à usage unique et doit provenir d'une demande émise pour ce fournisseur
+    const pending = await oidcModel.consumeOidcState(String(state));
+    if (!pending || pending.provider !== provider.id) {
+        throw httpError(400, 'INVALID_STATE', 'Demande de connexion inconnue ou expirée');
+    }
+
+    const metadata = await discover(provider);
+    const tokens = await exchangeCode(provider, metadata, String(code), pending.codeVerifier);
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+    const user = await resolveUser(provider, claims);
+
+    return await authService.startExternalSession(user, {
+        ...context,
+        authMethod: `oidc:${provider.id}`
+    });
+};
+
+module.exports = {
+    listProviders,
+    buildAuthorizationUrl,
+    handleCallback
+};
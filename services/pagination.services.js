@@ -0,0 +1,84 @@
+/**
+ * Service de pagination par curseur des listes d'articles
+ * Un curseur opaque (base64url) désigne la position (createdAt, _id) d'un article : la page suivante
+ * reprend juste après lui, sans skip ni comptage, et reste stable quand des articles sont publiés
+ * pendant la lecture.
+ */
+
+const { ObjectId } = require('mongodb'); // Pour valider les ObjectId
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+const MAX_PAGE_SIZE = 100; // Nombre maximal d'articles par page
+const DIRECTIONS = ['next', 'prev']; // Sens de lecture à partir de la position du curseur
+
+/**
+ * Construit le curseur désignant un article
+ * @param {Object} article - Article (createdAt, _id)
+ * @param {string} direction - 'next' (articles plus anciens) ou 'prev' (plus récents)
+ * @returns {string} Curseur opaque
+ */
+const encodeCursor = (article, direction) => {
+    const position = { createdAt: new Date(article.createdAt).toISOString(), id: String(article._id), direction };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Lit un curseur
+ * @param {string} cursor - Curseur reçu ; vide pour la première page
+ * @returns {Object|null} { createdAt, _id, direction }, ou null pour la première page
+ * @throws {Error} Si le curseur est illisible (400)
+ */
+const decodeCursor = (cursor) => {
+    if (cursor === '') return null;
+
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        position = null;
+    }
+    const createdAt = new Date(position && position.createdAt);
+    if (!position || typeof position.createdAt !== 'string' || Number.isNaN(createdAt.getTime())
+        || typeof position.id !== 'string' || !ObjectId.isValid(position.id)
+        || !DIRECTIONS.includes(position.direction)) {
+        throw httpError(400, 'INVALID_CURSOR', 'Curseur de pagination invalide');
+    }
+    return { createdAt, _id: new ObjectId(position.id), direction: position.direction };
+};
+
+/**
+ * Lit une page à partir d'un curseur, du plus récent au plus ancien
+ * Un élément de plus que demandé est lu pour savoir si la liste continue.
+ * @param {Function} fetchPage - (position, size) => Promise<Array>, lit size articles après la position
+ * @param {string} cursor - Curseur reçu ; vide pour la première page
+ * @param {number} limit - Nombre d'articles par page (borné à MAX_PAGE_SIZE)
+ * @returns {Promise<Object>} { items, nextCursor, prevCursor, limit } ; un curseur vaut null en bout de liste
+ * @throws {Error} Si le curseur est invalide (400)
+ */
+const paginateByCursor = async (fetchPage, cursor, limit) => {
+    const position = decodeCursor(cursor);
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 10));
+
+    const found = await fetchPage(position, size + 1);
+    const hasMore = found.length > size;
+    const items = found.slice(0, size);
+    const backwards = Boolean(position) && position.direction === 'prev';
+    if (backwards) items.reverse(); // Lus du plus ancien au plus récent
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    return {
+        items,
+        // En arrière, les articles plus anciens existent toujours : ce sont ceux déjà parcourus
+        nextCursor: last && (backwards || hasMore) ? encodeCursor(last, 'next') : null,
+        prevCursor: first && position && (!backwards || hasMore) ? encodeCursor(first, 'prev') : null,
+        limit: size
+    };
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    paginateByCursor
+};
@@ -0,0 +1,155 @@
+/**
+ * Service de politique des mots de passe
+ * Contrôle la longueur, la variété des caractères, l'absence d'informations personnelles
+ * et la présence du mot de passe dans une liste locale de mots de passe compromis
+ */
+
+const fs = require('fs'); // Lecture de la liste des mots de passe compromis
+const path = require('path'); // Chemin par défaut de la liste
+const crypto = require('crypto'); // Empreintes SHA-1 (format des listes Have I Been Pwned)
+const dotenv = require('dotenv'); // Variables d'environnement
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+// Politique configurable
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+const MIN_CHAR_CLASSES = parseInt(process.env.PASSWORD_MIN_CHAR_CLASSES) || 3; // Parmi minuscules, majuscules, chiffres, symboles
+const FORBID_PERSONAL_INFO = process.env.PASSWORD_FORBID_PERSONAL_INFO !== 'false';
+const BREACHED_LIST_FILE = process.env.PASSWORD_BREACHED_LIST_FILE
+    || path.join(__dirname, '..', 'configs', 'breached-passwords.txt');
+const MAX_BYTES = 72; // Au-delà, bcrypt ignore silencieusement la fin du mot de passe
+
+// Classes de caractères reconnues
+const CHAR_CLASSES = [
+    { name: 'minuscules', pattern: /\p{Ll}/u },
+    { name: 'majuscules', pattern: /\p{Lu}/u },
+    { name: 'chiffres', pattern: /\p{Nd}/u },
+    { name: 'symboles', pattern: /[^\p{L}\p{Nd}]/u }
+];
+
+// Liste chargée une seule fois, à la première vérification
+let breachedList = null;
+
+/**
+ * Calcule l'empreinte SHA-1 d'un mot de passe (hexadécimal majuscule)
+ * @param {string} password - Mot de passe
+ * @returns {string} Empreinte
+ */
+const sha1 = (password) => crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+
+/**
+ * Charge la liste des mots de passe compromis
+ * Une ligne par entrée : mot de passe en clair, ou empreinte SHA-1 suivie éventuellement de ':occurrences'
+ * @returns {Promise<Object>} Mots de passe (en minuscules) et empreintes SHA-1
+ */
+const loadBreachedList = () => {
+    if (!breachedList) {
+        breachedList = fs.promises.readFile(BREACHED_LIST_FILE, 'utf8')
+            .then(content => {
+                const list = { passwords: new Set(), hashes: new Set() };
+                for (const line of content.split(/\r?\n/)) {
+                    const entry = line.trim();
+                    if (!entry || entry.startsWith('#')) continue;
+                    if (/^[0-9a-f]{40}(:\d+)?$/i.test(entry)) {
+                        list.hashes.add(entry.slice(0, 40).toUpperCase());
+                    } else {
+                        list.passwords.add(entry.toLowerCase());
+                    }
+                }
+                return list;
+            })
+            .catch(err => {
+                console.error(`❌ Liste des mots de passe compromis indisponible (${BREACHED_LIST_FILE}):`, err.message);
+                return { passwords: new Set(), hashes: new Set() };
+            });
+    }
+    return breachedList;
+};
+
+/**
+ * Indique si un mot de passe figure dans la liste des mots de passe compromis
+ * @param {string} password - Mot de passe
+ * @returns {Promise<boolean>} true si le mot de passe est compromis
+ */
+const isBreached = async (password) => {
+    const list = await loadBreachedList();
+    return list.passwords.has(password.toLowerCase()) || list.hashes.has(sha1(password));
+};
+
+/**
+ * Décrit la politique appliquée (affichage côté client)
+ * @returns {Object} Règles de la politique
+ */
+const getPasswordPolicy = () => ({
+    minLength: MIN_LENGTH,
+    maxBytes: MAX_BYTES,
+    minCharClasses: MIN_CHAR_CLASSES,
+    charClasses: CHAR_CLASSES.map(charClass => charClass.name),
+    forbidPersonalInfo: FORBID_PERSONAL_INFO,
+    breachedCheck: true
+});
+
+/**
+ * Liste les règles non respectées par un mot de passe
+ * @param {string} password - Mot de passe proposé
+ * @param {Object} [personal] - Informations du compte à ne pas retrouver dans le mot de passe
+ * @param {string} [personal.username] - Nom d'utilisateur
+ * @param {string} [personal.email] - Adresse email
+ * @returns {Promise<Array<Object>>} Règles non respectées ({ code, message }), vide si le mot de passe est accepté
+ */
+const checkPassword = async (password, { username, email } = {}) => {
+    if (typeof password !== 'string' || password.length === 0) {
+        return [{ code: 'PASSWORD_REQUIRED', message: 'Mot de passe requis' }];
+    }
+
+    const violations = [];
+    if ([...password].length < MIN_LENGTH) {
+        violations.push({ code: 'PASSWORD_TOO_SHORT', message: `Au moins ${MIN_LENGTH} caractères` });
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+        violations.push({ code: 'PASSWORD_TOO_LONG', message: `Au plus ${MAX_BYTES} octets` });
+    }
+    const classes = CHAR_CLASSES.filter(charClass => charClass.pattern.test(password)).length;
+    if (classes < MIN_CHAR_CLASSES) {
+        violations.push({
+            code: 'PASSWORD_TOO_SIMPLE',
+            message: `Au moins ${MIN_CHAR_CLASSES} types de caractères parmi : ${CHAR_CLASSES.map(charClass => charClass.name).join(', ')}`
+        });
+    }
+    if (FORBID_PERSONAL_INFO) {
+        const lowered = password.toLowerCase();
+        const personalValues = [username, email, typeof email === 'string' ? email.split('@')[0] : null]
+            .filter(value => typeof value === 'string' && value.length >= 3)
+            .map(value => value.toLowerCase());
+        if (personalValues.some(value => lowered.includes(value))) {
+            violations.push({ code: 'PASSWORD_PERSONAL_INFO', message: 'Ne doit contenir ni le nom d\'utilisateur ni l\'adresse email' });
+        }
+    }
+    if (await isBreached(password)) {
+        violations.push({ code: 'PASSWORD_BREACHED', message: 'Ce mot de passe figure dans une liste de mots de passe compromis' });
+    }
+    return violations;
+};
+
+/**
+ * Vérifie qu'un mot de passe respecte la politique
+ * @param {string} password - Mot de passe proposé
+ * @param {Object} [personal] - Nom d'utilisateur et email du compte
+ * @returns {Promise<void>}
+ * @throws {Error} Si une règle n'est pas respectée (400, détail dans err.violations)
+ */
+const assertPasswordAllowed = async (password, personal) => {
+    const violations = await checkPassword(password, personal);
+    if (violations.length > 0) {
+        const err = httpError(400, 'WEAK_PASSWORD', 'Mot de passe refusé par la politique de sécurité');
+        err.violations = violations;
+        throw err;
+    }
+};
+
+module.exports = {
+    getPasswordPolicy,
+    checkPassword,
+    assertPasswordAllowed
+};
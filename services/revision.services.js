@@ -0,0 +1,211 @@
+/**
+ * Service de l'historique des versions des articles
+ * Conserve l'état d'un article avant chaque modification et compare deux versions champ par champ
+ */
+
+const { ObjectId } = require('mongodb'); // Pour valider les identifiants
+const articleModel = require('../models/article.model'); // Version actuelle des articles
+const articleRevisionModel = require('../models/articleRevision.model'); // Révisions enregistrées
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+const MAX_NUMBERING_ATTEMPTS = 3; // Tentatives en cas de numéro déjà pris par une modification simultanée
+const DIFF_IGNORED_FIELDS = ['_id', 'updatedAt']; // Champs techniques exclus des comparaisons
+
+/**
+ * Valide un ID d'article
+ * @param {string} articleId - ID de l'article
+ * @throws {Error} Si l'ID est invalide (400)
+ */
+const assertArticleId = (articleId) => {
+    if (!ObjectId.isValid(articleId)) {
+        throw httpError(400, 'INVALID_ARTICLE_ID', 'ID d\'article invalide');
+    }
+};
+
+/**
+ * Convertit un numéro de révision reçu dans l'URL
+ * @param {*} value - Valeur reçue
+ * @returns {number} Numéro de révision
+ * @throws {Error} Si la valeur n'est pas un entier positif (400)
+ */
+const parseRevisionNumber = (value) => {
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 1) {
+        throw httpError(400, 'INVALID_REVISION', `Numéro de révision invalide: ${value}`);
+    }
+    return revision;
+};
+
+/**
+ * Enregistre l'état d'un article avant sa modification
+ * @param {Object} article - Article dans son état actuel
+ * @param {Object} [options] - Contexte de la modification
+ * @param {string} [options.userId] - ID de l'auteur de la modification
+ * @param {string} [options.reason] - 'update' (par défaut) ou 'restore'
+ * @param {Array<string>} [options.fields] - Champs modifiés
+ * @param {number} [options.restoredFrom] - Révision restaurée (reason 'restore')
+ * @returns {Promise<Object>} Révision créée
+ */
+const recordRevision = async (article, { userId, reason = 'update', fields, restoredFrom } = {}) => {
+    const { _id, ...snapshot } = article;
+    for (let attempt = 1; ; attempt++) {
+        const revision = await articleRevisionModel.findLastRevisionNumber(_id) + 1;
+        try {
+            return await articleRevisionModel.createRevision({
+                articleId: _id,
+                revision,
+                snapshot,
+                createdBy: userId || null,
+                reason,
+                fields: fields || null,
+                restoredFrom: restoredFrom || null
+            });
+        } catch (err) {
+            // Numéro pris entre-temps (index unique articleId/revision) : nouvelle tentative
+            if (err.code !== 11000 || attempt >= MAX_NUMBERING_ATTEMPTS) throw err;
+        }
+    }
+};
+
+/**
+ * Enregistre l'état de plusieurs articles avant une modification groupée
+ * @param {Array<Object>} articles - Articles dans leur état actuel
+ * @param {Object} [options] - Contexte de la modification (voir recordRevision)
+ * @returns {Promise<Array<Object>>} Révisions créées
+ */
+const recordRevisions = async (articles, options) => {
+    const revisions = [];
+    for (const article of articles) {
+        revisions.push(await recordRevision(article, options));
+    }
+    return revisions;
+};
+
+/**
+ * Retire des révisions enregistrées pour une modification qui n'a finalement pas eu lieu
+ * @param {Array<Object>} revisions - Révisions créées par recordRevision
+ * @returns {Promise<number>} Nombre de révisions retirées
+ */
+const discardRevisions = async (revisions) => {
+    if (!revisions.length) return 0;
+    return await articleRevisionModel.deleteRevisionsByIds(revisions.map(revision => revision._id));
+};
+
+/**
+ * Liste les révisions d'un article (sans leur contenu)
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<Array|null>} Révisions, plus récentes en premier, ou null si l'article n'existe pas
+ * @throws {Error} Si l'ID est invalide (400)
+ */
+const listRevisions = async (articleId) => {
+    assertArticleId(articleId);
+    if (!await articleModel.getArticleById(articleId)) return null;
+    return await articleRevisionModel.findRevisionsByArticle(articleId);
+};
+
+/**
+ * Récupère une révision d'un article avec son contenu
+ * @param {string} articleId - ID de l'article
+ * @param {*} revision - Numéro de révision
+ * @returns {Promise<Object|null>} Révision, ou null si l'article n'existe pas
+ * @throws {Error} Si l'ID ou le numéro est invalide (400) ou si la révision n'existe pas (404)
+ */
+const getRevision = async (articleId, revision) => {
+    assertArticleId(articleId);
+    const number = parseRevisionNumber(revision);
+    if (!await articleModel.getArticleById(articleId)) return null;
+
+    const found = await articleRevisionModel.findRevision(articleId, number);
+    if (!found) {
+        throw httpError(404, 'REVISION_NOT_FOUND', `Révision ${number} introuvable`);
+    }
+    return found;
+};
+
+/**
+ * Compare deux valeurs de champ (les dates et ObjectId sont comparés par leur forme JSON)
+ * @param {*} a - Première valeur
+ * @param {*} b - Seconde valeur
+ * @returns {boolean} true si les valeurs sont identiques
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare deux versions d'un article champ par champ
+ * @param {Object} from - Version de départ
+ * @param {Object} to - Version d'arrivée
+ * @returns {Array<Object>} Différences ({ field, change: 'added' | 'removed' | 'modified', from, to })
+ */
+const diffSnapshots = (from, to) => {
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+        .filter(field => !DIFF_IGNORED_FIELDS.includes(field))
+        .sort();
+
+    const changes = [];
+    for (const field of fields) {
+        if (!(field in from)) {
+            changes.push({ field, change: 'added', to: to[field] });
+        } else if (!(field in to)) {
+            changes.push({ field, change: 'removed', from: from[field] });
+        } else if (!sameValue(from[field], to[field])) {
+            changes.push({ field, change: 'modified', from: from[field], to: to[field] });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Compare deux révisions d'un article, ou une révision et la version actuelle
+ * @param {string} articleId - ID de l'article
+ * @param {*} from - Numéro de la révision de départ, ou 'current'
+ * @param {*} [to] - Numéro de la révision d'arrivée, ou 'current' (par défaut)
+ * @returns {Promise<Object|null>} Versions comparées et différences, ou null si l'article n'existe pas
+ * @throws {Error} Si un paramètre est invalide (400) ou si une révision n'existe pas (404)
+ */
+const diffRevisions = async (articleId, from, to = 'current') => {
+    assertArticleId(articleId);
+    if (from === undefined) {
+        throw httpError(400, 'INVALID_REVISION', 'Révision de départ requise (from)');
+    }
+    const article = await articleModel.getArticleById(articleId);
+    if (!article) return null;
+
+    // Résout un côté de la comparaison : révision enregistrée ou version actuelle
+    const resolve = async (value) => {
+        if (value === 'current') {
+            const { _id, ...current } = article;
+            return { version: { revision: 'current', updatedAt: article.updatedAt || null }, snapshot: current };
+        }
+        const revision = await getRevision(articleId, value);
+        return { version: { revision: revision.revision, createdAt: revision.createdAt }, snapshot: revision.snapshot };
+    };
+    const [source, target] = [await resolve(from), await resolve(to)];
+
+    return {
+        articleId: article._id,
+        from: source.version,
+        to: target.version,
+        changes: diffSnapshots(source.snapshot, target.snapshot)
+    };
+};
+
+/**
+ * Supprime l'historique de plusieurs articles (articles supprimés)
+ * @param {Array<string>} articleIds - IDs des articles
+ * @returns {Promise<number>} Nombre de révisions supprimées
+ */
+const deleteRevisions = async (articleIds) => {
+    if (!articleIds.length) return 0;
+    return await articleRevisionModel.deleteRevisionsByArticles(articleIds);
+};
+
+module.exports = {
+    recordRevision,
+    recordRevisions,
+    discardRevisions,
+    listRevisions,
+    getRevision,
+    diffSnapshots,
+    diffRevisions,
+    deleteRevisions
+};
@@ -0,0 +1,265 @@
+/**
+ * Service de contrôle d'accès par rôles et permissions (RBAC)
+ * Les rôles et leurs permissions sont stockés dans MongoDB et modifiables par les administrateurs
+ */
+
+const roleModel = require('../models/role.model'); // Modèle des rôles
+const userModel = require('../models/user.model'); // Modèle utilisateur
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+// Catalogue des permissions reconnues
+// Les suffixes .own / .any distinguent les ressources de l'utilisateur de celles des autres
+const PERMISSIONS = {
+    'article.create': 'Créer un article',
+    'article.update.own': 'Modifier ses propres articles',
+    'article.update.any': 'Modifier n\'importe quel article',
+    'article.delete.own': 'Supprimer ses propres articles',
+    'article.delete.any': 'Supprimer n\'importe quel article',
+    'article.submit.own': 'Soumettre ses propres articles en relecture',
+    'article.submit.any': 'Soumettre n\'importe quel article en relecture',
+    'article.review': 'Relire et commenter les articles en relecture',
+    'article.publish': 'Approuver, programmer, publier et archiver les articles',
+    'user.read': 'Consulter la liste des utilisateurs',
+    'user.manage': 'Modifier, valider et supprimer des utilisateurs',
+    'role.manage': 'Gérer les rôles et les attribuer',
+    'invite.manage': 'Gérer les codes d\'invitation',
+    'security.manage': 'Gérer les verrouillages de connexion et la politique 2FA',
+    'admin.access': 'Accéder à l\'espace d\'administration',
+    'audit.read': 'Consulter le journal d\'audit'
+};
+
+// Rôles créés au démarrage s'ils n'existent pas ('*' accorde toutes les permissions)
+const DEFAULT_ROLES = [
+    {
+        name: 'member',
+        description: 'Lecteur inscrit',
+        permissions: []
+    },
+    {
+        name: 'author',
+        description: 'Journaliste publiant ses propres articles',
+        permissions: ['article.create', 'article.update.own', 'article.delete.own', 'article.submit.own']
+    },
+    {
+        name: 'editor',
+        description: 'Éditeur pouvant modifier, relire et publier tous les articles',
+        permissions: [
+            'article.create',
+            'article.update.any',
+            'article.delete.own',
+            'article.submit.any',
+            'article.review',
+            'article.publish'
+        ]
+    },
+    {
+        name: 'admin',
+        description: 'Administrateur',
+        permissions: ['*']
+    }
+];
+
+// Permissions accessibles à une clé API selon ses portées (en plus de la limite du rôle)
+const SCOPE_PERMISSIONS = {
+    'articles:read': [],
+    'articles:write': [
+        'article.create',
+        'article.update.own',
+        'article.update.any',
+        'article.delete.own',
+        'article.delete.any',
+        'article.submit.own',
+        'article.submit.any'
+    ]
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/; // Format des noms de rôle
+const CACHE_TTL_MS = 30 * 1000; // Durée de cache des permissions par rôle
+
+// Cache des permissions par rôle : nom -> { permissions, expiresAt }
+const permissionCache = new Map();
+
+/**
+ * Indique si une liste de permissions contient une permission donnée
+ * Gère le joker global '*' et les jokers de préfixe (ex: 'article.*')
+ * @param {Array<string>} permissions - Permissions accordées
+ * @param {string} permission - Permission recherchée
+ * @returns {boolean} true si la permission est accordée
+ */
+const hasPermission = (permissions, permission) => {
+    return permissions.some(granted => {
+        if (granted === '*' || granted === permission) return true;
+        return granted.endsWith('.*') && permission.startsWith(granted.slice(0, -1));
+    });
+};
+
+/**
+ * Valide une liste de permissions par rapport au catalogue
+ * @param {Array<string>} permissions - Permissions à valider
+ * @throws {Error} Si une permission est inconnue (400)
+ */
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw httpError(400, 'INVALID_PERMISSIONS', 'permissions doit être un tableau');
+    }
+    const known = Object.keys(PERMISSIONS);
+    const unknown = permissions.filter(permission => {
+        if (permission === '*' || known.includes(permission)) return false;
+        // Joker de préfixe : doit correspondre à au moins une permission connue
+        return !(permission.endsWith('.*') && known.some(k => k.startsWith(permission.slice(0, -1))));
+    });
+    if (unknown.length > 0) {
+        throw httpError(400, 'INVALID_PERMISSIONS', `Permissions inconnues: ${unknown.join(', ')}`);
+    }
+};
+
+/**
+ * Crée les rôles par défaut manquants (appelé au démarrage)
+ * @returns {Promise<void>}
+ */
+const ensureDefaultRoles = async () => {
+    for (const role of DEFAULT_ROLES) {
+        await roleModel.insertRoleIfMissing({ ...role, builtIn: true });
+    }
+};
+
+/**
+ * Récupère les permissions d'un rôle (avec cache)
+ * @param {string} roleName - Nom du rôle
+ * @returns {Promise<Array<string>>} Permissions du rôle (vide si le rôle n'existe pas)
+ */
+const getPermissionsForRole = async (roleName) => {
+    const cached = permissionCache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const role = roleName ? await roleModel.findRoleByName(roleName) : null;
+    const permissions = role ? role.permissions : [];
+    permissionCache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+};
+
+/**
+ * Calcule les permissions effectives d'un appelant
+ * Pour une clé API, les permissions du rôle sont restreintes aux portées de la clé
+ * @param {Object} principal - Identité de l'appelant (req.user)
+ * @returns {Promise<Array<string>>} Permissions effectives
+ */
+const getEffectivePermissions = async (principal) => {
+    const rolePermissions = await getPermissionsForRole(principal.role);
+    if (principal.authType !== 'apiKey') return rolePermissions;
+
+    const allowed = (principal.scopes || []).flatMap(scope => SCOPE_PERMISSIONS[scope] || []);
+    return allowed.filter(permission => hasPermission(rolePermissions, permission));
+};
+
+/**
+ * Indique si un rôle existe
+ * @param {string} roleName - Nom du rôle
+ * @returns {Promise<boolean>} true si le rôle existe
+ */
+const roleExists = async (roleName) => {
+    if (!roleName || typeof roleName !== 'string') return false;
+    return !!await roleModel.findRoleByName(roleName);
+};
+
+/**
+ * Liste les rôles
+ * @returns {Promise<Array>} Rôles
+ */
+const getRoles = async () => {
+    return await roleModel.findAllRoles();
+};
+
+/**
+ * Récupère un rôle par son nom
+ * @param {string} name - Nom du rôle
+ * @returns {Promise<Object|null>} Rôle ou null
+ */
+const getRole = async (name) => {
+    return await roleModel.findRoleByName(name);
+};
+
+/**
+ * Crée un rôle personnalisé
+ * @param {Object} roleData - Données du rôle
+ * @param {string} roleData.name - Nom du rôle
+ * @param {string} [roleData.description] - Description
+ * @param {Array<string>} roleData.permissions - Permissions accordées
+ * @returns {Promise<string>} ID du rôle créé
+ * @throws {Error} Si le nom ou les permissions sont invalides (400) ou si le rôle existe déjà (409)
+ */
+const createRole = async ({ name, description, permissions }) => {
+    if (!name || !ROLE_NAME_PATTERN.test(name)) {
+        throw httpError(400, 'INVALID_ROLE_NAME', 'Nom de rôle invalide (minuscules, chiffres, - et _, 2 à 32 caractères)');
+    }
+    validatePermissions(permissions);
+    if (await roleExists(name)) {
+        throw httpError(409, 'ROLE_EXISTS', 'Ce rôle existe déjà');
+    }
+
+    return await roleModel.createRole({
+        name,
+        description: description || '',
+        permissions: [...new Set(permissions)],
+        builtIn: false
+    });
+};
+
+/**
+ * Met à jour la description ou les permissions d'un rôle
+ * @param {string} name - Nom du rôle
+ * @param {Object} updateData - Données à mettre à jour (description, permissions)
+ * @returns {Promise<number>} Nombre de rôles trouvés (0 si le rôle n'existe pas)
+ * @throws {Error} Si les permissions sont invalides (400) ou si l'admin perdrait ses droits (409)
+ */
+const updateRole = async (name, { description, permissions }) => {
+    const updateData = {};
+    if (description !== undefined) updateData.description = String(description);
+    if (permissions !== undefined) {
+        validatePermissions(permissions);
+        // Empêche de se couper l'accès à la gestion des rôles
+        if (name === 'admin' && !hasPermission(permissions, 'role.manage')) {
+            throw httpError(409, 'ADMIN_LOCKOUT', 'Le rôle admin doit conserver la permission role.manage');
+        }
+        updateData.permissions = [...new Set(permissions)];
+    }
+
+    const matchedCount = await roleModel.updateRoleByName(name, updateData);
+    permissionCache.delete(name);
+    return matchedCount;
+};
+
+/**
+ * Supprime un rôle personnalisé non attribué
+ * @param {string} name - Nom du rôle
+ * @returns {Promise<number>} Nombre de rôles supprimés
+ * @throws {Error} Si le rôle est intégré (400) ou encore attribué à des utilisateurs (409)
+ */
+const deleteRole = async (name) => {
+    const role = await roleModel.findRoleByName(name);
+    if (!role) return 0;
+    if (role.builtIn) {
+        throw httpError(400, 'BUILT_IN_ROLE', 'Les rôles intégrés ne peuvent pas être supprimés');
+    }
+    if (await userModel.countUsersByRole(name) > 0) {
+        throw httpError(409, 'ROLE_IN_USE', 'Ce rôle est encore attribué à des utilisateurs');
+    }
+
+    const deletedCount = await roleModel.deleteRoleByName(name);
+    permissionCache.delete(name);
+    return deletedCount;
+};
+
+module.exports = {
+    PERMISSIONS,
+    hasPermission,
+    ensureDefaultRoles,
+    getPermissionsForRole,
+    getEffectivePermissions,
+    roleExists,
+    getRoles,
+    getRole,
+    createRole,
+    updateRole,
+    deleteRole
+};
@@ -0,0 +1,196 @@
+/**
+ * Service d'analyse des recherches plein texte et de mise en évidence des résultats
+ * Reprend la syntaxe de l'index texte MongoDB : mots, "expressions exactes" et -exclusions
+ */
+
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+const MAX_QUERY_LENGTH = 200; // Longueur maximale d'une recherche
+const SNIPPET_LENGTH = 160; // Longueur visée des extraits (hors balises)
+const HIGHLIGHT_OPEN = '<mark>'; // Balises entourant les passages trouvés
+const HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * Analyse une recherche
+ * @param {string} query - Recherche saisie (ex: '"élection présidentielle" sondage -municipales')
+ * @returns {Object} { phrases, terms, excluded } ; phrases et terms sont les passages recherchés
+ */
+const parseSearchQuery = (query) => {
+    const phrases = [];
+    const withoutPhrases = query.replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) phrases.push(phrase.trim());
+        return ' ';
+    });
+
+    const terms = [];
+    const excluded = [];
+    for (const word of withoutPhrases.split(/\s+/).filter(Boolean)) {
+        if (word.startsWith('-')) {
+            if (word.length > 1) excluded.push(word.slice(1));
+        } else {
+            terms.push(word);
+        }
+    }
+    return { phrases, terms, excluded };
+};
+
+/**
+ * Vérifie qu'une recherche est exploitable
+ * @param {string} query - Recherche saisie
+ * @returns {Object} Recherche analysée (voir parseSearchQuery)
+ * @throws {Error} Si la recherche est trop longue ou ne contient que des exclusions (400)
+ */
+const validateSearchQuery = (query) => {
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw httpError(400, 'INVALID_SEARCH', `La requête de recherche ne doit pas dépasser ${MAX_QUERY_LENGTH} caractères`);
+    }
+    const parsed = parseSearchQuery(query);
+    if (parsed.phrases.length === 0 && parsed.terms.length === 0) {
+        throw httpError(400, 'INVALID_SEARCH', 'La requête de recherche doit contenir au moins un mot ou une expression à rechercher');
+    }
+    return parsed;
+};
+
+/**
+ * Ramène un texte à une forme comparable (minuscules, sans accents) en gardant la position de chaque caractère
+ * @param {string} text - Texte d'origine
+ * @returns {Object} { normalized, positions } ; positions[i] est l'indice d'origine du caractère i
+ */
+const normalizeWithPositions = (text) => {
+    let normalized = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+        const folded = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (const char of folded) {
+            normalized += char;
+            positions.push(i);
+        }
+    }
+    positions.push(text.length);
+    return { normalized, positions };
+};
+
+/**
+ * Construit l'expression régulière des passages à mettre en évidence
+ * Un mot est reconnu en début de mot et prolongé jusqu'à la fin du mot (l'index texte applique
+ * une racinisation : "élection" trouve aussi "élections")
+ * @param {Object} parsed - Recherche analysée
+ * @returns {RegExp|null} Expression (sur texte normalisé), ou null si rien n'est à mettre en évidence
+ */
+const buildHighlightPattern = ({ phrases, terms }) => {
+    const escape = (value) => normalizeWithPositions(value).normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const alternatives = [
+        ...phrases.map(phrase => escape(phrase).split(/\s+/).join('\\s+')),
+        ...terms.map(term => `${escape(term)}[\\p{L}\\p{N}]*`)
+    ].filter(Boolean);
+    if (alternatives.length === 0) return null;
+    // Les plus longues d'abord, pour qu'une expression l'emporte sur un de ses mots
+    alternatives.sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'gu');
+};
+
+/**
+ * Échappe un texte pour un affichage HTML
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+/**
+ * Repère les passages trouvés dans un texte
+ * @param {string} text - Texte d'origine
+ * @param {RegExp} pattern - Expression construite par buildHighlightPattern
+ * @returns {Array<Array<number>>} Intervalles [début, fin[ dans le texte d'origine
+ */
+const findMatches = (text, pattern) => {
+    const { normalized, positions } = normalizeWithPositions(text);
+    const matches = [];
+    for (const match of normalized.matchAll(pattern)) {
+        if (match[0].length === 0) continue;
+        matches.push([positions[match.index], positions[match.index + match[0].length]]);
+    }
+    return matches;
+};
+
+/**
+ * Met en évidence les passages trouvés dans une portion de texte (résultat échappé pour HTML)
+ * @param {string} text - Texte d'origine
+ * @param {Array<Array<number>>} matches - Intervalles trouvés
+ * @param {number} start - Début de la portion
+ * @param {number} end - Fin de la portion
+ * @returns {string} Portion avec balises de mise en évidence
+ */
+const markRange = (text, matches, start, end) => {
+    let result = '';
+    let cursor = start;
+    for (const [from, to] of matches) {
+        if (to <= start || from >= end) continue;
+        const markStart = Math.max(from, cursor);
+        const markEnd = Math.min(to, end);
+        if (markEnd <= markStart) continue;
+        result += escapeHtml(text.slice(cursor, markStart)) + HIGHLIGHT_OPEN + escapeHtml(text.slice(markStart, markEnd)) + HIGHLIGHT_CLOSE;
+        cursor = markEnd;
+    }
+    return result + escapeHtml(text.slice(cursor, end));
+};
+
+/**
+ * Construit un extrait centré sur le premier passage trouvé, coupé entre deux mots
+ * @param {string} text - Texte d'origine
+ * @param {Array<Array<number>>} matches - Intervalles trouvés
+ * @returns {string} Extrait avec mise en évidence, précédé ou suivi de '…' s'il est tronqué
+ */
+const buildSnippet = (text, matches) => {
+    if (text.length <= SNIPPET_LENGTH) return markRange(text, matches, 0, text.length);
+
+    const first = matches.length > 0 ? matches[0][0] : 0;
+    let start = Math.max(0, Math.min(first - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    // Ajustement aux limites de mots
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > Math.max(start, first)) end = space;
+    }
+    return `${start > 0 ? '…' : ''}${markRange(text, matches, start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Calcule les extraits mis en évidence d'un article
+ * Le titre est renvoyé en entier, la description sous forme d'extrait ; les catégories
+ * trouvées sont listées. Les textes sont échappés pour HTML, passages entourés de <mark>.
+ * @param {Object} article - Article trouvé
+ * @param {Object} parsed - Recherche analysée
+ * @returns {Object} { title, description, category }
+ */
+const highlightArticle = (article, parsed) => {
+    const pattern = buildHighlightPattern(parsed);
+    const text = (value) => (typeof value === 'string' ? value : '');
+    const titleText = text(article.title);
+    const descriptionText = text(article.description);
+    const categories = [].concat(article.category || []).filter(value => typeof value === 'string');
+
+    if (!pattern) {
+        return { title: escapeHtml(titleText), description: buildSnippet(descriptionText, []), category: [] };
+    }
+    return {
+        title: markRange(titleText, findMatches(titleText, pattern), 0, titleText.length),
+        description: buildSnippet(descriptionText, findMatches(descriptionText, pattern)),
+        category: categories
+            .map(category => ({ category, matches: findMatches(category, pattern) }))
+            .filter(({ matches }) => matches.length > 0)
+            .map(({ category, matches }) => markRange(category, matches, 0, category.length))
+    };
+};
+
+module.exports = {
+    MAX_QUERY_LENGTH,
+    parseSearchQuery,
+    validateSearchQuery,
+    highlightArticle
+};
@@ -0,0 +1,366 @@
+/**
+ * Service des clés de signature des access tokens
+ * Signe en RS256 ou EdDSA avec un trousseau de clés identifiées par kid, assure leur rotation planifiée
+ * et publie les clés publiques (JWKS) pour que les autres services vérifient les jetons sans secret partagé
+ */
+
+const jwt = require('jsonwebtoken'); // Jetons HS256 (mode historique)
+const crypto = require('crypto'); // Génération des paires de clés, signature et chiffrement
+const dotenv = require('dotenv'); // Variables d'environnement
+const signingKeyModel = require('../models/signingKey.model'); // Modèle des clés de signature
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Algorithme de signature des access tokens : HS256 (secret partagé), RS256 ou EdDSA (Ed25519)
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'EdDSA'];
+// Accepte encore les access tokens HS256 après le passage à une signature asymétrique (migration)
+const ACCEPT_HS256 = JWT_ALGORITHM === 'HS256' || process.env.JWT_ACCEPT_HS256 === 'true';
+const JWT_ISSUER = process.env.JWT_ISSUER || process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Calendrier de rotation
+const KEY_ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30; // Durée de signature d'une clé
+const KEY_PUBLISH_AHEAD_HOURS = parseInt(process.env.JWT_KEY_PUBLISH_AHEAD_HOURS) || 24; // Publication avant première utilisation
+const KEY_GRACE_HOURS = parseInt(process.env.JWT_KEY_GRACE_HOURS) || 24; // Vérification encore acceptée après retrait
+const ROTATION_CHECK_INTERVAL_MS = HOUR_MS; // Fréquence de vérification du calendrier
+const KEY_CACHE_TTL_MS = 60 * 1000; // Durée de cache du trousseau
+const KEY_RELOAD_MIN_INTERVAL_MS = 10 * 1000; // Rechargement minimal sur kid inconnu
+
+// Trousseau en mémoire : clés non expirées et clés privées déchiffrées par kid
+let keyRing = { loadedAt: 0, keys: [] };
+let lastReloadAt = 0;
+const privateKeys = new Map();
+
+/**
+ * Indique si les access tokens sont signés avec une clé asymétrique
+ * @returns {boolean} true en RS256 ou EdDSA
+ */
+const isAsymmetric = () => ASYMMETRIC_ALGORITHMS.includes(JWT_ALGORITHM);
+
+/**
+ * Dérive la clé de chiffrement des clés privées stockées en base
+ * @returns {Buffer} Clé AES-256
+ * @throws {Error} Si aucune clé n'est configurée
+ */
+const encryptionKey = () => {
+    const material = process.env.JWT_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) {
+        throw new Error('JWT_KEY_ENCRYPTION_KEY (ou JWT_SECRET) requis pour chiffrer les clés de signature');
+    }
+    return crypto.createHash('sha256').update(String(material)).digest();
+};
+
+/**
+ * Chiffre une clé privée PEM (AES-256-GCM)
+ * @param {string} pem - Clé privée PKCS#8
+ * @returns {string} Clé chiffrée (iv.tag.données en base64url)
+ */
+const encryptPrivateKey = (pem) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Déchiffre la clé privée d'une clé de signature (mise en cache par kid)
+ * @param {Object} key - Clé de signature
+ * @returns {KeyObject} Clé privée
+ */
+const privateKeyFor = (key) => {
+    if (!privateKeys.has(key.kid)) {
+        const [iv, tag, encrypted] = key.privateKey.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        const pem = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+        privateKeys.set(key.kid, crypto.createPrivateKey(pem));
+    }
+    return privateKeys.get(key.kid);
+};
+
+/**
+ * Algorithme de hachage passé à crypto.sign / crypto.verify
+ * @param {string} alg - Algorithme JWS
+ * @returns {string|null} 'sha256' en RS256, null en EdDSA (hachage intégré)
+ */
+const digestFor = (alg) => (alg === 'RS256' ? 'sha256' : null);
+
+/**
+ * Charge le trousseau depuis la base (ou le cache s'il est récent)
+ * @param {boolean} [force=false] - Ignore le cache
+ * @returns {Promise<Array>} Clés non expirées
+ */
+const loadKeys = async (force = false) => {
+    if (!force && Date.now() - keyRing.loadedAt < KEY_CACHE_TTL_MS) {
+        return keyRing.keys;
+    }
+    const keys = await signingKeyModel.findUnexpiredSigningKeys(new Date());
+    keyRing = {
+        loadedAt: Date.now(),
+        keys: keys.map(key => ({ ...key, publicKey: crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }) }))
+    };
+    lastReloadAt = Date.now();
+    return keyRing.keys;
+};
+
+/**
+ * Génère une nouvelle paire de clés pour l'algorithme configuré
+ * @param {number} generation - Numéro d'ordre de la clé pour cet algorithme
+ * @param {Date} activatesAt - Date de première utilisation pour signer
+ * @returns {Object} Clé de signature à enregistrer
+ */
+const generateSigningKey = (generation, activatesAt) => {
+    const { publicKey, privateKey } = JWT_ALGORITHM === 'EdDSA'
+        ? crypto.generateKeyPairSync('ed25519')
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const retiresAt = new Date(activatesAt.getTime() + KEY_ROTATION_DAYS * 24 * HOUR_MS);
+
+    return {
+        kid: crypto.randomBytes(12).toString('base64url'),
+        alg: JWT_ALGORITHM,
+        generation,
+        publicJwk: publicKey.export({ format: 'jwk' }),
+        privateKey: encryptPrivateKey(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+        createdAt: new Date(),
+        activatesAt,
+        retiresAt,
+        expiresAt: new Date(retiresAt.getTime() + KEY_GRACE_HOURS * HOUR_MS)
+    };
+};
+
+/**
+ * Crée la clé suivante lorsque la clé la plus récente approche de son retrait
+ * La nouvelle clé est publiée dans le JWKS avant de signer, l'ancienne reste acceptée pendant la période de grâce.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Rotation immédiate (ex: clé compromise) : les clés actuelles sont retirées
+ * @returns {Promise<Object|null>} Clé créée (sans clé privée) ou null si aucune rotation n'était due
+ */
+const rotateKeys = async ({ force = false } = {}) => {
+    if (!isAsymmetric()) return null;
+
+    const now = new Date();
+    const [latest] = (await loadKeys(true)).filter(key => key.alg === JWT_ALGORITHM);
+    if (!force && latest && latest.retiresAt.getTime() - now.getTime() > KEY_PUBLISH_AHEAD_HOURS * HOUR_MS) {
+        return null;
+    }
+
+    // La clé suivante prend le relais au retrait de la précédente (ou immédiatement)
+    const activatesAt = force || !latest ? now : new Date(Math.max(now.getTime(), latest.retiresAt.getTime()));
+    const key = generateSigningKey((latest?.generation || 0) + 1, activatesAt);
+    try {
+        await signingKeyModel.createSigningKey(key);
+    } catch (err) {
+        // Une autre instance vient de créer la même génération
+        if (err.code === 11000) {
+            await loadKeys(true);
+            return null;
+        }
+        throw err;
+    }
+
+    if (force) {
+        await signingKeyModel.retireSigningKeys(
+            JWT_ALGORITHM, key.kid, now, new Date(now.getTime() + KEY_GRACE_HOURS * HOUR_MS)
+        );
+    }
+    await loadKeys(true);
+    return describeKey(key);
+};
+
+/**
+ * Sélectionne la clé qui signe actuellement (dernière génération activée)
+ * @returns {Promise<Object>} Clé de signature
+ */
+const getActiveSigningKey = async () => {
+    const pick = (keys) => keys.find(key => key.alg === JWT_ALGORITHM && key.activatesAt <= new Date());
+
+    let key = pick(await loadKeys());
+    if (!key || key.retiresAt <= new Date()) {
+        await rotateKeys();
+        key = pick(await loadKeys(true));
+    }
+    if (!key) {
+        throw new Error('Aucune clé de signature disponible');
+    }
+    return key;
+};
+
+/**
+ * Signe un access token avec l'algorithme configuré
+ * @param {Object} payload - Revendications du jeton
+ * @param {Object} options - Options
+ * @param {number} options.expiresIn - Durée de validité en secondes
+ * @param {string} options.jwtid - Identifiant unique du jeton (jti)
+ * @returns {Promise<string>} Jeton signé
+ */
+const signAccessToken = async (payload, { expiresIn, jwtid }) => {
+    if (!isAsymmetric()) {
+        return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn, jwtid, issuer: JWT_ISSUER });
+    }
+
+    const key = await getActiveSigningKey();
+    const iat = Math.floor(Date.now() / 1000);
+    const header = { alg: key.alg, typ: 'JWT', kid: key.kid };
+    const claims = { ...payload, iss: JWT_ISSUER, iat, exp: iat + expiresIn, jti: jwtid };
+    const signingInput = [header, claims]
+        .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .join('.');
+    const signature = crypto.sign(digestFor(key.alg), Buffer.from(signingInput), privateKeyFor(key));
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Trouve la clé publique correspondant à un kid (recharge le trousseau si le kid est inconnu)
+ * @param {string} kid - Identifiant de clé
+ * @returns {Promise<Object|null>} Clé ou null
+ */
+const findVerificationKey = async (kid) => {
+    let key = (await loadKeys()).find(candidate => candidate.kid === kid);
+    // Clé créée par une autre instance depuis le dernier chargement
+    if (!key && Date.now() - lastReloadAt > KEY_RELOAD_MIN_INTERVAL_MS) {
+        key = (await loadKeys(true)).find(candidate => candidate.kid === kid);
+    }
+    return key && key.expiresAt > new Date() ? key : null;
+};
+
+/**
+ * Vérifie la signature et la validité d'un access token
+ * @param {string} token - Jeton JWT
+ * @returns {Promise<Object>} Revendications du jeton
+ * @throws {Error} Si le jeton est mal formé, mal signé, expiré ou signé par une clé inconnue
+ */
+const verifyAccessToken = async (token) => {
+    const parts = String(token).split('.');
+    let header;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    } catch (err) {
+        header = null;
+    }
+    if (parts.length !== 3 || !header) {
+        throw new Error('Jeton mal formé');
+    }
+
+    if (header.alg === 'HS256') {
+        if (!ACCEPT_HS256) {
+            throw new Error('Algorithme de signature refusé');
+        }
+        return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    }
+    if (!ASYMMETRIC_ALGORITHMS.includes(header.alg)) {
+        throw new Error('Algorithme de signature refusé');
+    }
+
+    const key = await findVerificationKey(header.kid);
+    if (!key || key.alg !== header.alg) {
+        throw new Error('Clé de signature inconnue ou expirée');
+    }
+    const valid = crypto.verify(
+        digestFor(key.alg),
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key.publicKey,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+        throw new Error('Signature invalide');
+    }
+
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp <= now) {
+        throw new Error('Jeton expiré');
+    }
+    if (payload.iss !== JWT_ISSUER) {
+        throw new Error('Émetteur du jeton invalide');
+    }
+    return payload;
+};
+
+/**
+ * Décrit une clé sans ses éléments secrets
+ * @param {Object} key - Clé de signature
+ * @returns {Object} kid, algorithme et calendrier
+ */
+const describeKey = (key) => ({
+    kid: key.kid,
+    alg: key.alg,
+    generation: key.generation,
+    createdAt: key.createdAt,
+    activatesAt: key.activatesAt,
+    retiresAt: key.retiresAt,
+    expiresAt: key.expiresAt
+});
+
+/**
+ * Jeu de clés publiques (JWKS) : clés en service, à venir et en période de grâce
+ * @returns {Promise<Object>} { keys: [...] }
+ */
+const getJwks = async () => {
+    const keys = await loadKeys();
+    const now = new Date();
+    return {
+        keys: keys
+            .filter(key => key.expiresAt > now)
+            .map(key => ({ ...key.publicJwk, kid: key.kid, alg: key.alg, use: 'sig' }))
+    };
+};
+
+/**
+ * Liste les clés du trousseau avec leur état (administration)
+ * @returns {Promise<Object>} Algorithme configuré et clés
+ */
+const listKeys = async () => {
+    const now = new Date();
+    const active = isAsymmetric() ? await getActiveSigningKey() : null;
+    const keys = await loadKeys(true);
+    return {
+        algorithm: JWT_ALGORITHM,
+        keys: keys.map(key => ({
+            ...describeKey(key),
+            status: active && key.kid === active.kid
+                ? 'active'
+                : key.activatesAt > now ? 'next' : 'retired'
+        }))
+    };
+};
+
+/**
+ * Force une rotation immédiate de la clé de signature
+ * @returns {Promise<Object>} Nouvelle clé
+ * @throws {Error} Si les jetons sont signés avec un secret partagé (HS256)
+ */
+const forceRotation = async () => {
+    if (!isAsymmetric()) {
+        throw httpError(409, 'SYMMETRIC_SIGNING', 'Rotation impossible : les jetons sont signés en HS256 (JWT_ALGORITHM)');
+    }
+    return await rotateKeys({ force: true });
+};
+
+/**
+ * Vérifie la configuration, crée la première clé si besoin et planifie la rotation
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'algorithme configuré n'est pas pris en charge
+ */
+const startKeyRotation = async () => {
+    if (JWT_ALGORITHM !== 'HS256' && !isAsymmetric()) {
+        throw new Error(`JWT_ALGORITHM non pris en charge: ${JWT_ALGORITHM} (HS256, RS256 ou EdDSA)`);
+    }
+    if (!isAsymmetric()) return;
+
+    await rotateKeys();
+    setInterval(() => {
+        rotateKeys().catch(err => console.error('❌ Échec de la rotation des clés de signature:', err.message));
+    }, ROTATION_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    getJwks,
+    listKeys,
+    forceRotation,
+    startKeyRotation
+};
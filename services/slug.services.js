@@ -0,0 +1,100 @@
+/**
+ * Service des slugs d'articles
+ * Construit des identifiants lisibles et translittérés à partir des titres (ex: "Élections à Paris" → "elections-a-paris")
+ * et garantit leur unicité, anciens slugs des autres articles compris
+ */
+
+const crypto = require('crypto'); // Suffixe aléatoire de dernier recours
+const articleModel = require('../models/article.model'); // Slugs déjà attribués
+
+const MAX_SLUG_LENGTH = 80; // Longueur maximale d'un slug (hors suffixe numérique)
+const MAX_NUMBERED_CANDIDATES = 100; // Suffixes numériques essayés avant un suffixe aléatoire
+const DEFAULT_SLUG = 'article'; // Slug d'un titre sans lettre ni chiffre translittérable
+const MAX_WRITE_ATTEMPTS = 3; // Écritures tentées quand un autre article prend le même slug entre-temps
+
+// Lettres que la décomposition Unicode ne ramène pas à l'alphabet latin de base
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i', '&': ' et '
+};
+
+/**
+ * Construit le slug d'un titre : minuscules, sans accents, mots séparés par des tirets
+ * @param {string} title - Titre de l'article
+ * @returns {string} Slug (jamais vide)
+ */
+const slugify = (title) => {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/[ßæœøđðłþı&]/g, char => TRANSLITERATIONS[char])
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Accents et autres signes diacritiques
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= MAX_SLUG_LENGTH) return slug || DEFAULT_SLUG;
+    // Coupe au dernier mot complet
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    const boundary = cut.lastIndexOf('-');
+    return (boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, MAX_SLUG_LENGTH)).replace(/-+$/, '');
+};
+
+/**
+ * Génère un slug unique pour un titre
+ * Un slug est pris s'il est le slug actuel ou un ancien slug (redirection) d'un autre article ;
+ * en cas de conflit, un suffixe numérique est ajouté (-2, -3...)
+ * @param {string} title - Titre de l'article
+ * @param {string|ObjectId} [articleId] - Article concerné (ses propres slugs restent disponibles)
+ * @returns {Promise<string>} Slug disponible
+ */
+const generateUniqueSlug = async (title, articleId) => {
+    const base = slugify(title);
+    for (let n = 1; n <= MAX_NUMBERED_CANDIDATES; n++) {
+        const candidate = n === 1 ? base : `${base}-${n}`;
+        const owner = await articleModel.findArticleBySlug(candidate);
+        if (!owner || (articleId && String(owner._id) === String(articleId))) {
+            return candidate;
+        }
+    }
+    return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+/**
+ * Calcule le nouveau slug d'un article dont le titre change
+ * L'ancien slug est conservé dans previousSlugs pour rediriger les liens existants
+ * @param {Object} article - Article avant modification
+ * @param {string} title - Nouveau titre
+ * @returns {Promise<Object|null>} { slug, previousSlugs }, ou null si le slug ne change pas
+ */
+const renameSlug = async (article, title) => {
+    const slug = await generateUniqueSlug(title, article._id);
+    if (slug === article.slug) return null;
+
+    const previousSlugs = [...(article.previousSlugs || []), ...(article.slug ? [article.slug] : [])]
+        .filter(previous => previous !== slug); // Retour à un ancien titre : le slug redevient actuel
+    return { slug, previousSlugs };
+};
+
+/**
+ * Écrit un article en recalculant son slug si un autre article l'a pris entre-temps
+ * La disponibilité d'un slug est vérifiée avant l'écriture : deux écritures simultanées peuvent choisir
+ * le même. L'index unique refuse la seconde, qui recommence et obtient le suffixe suivant.
+ * @param {Function} write - () => Promise, calcule le slug et écrit l'article
+ * @returns {Promise<*>} Résultat de l'écriture
+ */
+const withUniqueSlug = async (write) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await write();
+        } catch (err) {
+            const slugTaken = err.code === 11000 && Object.keys(err.keyPattern || err.keyValue || {}).includes('slug');
+            if (!slugTaken || attempt >= MAX_WRITE_ATTEMPTS) throw err;
+        }
+    }
+};
+
+module.exports = {
+    slugify,
+    generateUniqueSlug,
+    renameSlug,
+    withUniqueSlug
+};
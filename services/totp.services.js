@@ -0,0 +1,160 @@
+/**
+ * Service TOTP (RFC 6238)
+ * Génération et vérification des codes à usage unique basés sur le temps
+ */
+
+const crypto = require('crypto'); // HMAC et génération aléatoire
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'; // RFC 4648
+const TOTP_STEP = 30; // Durée d'un pas en secondes
+const TOTP_DIGITS = 6; // Nombre de chiffres du code
+
+/**
+ * Encode un buffer en base32 (sans padding)
+ * @param {Buffer} buffer - Données à encoder
+ * @returns {string} Chaîne base32
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Décode une chaîne base32 (espaces, tirets et padding ignorés)
+ * @param {string} input - Chaîne base32
+ * @returns {Buffer} Données décodées
+ * @throws {Error} Si la chaîne contient un caractère invalide
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Secret base32 invalide');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Génère un secret TOTP aléatoire (160 bits, recommandé par la RFC 4226)
+ * @returns {string} Secret encodé en base32
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calcule un code HOTP (RFC 4226) pour un compteur donné
+ * @param {string} secret - Secret base32
+ * @param {number} counter - Compteur
+ * @param {number} [digits] - Nombre de chiffres
+ * @returns {string} Code complété par des zéros à gauche
+ */
+const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    // Troncature dynamique
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Calcule le pas de temps courant
+ * @param {number} [timestamp] - Horodatage en millisecondes
+ * @returns {number} Numéro du pas
+ */
+const currentStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_STEP);
+};
+
+/**
+ * Génère le code TOTP pour un instant donné
+ * @param {string} secret - Secret base32
+ * @param {number} [timestamp] - Horodatage en millisecondes
+ * @returns {string} Code TOTP
+ */
+const generateTotp = (secret, timestamp = Date.now()) => {
+    return generateHotp(secret, currentStep(timestamp));
+};
+
+/**
+ * Vérifie un code TOTP en tolérant un décalage d'horloge
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @param {Object} [options] - Options de vérification
+ * @param {number} [options.window] - Nombre de pas tolérés avant et après l'instant courant
+ * @param {number} [options.timestamp] - Horodatage de référence en millisecondes
+ * @returns {number|null} Pas correspondant au code (pour empêcher son rejeu) ou null si invalide
+ */
+const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+    const step = currentStep(timestamp);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = generateHotp(secret, step + offset);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * Construit l'URI otpauth:// reconnue par les applications d'authentification
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Nom du compte (ex: email)
+ * @param {string} issuer - Émetteur affiché dans l'application
+ * @returns {string} URI otpauth
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
@@ -0,0 +1,233 @@
+/**
+ * Service de double authentification (TOTP)
+ * Gère l'enrôlement, la confirmation, les codes de secours et la politique d'obligation par rôle
+ */
+
+const bcrypt = require('bcryptjs'); // Vérification du mot de passe avant désactivation
+const crypto = require('crypto'); // Chiffrement des secrets et codes de secours
+const dotenv = require('dotenv'); // Variables d'environnement
+const totp = require('./totp.services'); // Algorithme TOTP
+const userModel = require('../models/user.model'); // Modèle utilisateur
+const twoFactorModel = require('../models/twoFactor.model'); // Modèle 2FA
+const settingModel = require('../models/setting.model'); // Paramètres applicatifs
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'News API'; // Nom affiché dans l'application d'authentification
+const RECOVERY_CODE_COUNT = 10; // Nombre de codes de secours générés
+const POLICY_SETTING_KEY = 'twoFactorPolicy'; // Clé du paramètre de politique 2FA
+
+/**
+ * Dérive la clé de chiffrement des secrets TOTP
+ * @returns {Buffer} Clé AES-256
+ */
+const encryptionKey = () => {
+    const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(material)).digest();
+};
+
+/**
+ * Chiffre un secret TOTP (AES-256-GCM)
+ * @param {string} secret - Secret base32 en clair
+ * @returns {string} Secret chiffré (iv.tag.données en base64url)
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Déchiffre un secret TOTP
+ * @param {string} payload - Secret chiffré
+ * @returns {string} Secret base32 en clair
+ */
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Calcule l'empreinte d'un code de secours (insensible à la casse et aux tirets)
+ * @param {string} code - Code de secours
+ * @returns {string} Empreinte hexadécimale
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Génère une série de codes de secours (format xxxxx-xxxxx)
+ * @returns {Array<string>} Codes en clair
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+/**
+ * Démarre l'enrôlement : génère un secret en attente de confirmation
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Secret base32 et URI otpauth à afficher (QR code)
+ * @throws {Error} Si l'utilisateur n'existe pas (404) ou si la 2FA est déjà active (409)
+ */
+const beginEnrollment = async (userId) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) throw httpError(404, 'USER_NOT_FOUND', 'Utilisateur non trouvé');
+
+    const existing = await twoFactorModel.findTwoFactorByUser(userId);
+    if (existing && existing.enabled) {
+        throw httpError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'La double authentification est déjà activée');
+    }
+
+    const secret = totp.generateSecret();
+    await twoFactorModel.savePendingSecret(userId, encryptSecret(secret));
+
+    return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+    };
+};
+
+/**
+ * Confirme l'enrôlement avec un premier code et active la 2FA
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Code TOTP généré par l'application
+ * @returns {Promise<Array<string>>} Codes de secours en clair (affichés une seule fois)
+ * @throws {Error} Si aucun enrôlement n'est en cours (409) ou si le code est invalide (400)
+ */
+const confirmEnrollment = async (userId, code) => {
+    const existing = await twoFactorModel.findTwoFactorByUser(userId);
+    if (!existing || !existing.pendingSecret) {
+        throw httpError(409, 'NO_PENDING_ENROLLMENT', 'Aucun enrôlement en cours, appelez d\'abord /2fa/setup');
+    }
+
+    const secret = decryptSecret(existing.pendingSecret);
+    const step = totp.verifyTotp(secret, code);
+    if (step === null) {
+        throw httpError(400, 'INVALID_TWO_FACTOR_CODE', 'Code de vérification invalide');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await twoFactorModel.enableTwoFactor(
+        userId,
+        existing.pendingSecret,
+        recoveryCodes.map(hashRecoveryCode),
+        step
+    );
+    await userModel.updateUserById(userId, { twoFactorEnabled: true });
+
+    return recoveryCodes;
+};
+
+/**
+ * Vérifie un second facteur (code TOTP ou code de secours à usage unique)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} factor - Facteur fourni
+ * @param {string} [factor.code] - Code TOTP
+ * @param {string} [factor.recoveryCode] - Code de secours
+ * @returns {Promise<boolean>} true si le facteur est valide
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+    const config = await twoFactorModel.findTwoFactorByUser(userId);
+    if (!config || !config.enabled) return false;
+
+    if (recoveryCode) {
+        return await twoFactorModel.consumeRecoveryCode(userId, hashRecoveryCode(recoveryCode));
+    }
+    if (!code) return false;
+
+    const step = totp.verifyTotp(decryptSecret(config.secret), code);
+    if (step === null) return false;
+
+    // Un même code ne peut servir qu'une fois
+    return await twoFactorModel.markStepUsed(userId, step);
+};
+
+/**
+ * Récupère la politique 2FA (rôles pour lesquels la 2FA est obligatoire)
+ * @returns {Promise<Object>} Politique { requiredRoles }
+ */
+const getPolicy = async () => {
+    const policy = await settingModel.getSetting(POLICY_SETTING_KEY);
+    return { requiredRoles: (policy && policy.requiredRoles) || [] };
+};
+
+/**
+ * Définit les rôles pour lesquels la 2FA est obligatoire
+ * @param {Array<string>} requiredRoles - Rôles concernés (ex: ['admin'])
+ * @param {string} updatedBy - ID de l'administrateur
+ * @returns {Promise<Object>} Politique enregistrée
+ * @throws {Error} Si la liste de rôles est invalide (400)
+ */
+const setPolicy = async (requiredRoles, updatedBy) => {
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => typeof role !== 'string')) {
+        throw httpError(400, 'INVALID_POLICY', 'requiredRoles doit être un tableau de rôles');
+    }
+    const policy = { requiredRoles: [...new Set(requiredRoles)] };
+    await settingModel.setSetting(POLICY_SETTING_KEY, policy, updatedBy);
+    return policy;
+};
+
+/**
+ * Indique si la 2FA est obligatoire pour un rôle
+ * @param {string} role - Rôle de l'utilisateur
+ * @returns {Promise<boolean>} true si la 2FA est obligatoire
+ */
+const isRequiredForRole = async (role) => {
+    const { requiredRoles } = await getPolicy();
+    return requiredRoles.includes(role);
+};
+
+/**
+ * Désactive la 2FA de l'utilisateur (mot de passe et second facteur requis)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} password - Mot de passe actuel
+ * @param {Object} factor - Code TOTP ou code de secours
+ * @returns {Promise<void>}
+ * @throws {Error} Si la 2FA est obligatoire pour le rôle (403) ou si les vérifications échouent (401)
+ */
+const disable = async (userId, password, factor) => {
+    const user = await userModel.findUserById(userId);
+    if (!user) throw httpError(404, 'USER_NOT_FOUND', 'Utilisateur non trouvé');
+
+    if (await isRequiredForRole(user.role)) {
+        throw httpError(403, 'TWO_FACTOR_REQUIRED', 'La double authentification est obligatoire pour votre rôle');
+    }
+
+    const isMatch = !!user.password && typeof password === 'string' && await bcrypt.compare(password, user.password);
+    if (!isMatch || !await verifySecondFactor(userId, factor)) {
+        throw httpError(401, 'INVALID_CREDENTIALS', 'Mot de passe ou code de vérification incorrect');
+    }
+
+    await resetForUser(userId);
+};
+
+/**
+ * Supprime la 2FA d'un utilisateur sans vérification (appareil perdu, action administrateur)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de configurations supprimées
+ */
+const resetForUser = async (userId) => {
+    const deletedCount = await twoFactorModel.deleteTwoFactor(userId);
+    await userModel.updateUserById(userId, { twoFactorEnabled: false });
+    return deletedCount;
+};
+
+module.exports = {
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    getPolicy,
+    setPolicy,
+    isRequiredForRole,
+    disable,
+    resetForUser
+};
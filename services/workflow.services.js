@@ -0,0 +1,438 @@
+/**
+ * Service du circuit éditorial des articles
+ * Brouillon → en relecture → programmé → publié → archivé : transitions autorisées selon les permissions,
+ * relecteurs assignés, commentaires de relecture et publication automatique des articles programmés
+ */
+
+const { ObjectId } = require('mongodb'); // Pour valider et convertir les identifiants
+const dotenv = require('dotenv'); // Variables d'environnement
+const articleModel = require('../models/article.model'); // Modèle article
+const articleReviewModel = require('../models/articleReview.model'); // Commentaires de relecture
+const userModel = require('../models/user.model'); // Comptes des relecteurs
+const roleService = require('./role.services'); // Permissions de l'appelant
+const auditService = require('./audit.services'); // Journal d'audit des publications automatiques
+const { ARTICLE_STATUSES } = require('./article.services'); // Étapes du circuit
+const { httpError } = require('../utils/httpError'); // Erreurs métier (statut HTTP et code)
+
+dotenv.config(); // Charge les variables
+
+// Fréquence de passage du planificateur de publication
+const SCHEDULER_INTERVAL_MS = (parseInt(process.env.ARTICLE_SCHEDULER_INTERVAL_SECONDS) || 30) * 1000;
+const SCHEDULER_BATCH_SIZE = 50; // Nombre maximal d'articles publiés par passage
+const MAX_REVIEWERS = 10; // Nombre maximal de relecteurs par article
+const MAX_COMMENT_LENGTH = 2000; // Longueur maximale d'un commentaire de relecture
+const MAX_PAGE_SIZE = 100; // Nombre maximal d'articles par page de la file éditoriale
+
+// Transitions autorisées : statut actuel -> statut cible -> permissions acceptées
+// 'article.submit' est évaluée sous ses formes '.own' (articles de l'appelant) et '.any'
+const TRANSITIONS = {
+    draft: {
+        in_review: ['article.submit']
+    },
+    in_review: {
+        draft: ['article.review', 'article.submit'], // Renvoi pour corrections, ou retrait par l'auteur
+        scheduled: ['article.publish'],
+        published: ['article.publish']
+    },
+    scheduled: {
+        in_review: ['article.publish'],
+        published: ['article.publish']
+    },
+    published: {
+        archived: ['article.publish']
+    },
+    archived: {
+        draft: ['article.publish']
+    }
+};
+
+// Statuts dont le contenu reste modifiable avec article.update.own : une fois validé (programmé,
+// publié, archivé), un article ne se modifie plus qu'avec article.publish ou article.update.any
+const OWNER_EDITABLE_STATUSES = ['draft', 'in_review'];
+
+/**
+ * Indique si l'article appartient à l'appelant (comparaison par compte auteur)
+ * @param {Object} article - Article
+ * @param {Object} principal - Identité de l'appelant (req.user)
+ * @returns {boolean} true si l'appelant est l'auteur
+ */
+const isOwnArticle = (article, principal) => {
+    return !!article.authorId && String(article.authorId) === String(principal.userId);
+};
+
+/**
+ * Indique si l'appelant peut relire l'article : relecteur assigné, ou tout relecteur si personne n'est assigné
+ * Les détenteurs de article.publish peuvent toujours relire
+ * @param {Object} article - Article
+ * @param {Object} principal - Identité de l'appelant
+ * @param {Array<string>} permissions - Permissions effectives de l'appelant
+ * @returns {boolean} true si l'appelant peut relire l'article
+ */
+const canReview = (article, principal, permissions) => {
+    if (roleService.hasPermission(permissions, 'article.publish')) return true;
+    if (!roleService.hasPermission(permissions, 'article.review')) return false;
+    const reviewers = article.reviewers || [];
+    return reviewers.length === 0 || reviewers.some(id => String(id) === String(principal.userId));
+};
+
+/**
+ * Indique si une permission de la table des transitions est accordée à l'appelant pour cet article
+ * @param {string} permission - Permission de la table (ex: 'article.submit')
+ * @param {Object} article - Article
+ * @param {Object} principal - Identité de l'appelant
+ * @param {Array<string>} permissions - Permissions effectives de l'appelant
+ * @returns {boolean} true si la permission est accordée
+ */
+const grants = (permission, article, principal, permissions) => {
+    if (permission === 'article.review') return canReview(article, principal, permissions);
+    return roleService.hasPermission(permissions, permission)
+        || roleService.hasPermission(permissions, `${permission}.any`)
+        || (isOwnArticle(article, principal) && roleService.hasPermission(permissions, `${permission}.own`));
+};
+
+/**
+ * Indique si l'appelant peut consulter un article
+ * Un article publié est public ; les autres sont réservés à l'auteur, aux relecteurs et aux éditeurs
+ * @param {Object} article - Article
+ * @param {Object|null} principal - Identité de l'appelant (null pour un visiteur anonyme)
+ * @returns {Promise<boolean>} true si l'article est visible
+ */
+const canViewArticle = async (article, principal) => {
+    if (article.status === 'published') return true;
+    if (!principal) return false;
+    if (isOwnArticle(article, principal)) return true;
+
+    const permissions = await roleService.getEffectivePermissions(principal);
+    if (roleService.hasPermission(permissions, 'article.publish')
+        || roleService.hasPermission(permissions, 'article.update.any')) {
+        return true;
+    }
+    // Un brouillon n'est pas encore soumis : il reste privé pour les relecteurs
+    return article.status !== 'draft' && canReview(article, principal, permissions);
+};
+
+/**
+ * Statuts dont l'appelant peut modifier le contenu des articles (mise à jour, restauration d'une révision)
+ * @param {Object} principal - Identité de l'appelant (req.user)
+ * @returns {Promise<Array<string>|null>} Statuts modifiables, ou null si tous le sont
+ */
+const getEditableStatuses = async (principal) => {
+    const permissions = await roleService.getEffectivePermissions(principal);
+    if (roleService.hasPermission(permissions, 'article.publish')
+        || roleService.hasPermission(permissions, 'article.update.any')) {
+        return null;
+    }
+    return OWNER_EDITABLE_STATUSES;
+};
+
+/**
+ * Récupère un article du circuit éditorial
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<Object|null>} Article, ou null s'il n'existe pas
+ * @throws {Error} Si l'ID est invalide (400)
+ */
+const findArticle = async (articleId) => {
+    if (!ObjectId.isValid(articleId)) {
+        throw httpError(400, 'INVALID_ARTICLE_ID', 'ID d\'article invalide');
+    }
+    return await articleModel.getArticleById(articleId);
+};
+
+/**
+ * Valide un commentaire de relecture
+ * @param {*} comment - Commentaire proposé
+ * @returns {string} Commentaire nettoyé
+ * @throws {Error} Si le commentaire est vide ou trop long (400)
+ */
+const normalizeComment = (comment) => {
+    if (typeof comment !== 'string' || !comment.trim()) {
+        throw httpError(400, 'INVALID_COMMENT', 'Le commentaire doit être un texte non vide');
+    }
+    if (comment.trim().length > MAX_COMMENT_LENGTH) {
+        throw httpError(400, 'INVALID_COMMENT', `Le commentaire ne doit pas dépasser ${MAX_COMMENT_LENGTH} caractères`);
+    }
+    return comment.trim();
+};
+
+/**
+ * Enregistre un commentaire de relecture signé par l'appelant
+ * @param {string} articleId - ID de l'article
+ * @param {Object} principal - Identité de l'appelant
+ * @param {string} comment - Commentaire validé
+ * @param {Object|null} transition - Changement de statut associé ({ from, to })
+ * @returns {Promise<Object>} Commentaire créé
+ */
+const saveReview = async (articleId, principal, comment, transition) => {
+    const user = await userModel.findUserById(principal.userId, 'public');
+    return await articleReviewModel.createReview({
+        articleId,
+        authorId: principal.userId,
+        author: user ? user.username : null,
+        comment,
+        transition
+    });
+};
+
+/**
+ * Fait passer un article à un autre statut du circuit éditorial
+ * @param {string} articleId - ID de l'article
+ * @param {Object} principal - Identité de l'appelant (req.user)
+ * @param {Object} request - Changement demandé
+ * @param {string} request.status - Statut cible
+ * @param {string} [request.publishAt] - Date de publication (ISO 8601), obligatoire pour 'scheduled'
+ * @param {string} [request.comment] - Commentaire de relecture joint au changement
+ * @returns {Promise<Object|null>} { from, to, article, review }, ou null si l'article n'existe pas
+ * @throws {Error} Statut inconnu ou date invalide (400), permission manquante (403),
+ *                 transition impossible ou statut modifié entre-temps (409)
+ */
+const transitionArticle = async (articleId, principal, { status, publishAt, comment } = {}) => {
+    if (!ARTICLE_STATUSES.includes(status)) {
+        throw httpError(400, 'INVALID_STATUS', `Statut inconnu: ${status} (${ARTICLE_STATUSES.join(', ')})`);
+    }
+    const article = await findArticle(articleId);
+    if (!article) return null;
+
+    const from = article.status;
+    const allowed = TRANSITIONS[from] && TRANSITIONS[from][status];
+    if (!allowed) {
+        throw httpError(409, 'INVALID_TRANSITION', `Transition impossible: ${from} → ${status}`);
+    }
+
+    const permissions = await roleService.getEffectivePermissions(principal);
+    if (!allowed.some(permission => grants(permission, article, principal, permissions))) {
+        throw httpError(403, 'TRANSITION_FORBIDDEN', `Accès refusé - Transition ${from} → ${status} non autorisée (${allowed.join(' ou ')})`);
+    }
+
+    const update = { status };
+    if (status === 'scheduled') {
+        const date = new Date(publishAt);
+        if (!publishAt || isNaN(date.getTime()) || date <= new Date()) {
+            throw httpError(400, 'INVALID_PUBLISH_AT', 'publishAt doit être une date future (ISO 8601)');
+        }
+        update.publishAt = date;
+    } else {
+        update.publishAt = null;
+    }
+    if (status === 'published') {
+        update.publishedAt = new Date();
+    }
+    const cleanComment = comment === undefined || comment === null || comment === '' ? null : normalizeComment(comment);
+
+    // Le filtre sur le statut actuel évite d'écraser un changement concurrent (planificateur, autre éditeur)
+    const modifiedCount = await articleModel.updateArticleIfStatus(articleId, from, update);
+    if (modifiedCount === 0) {
+        throw httpError(409, 'STATUS_CONFLICT', 'Le statut de l\'article a changé entre-temps, rechargez-le');
+    }
+
+    const review = cleanComment ? await saveReview(articleId, principal, cleanComment, { from, to: status }) : null;
+    return {
+        from,
+        to: status,
+        before: article,
+        article: await articleModel.getArticleById(articleId),
+        review
+    };
+};
+
+/**
+ * Assigne les relecteurs d'un article (remplace la liste existante)
+ * @param {string} articleId - ID de l'article
+ * @param {Array<string>} reviewerIds - IDs des relecteurs (liste vide : tout relecteur peut relire)
+ * @returns {Promise<Object|null>} { before, article }, ou null si l'article n'existe pas
+ * @throws {Error} Si la liste est invalide ou si un compte ne peut pas relire (400)
+ */
+const assignReviewers = async (articleId, reviewerIds) => {
+    if (!Array.isArray(reviewerIds) || reviewerIds.some(id => !ObjectId.isValid(id))) {
+        throw httpError(400, 'INVALID_REVIEWERS', 'reviewers doit être un tableau d\'IDs utilisateur');
+    }
+    const uniqueIds = [...new Set(reviewerIds.map(String))];
+    if (uniqueIds.length > MAX_REVIEWERS) {
+        throw httpError(400, 'INVALID_REVIEWERS', `Au plus ${MAX_REVIEWERS} relecteurs par article`);
+    }
+
+    const article = await findArticle(articleId);
+    if (!article) return null;
+
+    // Chaque relecteur doit exister, être actif et disposer de la permission article.review
+    const rejected = [];
+    for (const id of uniqueIds) {
+        const user = await userModel.findUserById(id);
+        const permissions = user && user.active !== false ? await roleService.getPermissionsForRole(user.role) : [];
+        if (!roleService.hasPermission(permissions, 'article.review')) {
+            rejected.push(id);
+        }
+    }
+    if (rejected.length > 0) {
+        throw httpError(400, 'INVALID_REVIEWER', `Comptes introuvables, désactivés ou sans permission article.review: ${rejected.join(', ')}`);
+    }
+
+    await articleModel.updateArticle(articleId, { reviewers: uniqueIds.map(id => new ObjectId(id)) });
+    return { before: article, article: await articleModel.getArticleById(articleId) };
+};
+
+/**
+ * Vérifie que l'appelant participe à la relecture d'un article (auteur, relecteur ou éditeur)
+ * @param {Object} article - Article
+ * @param {Object} principal - Identité de l'appelant
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'appelant ne participe pas à la relecture (403)
+ */
+const assertReviewParticipant = async (article, principal) => {
+    if (isOwnArticle(article, principal)) return;
+    const permissions = await roleService.getEffectivePermissions(principal);
+    if (!canReview(article, principal, permissions)) {
+        throw httpError(403, 'NOT_A_REVIEWER', 'Accès refusé - Réservé à l\'auteur et aux relecteurs de l\'article');
+    }
+};
+
+/**
+ * Ajoute un commentaire de relecture à un article
+ * @param {string} articleId - ID de l'article
+ * @param {Object} principal - Identité de l'appelant
+ * @param {string} comment - Commentaire
+ * @returns {Promise<Object|null>} Commentaire créé, ou null si l'article n'existe pas
+ * @throws {Error} Si le commentaire est invalide (400) ou si l'appelant ne participe pas à la relecture (403)
+ */
+const addReviewComment = async (articleId, principal, comment) => {
+    const cleanComment = normalizeComment(comment);
+    const article = await findArticle(articleId);
+    if (!article) return null;
+
+    await assertReviewParticipant(article, principal);
+    return await saveReview(articleId, principal, cleanComment, null);
+};
+
+/**
+ * Liste les commentaires de relecture d'un article
+ * @param {string} articleId - ID de l'article
+ * @param {Object} principal - Identité de l'appelant
+ * @returns {Promise<Array|null>} Commentaires, ou null si l'article n'existe pas
+ * @throws {Error} Si l'appelant ne participe pas à la relecture (403)
+ */
+const listReviewComments = async (articleId, principal) => {
+    const article = await findArticle(articleId);
+    if (!article) return null;
+
+    await assertReviewParticipant(article, principal);
+    return await articleReviewModel.findReviewsByArticle(articleId);
+};
+
+/**
+ * Récupère la file éditoriale visible par l'appelant
+ * Éditeurs : tous les articles ; relecteurs : leurs articles et ceux soumis qu'ils peuvent relire ;
+ * auteurs : leurs propres articles
+ * @param {Object} principal - Identité de l'appelant
+ * @param {Object} [options] - Options
+ * @param {string} [options.status] - Statut recherché (par défaut : brouillons, en relecture et programmés)
+ * @param {number} [options.page] - Numéro de page
+ * @param {number} [options.limit] - Nombre d'articles par page
+ * @returns {Promise<Object>} Articles et informations de pagination
+ * @throws {Error} Si le statut ou la pagination est invalide (400)
+ */
+const getEditorialQueue = async (principal, { status, page = 1, limit = 20 } = {}) => {
+    if (status !== undefined && !ARTICLE_STATUSES.includes(status)) {
+        throw httpError(400, 'INVALID_STATUS', `Statut inconnu: ${status} (${ARTICLE_STATUSES.join(', ')})`);
+    }
+    if (page < 1 || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw httpError(400, 'INVALID_PAGINATION', `page doit être positive et limit entre 1 et ${MAX_PAGE_SIZE}`);
+    }
+
+    const filter = { status: status || { $in: ['draft', 'in_review', 'scheduled'] } };
+    const permissions = await roleService.getEffectivePermissions(principal);
+    const userId = new ObjectId(principal.userId);
+
+    if (!roleService.hasPermission(permissions, 'article.publish')
+        && !roleService.hasPermission(permissions, 'article.update.any')) {
+        if (roleService.hasPermission(permissions, 'article.review')) {
+            filter.$or = [
+                { authorId: userId },
+                { status: { $ne: 'draft' }, $or: [{ reviewers: userId }, { reviewers: { $size: 0 } }] }
+            ];
+        } else {
+            filter.authorId = userId;
+        }
+    }
+
+    return await articleModel.getAllArticles(page, limit, filter);
+};
+
+/**
+ * Notifications WebSocket d'une publication, manuelle ou programmée
+ * La première publication est aussi annoncée par article.created, l'événement des nouveaux articles
+ * émis à leur création avant le circuit éditorial, avec le même contenu.
+ * @param {Object} before - Article avant publication
+ * @param {Object} article - Article publié
+ * @returns {Array<Object>} Messages à diffuser (sans date d'envoi)
+ */
+const publicationNotifications = (before, article) => {
+    const notifications = [];
+    if (!before.publishedAt) {
+        notifications.push({ type: 'article.created', message: 'Nouvel article créé', article });
+    }
+    notifications.push({ type: 'article.published', message: 'Nouvel article publié', article });
+    return notifications;
+};
+
+/**
+ * Publie les articles programmés dont la date est atteinte
+ * Chaque article est publié par une mise à jour conditionnelle : une exécution concurrente
+ * ou une déprogrammation manuelle n'entraîne jamais de double publication.
+ * @param {Function} [broadcast] - Diffusion WebSocket (voir publicationNotifications)
+ * @returns {Promise<number>} Nombre d'articles publiés
+ */
+const publishDueArticles = async (broadcast) => {
+    const dueArticles = await articleModel.findDueScheduledArticles(new Date(), SCHEDULER_BATCH_SIZE);
+    let published = 0;
+
+    for (const article of dueArticles) {
+        const modifiedCount = await articleModel.updateArticleIfStatus(article._id, 'scheduled', {
+            status: 'published',
+            publishAt: null,
+            publishedAt: new Date()
+        });
+        if (modifiedCount === 0) continue;
+        published++;
+
+        const publishedArticle = await articleModel.getArticleById(article._id);
+        await auditService.recordSystemEvent({
+            action: 'article.publish',
+            target: { type: 'article', id: article._id },
+            before: article,
+            after: publishedArticle,
+            metadata: { scheduledFor: article.publishAt }
+        });
+        if (broadcast) {
+            for (const notification of publicationNotifications(article, publishedArticle)) {
+                broadcast({ ...notification, at: new Date().toISOString() });
+            }
+        }
+    }
+    return published;
+};
+
+/**
+ * Démarre la publication automatique des articles programmés
+ * @param {Function} [broadcast] - Diffusion WebSocket
+ * @returns {Promise<void>}
+ */
+const startPublicationScheduler = async (broadcast) => {
+    await publishDueArticles(broadcast);
+    setInterval(() => {
+        publishDueArticles(broadcast).catch(err => console.error('❌ Échec de la publication programmée:', err.message));
+    }, SCHEDULER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    TRANSITIONS,
+    OWNER_EDITABLE_STATUSES,
+    canViewArticle,
+    getEditableStatuses,
+    transitionArticle,
+    assignReviewers,
+    addReviewComment,
+    listReviewComments,
+    getEditorialQueue,
+    publicationNotifications,
+    publishDueArticles,
+    startPublicationScheduler
+};
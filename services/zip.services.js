@@ -0,0 +1,85 @@
+/**
+ * Service de création d'archives ZIP en mémoire
+ * Format ZIP minimal (compression deflate, sans chiffrement ni ZIP64) pour les exports de données
+ */
+
+const zlib = require('zlib'); // Compression deflate et CRC-32
+
+/**
+ * Convertit une date en date et heure au format MS-DOS utilisé par les en-têtes ZIP
+ * @param {Date} date - Date à convertir
+ * @returns {Object} { time, date } sur 16 bits chacun
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Crée une archive ZIP
+ * @param {Array<Object>} files - Fichiers ({ name, content }) ; content est une chaîne ou un Buffer
+ * @param {Date} [modifiedAt] - Date de modification enregistrée pour chaque fichier
+ * @returns {Buffer} Archive ZIP
+ */
+const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        // En-tête local du fichier
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Version requise
+        local.writeUInt16LE(0x0800, 6); // Noms en UTF-8
+        local.writeUInt16LE(8, 8); // Méthode deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        // Entrée du répertoire central
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // Version de création
+        central.writeUInt16LE(20, 6); // Version requise
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42); // Position de l'en-tête local
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    // Fin du répertoire central
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+    createZip
+};
@@ -0,0 +1,23 @@
+/**
+ * Erreurs métier des services
+ * Une erreur porte un statut HTTP et un code stable ; les contrôleurs et les routes
+ * renvoient err.status et err.code tels quels, sans interpréter le message.
+ */
+
+/**
+ * Crée une erreur métier portant un statut HTTP et un code exploitables par les routes
+ * @param {number} status - Statut HTTP à renvoyer
+ * @param {string} code - Code d'erreur stable
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur enrichie
+ */
+const httpError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+module.exports = {
+    httpError
+};
@@ -36,6 +36,12 @@ ws.on('message', function message(data) {
             case 'article.created':
                 console.log('🆕 Nouvel article créé:', message.article.title);
                 break;
+            case 'article.published':
+                console.log('📰 Article publié:', message.article.title);
+                break;
+            case 'article.archived':
+                console.log('📦 Article archivé:', message.articleId);
+                break;
             case 'article.updated':
                 console.log('🔄 Article mis à jour:', message.article.title);
                 break;